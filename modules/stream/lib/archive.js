@@ -0,0 +1,1415 @@
+/**
+ * @file Streaming parsers and writers for tar and zip archives
+ * @private
+ */
+'use strict'
+
+const SmartStreamError = require('./error')
+const Util = require('./util')
+const { posix } = require('path')
+const { PassThrough, Readable, Transform } = require('stream')
+const zlib = require('zlib')
+
+/**
+ * The MIME-types of the supported archive formats
+ * @type {Object<String>}
+ * @private
+ */
+const FORMATS = {
+  tar: 'application/x-tar',
+  zip: 'application/zip'
+}
+
+/**
+ * The archive formats of other MIME-types
+ * @type {Object<String>}
+ * @private
+ */
+const FORMAT_ALIASES = {
+  'application/x-zip-compressed': 'zip',
+  'application/gzip': 'tar',
+  'application/x-gzip': 'tar',
+  'application/x-gtar': 'tar',
+  'application/x-compressed-tar': 'tar'
+}
+
+/**
+ * The magic bytes of a gzip stream
+ * @type {Buffer}
+ * @private
+ */
+const GZIP_MAGIC = Buffer.from([0x1f, 0x8b])
+
+/**
+ * The default maximum number of entries
+ * @type {Number}
+ * @private
+ */
+const DEFAULT_MAX_ENTRIES = 1000
+
+/**
+ * The default maximum number of (uncompressed) bytes across all entries
+ * @type {Number}
+ * @private
+ */
+const DEFAULT_MAX_SIZE = 1024 * 1024 * 1024
+
+/**
+ * The maximum size (in bytes) of the extended headers of a tar entry
+ * @type {Number}
+ * @private
+ */
+const META_LIMIT = 1024 * 1024
+
+/**
+ * The size (in bytes) of a tar block
+ * @type {Number}
+ * @private
+ */
+const BLOCK_SIZE = 512
+
+/**
+ * The size (in bytes) of a tar record, to which archives are usually padded
+ * @type {Number}
+ * @private
+ */
+const RECORD_SIZE = BLOCK_SIZE * 20
+
+/**
+ * The signatures of the zip records
+ * @type {Object<Number>}
+ * @private
+ */
+const SIGNATURES = {
+  LOCAL_FILE: 0x04034b50,
+  DATA_DESCRIPTOR: 0x08074b50,
+  CENTRAL_DIRECTORY: 0x02014b50,
+  END_OF_CENTRAL_DIRECTORY: 0x06054b50,
+  ZIP64_END_OF_CENTRAL_DIRECTORY: 0x06064b50
+}
+
+/**
+ * The signature of a zip data descriptor
+ * @type {Buffer}
+ * @private
+ */
+const DATA_DESCRIPTOR = Buffer.from([0x50, 0x4b, 0x07, 0x08])
+
+/**
+ * The zip compression methods
+ * @type {Object<Number>}
+ * @private
+ */
+const METHODS = {
+  STORED: 0,
+  DEFLATED: 8
+}
+
+/**
+ * The largest value of a 32-bit zip field, beyond which zip64 is required
+ * @type {Number}
+ * @private
+ */
+const MAX_UINT32 = 0xffffffff
+
+/**
+ * The largest size of a tar entry that fits its (octal) header field
+ * @type {Number}
+ * @private
+ */
+const MAX_TAR_SIZE = 0o77777777777
+
+/**
+ * The CRC-32 lookup table
+ * @type {Int32Array}
+ * @private
+ */
+const CRC_TABLE = Int32Array.from({ length: 256 }, (_, n) => {
+  for (let k = 0; k < 8; k++) {
+    n = (n & 1) ? 0xedb88320 ^ (n >>> 1) : n >>> 1
+  }
+  return n
+})
+
+/**
+ * A no-op function
+ * @type {Function}
+ * @private
+ */
+const NOOP = () => {}
+
+/**
+ * Computes the CRC-32 of a buffer, continuing from a previous value
+ * @param {Buffer} buf The buffer
+ * @param {Number} [crc=0] The CRC-32 of the preceding data
+ * @returns {Number}
+ * @private
+ */
+function crc32 (buf, crc = 0) {
+  crc = ~crc
+  for (let i = 0; i < buf.length; i++) {
+    crc = CRC_TABLE[(crc ^ buf[i]) & 0xff] ^ (crc >>> 8)
+  }
+  return ~crc >>> 0
+}
+
+/**
+ * Reads an unsigned, little-endian, 64-bit integer
+ * @param {Buffer} buf The buffer
+ * @param {Number} offset The offset of the integer
+ * @returns {Number}
+ * @private
+ */
+function readUInt64LE (buf, offset) {
+  return buf.readUInt32LE(offset) + buf.readUInt32LE(offset + 4) * 0x100000000
+}
+
+/**
+ * Normalizes the path of an entry, rejecting those that would be extracted
+ * outside of the root directory (i.e. "zip-slip")
+ * @param {String} path The path of the entry
+ * @returns {String} The normalized path, without a trailing slash; empty for the root directory
+ * @throws {SmartStreamError} An `UnsafePath` error for absolute or escaping paths
+ * @private
+ */
+function normalizePath (path) {
+  if (typeof path !== 'string' || path === '' || path.includes('\0')) {
+    throw SmartStreamError.UnsafePath({ path })
+  }
+
+  const normalized = posix.normalize(path.replace(/\\/g, '/')).replace(/\/+$/, '')
+  if (normalized === '..' || normalized.startsWith('../') || /^(\/|[a-z]:)/i.test(normalized)) {
+    throw SmartStreamError.UnsafePath({ path })
+  }
+
+  return normalized === '.' ? '' : normalized
+}
+
+/**
+ * Returns the archive format of a MIME-type
+ * @param {String} contentType The MIME-type
+ * @returns {?String} Either `tar` or `zip`, or `null` if not an archive
+ * @private
+ */
+function getFormat (contentType) {
+  return Object.keys(FORMATS).find(format => FORMATS[format] === contentType) ||
+    FORMAT_ALIASES[contentType] ||
+    null
+}
+
+/**
+ * A transform that splits an archive into its entries, pushing each entry as
+ * a stream in object mode
+ *
+ * Each entry is written with backpressure, so it must be consumed or destroyed
+ * for the parser to make progress. Subclasses parse the input in states, each
+ * implemented as a method returning `true` to continue parsing, `false` when
+ * more input is needed, or a function invoked with a callback to wait for.
+ * @private
+ */
+class ArchiveParser extends Transform {
+  /**
+   * Constructs an `ArchiveParser`
+   * @param {Object} props Properties of the parser
+   * @param {Function} props.createEntry Creates the stream for an entry from its `{ path, type, size, mtime }`
+   * @param {Number} [props.maxEntries=1000] The maximum number of entries
+   * @param {Number} [props.maxSize=1073741824] The maximum number of (uncompressed) bytes across all entries
+   * @param {String} format The format of the archive, included in the metadata of errors
+   * @param {String} initialState The state to start parsing in
+   * @returns {ArchiveParser}
+   */
+  constructor (props, format, initialState) {
+    props = Object.assign({
+      maxEntries: DEFAULT_MAX_ENTRIES,
+      maxSize: DEFAULT_MAX_SIZE
+    }, props)
+
+    for (const name of ['maxEntries', 'maxSize']) {
+      if (isNaN(+props[name]) || +props[name] <= 0) {
+        throw new TypeError(`${props[name]} is an invalid ${name}!`)
+      }
+    }
+
+    super({
+      readableObjectMode: true,
+      transform: (chunk, encoding, cb) => {
+        this._buf = this._buf.length > 0
+          ? Buffer.concat([this._buf, chunk])
+          : chunk
+        this._parse(cb)
+      },
+      flush: (cb) => {
+        if (!this._isComplete()) {
+          return cb(SmartStreamError.Malformed({
+            entry: this._entries,
+            reason: 'unexpected end of archive'
+          }))
+        }
+
+        cb()
+      },
+      destroy: (err, cb) => {
+        if (this._entry != null) {
+          this._entry.destroy(err || SmartStreamError.Malformed({
+            entry: this._entries,
+            reason: 'parser was destroyed'
+          }))
+        }
+
+        // istanbul ignore else
+        if (err == null || err.isSmartStreamError) {
+          cb(err)
+        } else {
+          cb(SmartStreamError.Unexpected(err))
+        }
+      }
+    })
+
+    this._createEntry = props.createEntry
+    this._format = format
+    this._maxEntries = +props.maxEntries
+    this._maxSize = +props.maxSize
+    this._state = initialState
+    this._entries = 0
+    this._entry = null
+    this._sink = null
+    this._expected = null
+    this._size = 0
+    this._buf = Buffer.alloc(0)
+  }
+
+  /**
+   * Parses as much of the buffered input as possible
+   * @param {Function} cb Invoked once the parser needs more input
+   * @private
+   */
+  _parse (cb) {
+    try {
+      while (true) {
+        const next = this[`_${this._state}`]()
+
+        if (next === false) {
+          return cb()
+        } else if (next !== true) {
+          return next(() => this._parse(cb))
+        }
+      }
+    } catch (err) {
+      cb(err)
+    }
+  }
+
+  /**
+   * Returns whether or not the archive may end in the current state
+   * @returns {Boolean}
+   * @private
+   */
+  _isComplete () {
+    return this._state === 'end'
+  }
+
+  /**
+   * Ignores anything after the end of the archive, though it still counts
+   * towards the maximum size
+   * @returns {Boolean}
+   * @private
+   */
+  _end () {
+    this._skip(this._buf.length)
+    this._buf = Buffer.alloc(0)
+    return false
+  }
+
+  /**
+   * Counts bytes that are read but not extracted towards the maximum size, so
+   * that they cannot be used to bypass it
+   * @param {Number} length The number of bytes
+   * @throws {SmartStreamError} A `CompressionBomb` error
+   * @private
+   */
+  _skip (length) {
+    this._size += length
+    if (this._size > this._maxSize) {
+      throw SmartStreamError.CompressionBomb({
+        archive: this._format,
+        size: this._size,
+        maxSize: this._maxSize
+      })
+    }
+  }
+
+  /**
+   * Pushes the stream for an entry, and prepares it to be written
+   *
+   * The uncompressed bytes of every entry count towards the maximum size of the
+   * archive, and are verified against the CRC-32 of the entry (if any).
+   *
+   * @param {Object} props Properties of the entry
+   * @param {String} props.name The path of the entry, as stored in the archive
+   * @param {String} props.type Either `file` or `directory`
+   * @param {Number} [props.size] The (uncompressed) size of the entry, if known
+   * @param {Date} props.mtime The modification time of the entry
+   * @param {Boolean} [props.isDeflated=false] Whether or not the entry is deflated
+   * @param {Number} [props.crc] The expected CRC-32 of the entry, if known
+   * @throws {SmartStreamError} An `UnsafePath` or `TooManyParts` error
+   * @private
+   */
+  _openEntry (props) {
+    const path = normalizePath(props.name)
+    if (path === '' && props.type === 'directory') {
+      // The root directory itself is skipped
+      return
+    } else if (path === '') {
+      throw SmartStreamError.UnsafePath({ path: props.name })
+    } else if (this._entries >= this._maxEntries) {
+      throw SmartStreamError.TooManyParts({ archive: this._format, maxEntries: this._maxEntries })
+    }
+
+    let entry = null
+    try {
+      entry = this._createEntry({
+        path,
+        type: props.type,
+        size: props.size,
+        mtime: props.mtime
+      })
+    } catch (err) {
+      throw SmartStreamError.Malformed({ entry: this._entries, path }, err)
+    }
+
+    const expected = { crc: props.crc }
+    let crc = 0
+    const checker = new Transform({
+      transform: (chunk, encoding, cb) => {
+        this._size += chunk.length
+        if (this._size > this._maxSize) {
+          return cb(SmartStreamError.CompressionBomb({
+            archive: this._format,
+            path,
+            size: this._size,
+            maxSize: this._maxSize
+          }))
+        }
+
+        crc = crc32(chunk, crc)
+        cb(null, chunk)
+      },
+      flush: (cb) => {
+        if (expected.crc != null && expected.crc !== crc) {
+          return cb(SmartStreamError.DigestMismatch({
+            path,
+            algorithm: 'crc32',
+            expected: expected.crc.toString(16).padStart(8, '0'),
+            actual: crc.toString(16).padStart(8, '0')
+          }))
+        }
+
+        cb()
+      }
+    })
+
+    const sink = props.isDeflated
+      ? zlib.createInflateRaw()
+      : checker
+
+    // Errors of the entry itself are left to its consumer, while those of its
+    // contents fail the archive
+    entry.on('error', NOOP)
+    checker.on('error', err => {
+      entry.destroyed || entry.destroy(err)
+      this.destroyed || this.destroy(err)
+    })
+    if (sink !== checker) {
+      sink
+        .on('error', err => checker.destroy(SmartStreamError.Malformed({
+          path,
+          reason: err.message
+        })))
+        .pipe(checker)
+    }
+    checker.pipe(entry)
+
+    // Entries destroyed by the consumer are skipped
+    entry.once('close', () => {
+      sink.destroyed || sink.destroy()
+      checker.destroyed || checker.destroy()
+    })
+
+    this._entries++
+    this._entry = entry
+    this._sink = sink
+    this._expected = expected
+    this.push(entry)
+  }
+
+  /**
+   * Writes data to the current entry, if any
+   * @param {Buffer} data The data to write
+   * @returns {Boolean} Whether or not the entry can accept more data
+   * @private
+   */
+  _writeEntry (data) {
+    if (data.length === 0 || this._sink == null) return true
+
+    return this._sink.destroyed || this._sink.write(data)
+  }
+
+  /**
+   * Ends the current entry, if any
+   * @param {Number} [crc] The expected CRC-32 of the entry, if only known now
+   * @private
+   */
+  _closeEntry (crc) {
+    if (this._sink == null) return
+
+    if (crc != null) {
+      this._expected.crc = crc
+    }
+    this._sink.destroyed || this._sink.end()
+    this._entry = null
+    this._sink = null
+    this._expected = null
+  }
+
+  /**
+   * Waits for the current entry to drain or close
+   * @param {Function} cb Invoked once the entry can accept more data
+   * @private
+   */
+  _onDrain (cb) {
+    const sink = this._sink
+    const done = () => {
+      sink.removeListener('drain', done)
+      sink.removeListener('close', done)
+      cb()
+    }
+
+    sink.once('drain', done).once('close', done)
+  }
+}
+
+/**
+ * Reads a NUL-terminated string from a tar header
+ * @param {Buffer} buf The field of the header
+ * @returns {String}
+ * @private
+ */
+function readString (buf) {
+  const end = buf.indexOf(0)
+  return buf.slice(0, end === -1 ? buf.length : end).toString('utf8')
+}
+
+/**
+ * Reads a number from a tar header, in either octal or base-256
+ * @param {Buffer} buf The field of the header
+ * @returns {Number} The number, or `NaN` if invalid
+ * @private
+ */
+function readNumber (buf) {
+  if (buf[0] & 0x80) {
+    return buf.slice(1).reduce((num, byte) => num * 256 + byte, buf[0] & 0x7f)
+  }
+
+  const str = buf.toString('latin1').replace(/[\0 ]+$/, '').trim()
+  return /^[0-7]*$/.test(str)
+    ? parseInt(str || '0', 8)
+    : NaN
+}
+
+/**
+ * Parses the records of a pax extended header
+ * @param {Buffer} buf The extended header
+ * @returns {Object<String>} The values, indexed by keyword
+ * @private
+ */
+function parsePax (buf) {
+  const records = {}
+  let offset = 0
+
+  while (offset < buf.length) {
+    const space = buf.indexOf(0x20, offset)
+    const length = parseInt(buf.slice(offset, space).toString('latin1'), 10)
+    if (space === -1 || !(length > 0) || offset + length > buf.length) {
+      throw SmartStreamError.Malformed({ reason: 'invalid pax header' })
+    }
+
+    const record = buf.slice(space + 1, offset + length - 1).toString('utf8')
+    const equals = record.indexOf('=')
+    records[record.slice(0, equals)] = record.slice(equals + 1)
+    offset += length
+  }
+
+  return records
+}
+
+/**
+ * A transform that splits a (ustar, pax or GNU) tar archive into its entries
+ *
+ * Regular files and directories are pushed as entries, while links and other
+ * special files are skipped.
+ * @private
+ */
+class TarParser extends ArchiveParser {
+  /**
+   * Constructs a `TarParser`
+   * @param {Object} props Properties of the parser, as per {@link ArchiveParser}
+   * @returns {TarParser}
+   */
+  constructor (props) {
+    super(props, 'tar', 'header')
+
+    this._extended = {}
+    this._extendedType = null
+    this._remaining = 0
+    this._blockPadding = 0
+    this._recordPadding = RECORD_SIZE
+  }
+
+  /**
+   * Ignores the padding of the archive up to a full record, counting anything
+   * else after the end of the archive towards the maximum size
+   * @returns {Boolean}
+   * @private
+   */
+  _end () {
+    const length = Math.min(this._recordPadding, this._buf.length)
+    this._recordPadding -= length
+    this._buf = this._buf.slice(length)
+    return super._end()
+  }
+
+  /**
+   * Allows archives without the trailing zero blocks
+   * @returns {Boolean}
+   * @private
+   */
+  _isComplete () {
+    return this._state === 'end' || (this._state === 'header' && this._buf.length === 0)
+  }
+
+  /**
+   * Parses the header of an entry
+   * @returns {Boolean}
+   * @private
+   */
+  _header () {
+    if (this._buf.length < BLOCK_SIZE) return false
+
+    const header = this._buf.slice(0, BLOCK_SIZE)
+    this._buf = this._buf.slice(BLOCK_SIZE)
+
+    if (header.every(byte => byte === 0)) {
+      this._state = 'end'
+      return true
+    }
+
+    const checksum = header.reduce((sum, byte, i) => sum + (i >= 148 && i < 156 ? 0x20 : byte), 0)
+    if (readNumber(header.slice(148, 156)) !== checksum) {
+      throw SmartStreamError.Malformed({ entry: this._entries, reason: 'invalid header checksum' })
+    }
+
+    const type = String.fromCharCode(header[156])
+    const prefix = header.slice(257, 262).toString('latin1') === 'ustar'
+      ? readString(header.slice(345, 500))
+      : ''
+    const name = readString(header.slice(0, 100))
+    const meta = this._extended
+    const size = meta.size != null ? meta.size : readNumber(header.slice(124, 136))
+    const mtime = meta.mtime != null ? meta.mtime : readNumber(header.slice(136, 148))
+
+    if (isNaN(size) || isNaN(mtime)) {
+      throw SmartStreamError.Malformed({ entry: this._entries, reason: 'invalid header field' })
+    }
+
+    this._remaining = size
+    this._blockPadding = (BLOCK_SIZE - size % BLOCK_SIZE) % BLOCK_SIZE
+
+    if (['x', 'g', 'L', 'K'].includes(type)) {
+      if (size > META_LIMIT) {
+        throw SmartStreamError.Malformed({ entry: this._entries, reason: 'extended header is too large' })
+      }
+
+      this._extendedType = type
+      this._state = 'meta'
+      return true
+    }
+
+    this._extended = {}
+    this._state = 'data'
+    if (['0', '\0', '7', '5'].includes(type)) {
+      this._openEntry({
+        name: meta.path || (prefix === '' ? name : `${prefix}/${name}`),
+        type: type === '5' ? 'directory' : 'file',
+        size: type === '5' ? 0 : size,
+        mtime: new Date(mtime * 1000)
+      })
+    }
+
+    return true
+  }
+
+  /**
+   * Parses a pax or GNU extended header, applying it to the next entry
+   * @returns {Boolean}
+   * @private
+   */
+  _meta () {
+    const length = this._remaining + this._blockPadding
+    if (this._buf.length < length) return false
+
+    const data = this._buf.slice(0, this._remaining)
+    this._buf = this._buf.slice(length)
+    this._state = 'header'
+
+    if (this._extendedType === 'x') {
+      const records = parsePax(data)
+      Object.assign(this._extended,
+        records.path == null ? null : { path: records.path },
+        records.size == null ? null : { size: parseInt(records.size, 10) },
+        records.mtime == null ? null : { mtime: Math.floor(parseFloat(records.mtime)) })
+    } else if (this._extendedType === 'L') {
+      this._extended.path = readString(data)
+    }
+
+    return true
+  }
+
+  /**
+   * Writes the data of an entry, skipping it for ignored entries
+   * @returns {Boolean|Function}
+   * @private
+   */
+  _data () {
+    const length = Math.min(this._remaining, this._buf.length)
+    if (this._sink == null || this._sink.destroyed) {
+      this._skip(length)
+    }
+    const drained = this._writeEntry(this._buf.slice(0, length))
+
+    this._buf = this._buf.slice(length)
+    this._remaining -= length
+
+    if (this._remaining > 0) {
+      return drained
+        ? false
+        : cb => this._onDrain(cb)
+    }
+
+    this._closeEntry()
+    this._remaining = this._blockPadding
+    this._state = 'padding'
+    return true
+  }
+
+  /**
+   * Skips the padding of an entry, up to the next block
+   * @returns {Boolean}
+   * @private
+   */
+  _padding () {
+    const length = Math.min(this._remaining, this._buf.length)
+
+    this._buf = this._buf.slice(length)
+    this._remaining -= length
+
+    if (this._remaining > 0) return false
+
+    this._state = 'header'
+    return true
+  }
+}
+
+/**
+ * Parses the extra fields of a zip header that the parser understands
+ * @param {Buffer} buf The extra fields
+ * @param {Object} props The sizes from the header, for zip64 entries
+ * @returns {{mtime: ?Date, size: Number, compressedSize: Number, isZip64: Boolean}}
+ * @private
+ */
+function parseExtra (buf, props) {
+  const extra = Object.assign({ mtime: null, isZip64: false }, props)
+
+  for (let offset = 0; offset + 4 <= buf.length;) {
+    const id = buf.readUInt16LE(offset)
+    const field = buf.slice(offset + 4, offset + 4 + buf.readUInt16LE(offset + 2))
+    offset += 4 + field.length
+
+    if (id === 0x5455 && field.length >= 5 && (field[0] & 1)) {
+      extra.mtime = new Date(field.readInt32LE(1) * 1000)
+    } else if (id === 0x0001) {
+      let position = 0
+      extra.isZip64 = true
+      for (const name of ['size', 'compressedSize']) {
+        if (extra[name] === MAX_UINT32 && position + 8 <= field.length) {
+          extra[name] = readUInt64LE(field, position)
+          position += 8
+        }
+      }
+    }
+  }
+
+  return extra
+}
+
+/**
+ * Converts an MS-DOS date and time into a `Date`, in local time
+ * @param {Number} date The MS-DOS date
+ * @param {Number} time The MS-DOS time
+ * @returns {Date}
+ * @private
+ */
+function fromDosDateTime (date, time) {
+  return new Date((date >> 9) + 1980, ((date >> 5) & 15) - 1, date & 31,
+    time >> 11, (time >> 5) & 63, (time & 31) * 2)
+}
+
+/**
+ * A transform that splits a zip archive into its entries, as they appear in
+ * the stream
+ *
+ * Entries are read from their local headers, without seeking to the central
+ * directory. Entries whose size is only known from the data descriptor that
+ * follows them are read up to that descriptor. Stored and deflated entries are
+ * supported, but not encrypted ones.
+ * @private
+ */
+class ZipParser extends ArchiveParser {
+  /**
+   * Constructs a `ZipParser`
+   * @param {Object} props Properties of the parser, as per {@link ArchiveParser}
+   * @returns {ZipParser}
+   */
+  constructor (props) {
+    super(props, 'zip', 'header')
+
+    this._remaining = 0
+    this._written = 0
+    this._isZip64 = false
+  }
+
+  /**
+   * Parses the next record, which is either the local header of an entry or
+   * the start of the central directory
+   * @returns {Boolean}
+   * @private
+   */
+  _header () {
+    if (this._buf.length < 4) return false
+
+    const signature = this._buf.readUInt32LE(0)
+    if (signature === SIGNATURES.DATA_DESCRIPTOR && this._entries === 0) {
+      // Split archives start with the signature of a data descriptor
+      this._buf = this._buf.slice(4)
+      return true
+    } else if ([
+      SIGNATURES.CENTRAL_DIRECTORY,
+      SIGNATURES.END_OF_CENTRAL_DIRECTORY,
+      SIGNATURES.ZIP64_END_OF_CENTRAL_DIRECTORY
+    ].includes(signature)) {
+      this._state = 'end'
+      return true
+    } else if (signature !== SIGNATURES.LOCAL_FILE) {
+      throw SmartStreamError.Malformed({ entry: this._entries, reason: 'invalid signature' })
+    }
+
+    if (this._buf.length < 30) return false
+    const nameLength = this._buf.readUInt16LE(26)
+    const extraLength = this._buf.readUInt16LE(28)
+    const length = 30 + nameLength + extraLength
+    if (this._buf.length < length) return false
+
+    const header = this._buf.slice(0, length)
+    this._buf = this._buf.slice(length)
+
+    const flags = header.readUInt16LE(6)
+    const method = header.readUInt16LE(8)
+    const name = header.slice(30, 30 + nameLength).toString(flags & 0x800 ? 'utf8' : 'latin1')
+    const extra = parseExtra(header.slice(30 + nameLength), {
+      compressedSize: header.readUInt32LE(18),
+      size: header.readUInt32LE(22)
+    })
+    const hasDescriptor = (flags & 0x8) !== 0
+
+    if (flags & 0x1) {
+      throw SmartStreamError.Unsupported({ path: name, reason: 'encrypted entry' })
+    } else if (method !== METHODS.STORED && method !== METHODS.DEFLATED) {
+      throw SmartStreamError.Unsupported({ path: name, method })
+    }
+
+    this._remaining = extra.compressedSize
+    this._written = 0
+    this._isZip64 = extra.isZip64
+    this._state = hasDescriptor ? 'search' : 'data'
+
+    this._openEntry({
+      name,
+      type: name.endsWith('/') ? 'directory' : 'file',
+      size: hasDescriptor ? undefined : extra.size,
+      mtime: extra.mtime || fromDosDateTime(header.readUInt16LE(12), header.readUInt16LE(10)),
+      isDeflated: method === METHODS.DEFLATED,
+      crc: hasDescriptor ? undefined : header.readUInt32LE(14)
+    })
+
+    return true
+  }
+
+  /**
+   * Writes the data of an entry of a known (compressed) size
+   * @returns {Boolean|Function}
+   * @private
+   */
+  _data () {
+    const length = Math.min(this._remaining, this._buf.length)
+    const drained = this._writeEntry(this._buf.slice(0, length))
+
+    this._buf = this._buf.slice(length)
+    this._remaining -= length
+
+    if (this._remaining > 0) {
+      return drained
+        ? false
+        : cb => this._onDrain(cb)
+    }
+
+    this._closeEntry()
+    this._state = 'header'
+    return true
+  }
+
+  /**
+   * Writes the data of an entry of an unknown size, up to the data descriptor
+   * whose compressed size matches the data written so far
+   * @returns {Boolean|Function}
+   * @private
+   */
+  _search () {
+    const length = this._isZip64 ? 24 : 16
+    const readSize = offset => this._isZip64
+      ? readUInt64LE(this._buf, offset)
+      : this._buf.readUInt32LE(offset)
+
+    let index = this._buf.indexOf(DATA_DESCRIPTOR)
+    while (index !== -1 && index + length <= this._buf.length &&
+      readSize(index + 8) !== this._written + index) {
+      index = this._buf.indexOf(DATA_DESCRIPTOR, index + 1)
+    }
+
+    if (index === -1 || index + length > this._buf.length) {
+      // Keep what may be the start of the descriptor for the next chunk
+      const end = index === -1
+        ? Math.max(0, this._buf.length - DATA_DESCRIPTOR.length + 1)
+        : index
+      const drained = this._writeEntry(this._buf.slice(0, end))
+
+      this._buf = this._buf.slice(end)
+      this._written += end
+      return drained
+        ? false
+        : cb => this._onDrain(cb)
+    }
+
+    this._writeEntry(this._buf.slice(0, index))
+    this._closeEntry(this._buf.readUInt32LE(index + 4))
+    this._buf = this._buf.slice(index + length)
+    this._state = 'header'
+    return true
+  }
+}
+
+/**
+ * A transform that decompresses its input if it starts with the magic bytes of
+ * gzip, e.g. a `.tar.gz` archive sent as `application/gzip` or without any
+ * `Content-Encoding`, and passes it through otherwise
+ *
+ * The decompressed output is bounded as when decompressing a stream, erroring
+ * with a `CompressionBomb` error.
+ * @private
+ */
+class GzipSniffer extends Transform {
+  /**
+   * Constructs a `GzipSniffer`
+   * @param {Object} [props] Limits for the decompressed data
+   * @param {Number} [props.limit=Infinity] The maximum number of decompressed bytes
+   * @param {Number} [props.ratio=Infinity] The maximum ratio of decompressed to compressed bytes
+   * @returns {GzipSniffer}
+   */
+  constructor (props) {
+    super({
+      destroy: (err, cb) => {
+        if (this._gunzip != null) {
+          this._input.destroy()
+          this._gunzip.destroy()
+        }
+        cb(err)
+      }
+    })
+
+    this._props = props
+    this._head = Buffer.alloc(0)
+    this._input = null
+    this._gunzip = undefined
+  }
+
+  /**
+   * Sniffs the first bytes, then writes the input into the decompressor (with
+   * backpressure) or passes it through
+   * @param {Buffer} chunk The chunk
+   * @param {String} encoding The encoding of the chunk
+   * @param {Function} cb Invoked once done
+   * @private
+   */
+  _transform (chunk, encoding, cb) {
+    if (this._gunzip === undefined) {
+      this._head = Buffer.concat([this._head, chunk])
+      if (this._head.length < GZIP_MAGIC.length) {
+        return cb()
+      }
+
+      chunk = this._head
+      this._head = null
+      this._gunzip = chunk.slice(0, GZIP_MAGIC.length).equals(GZIP_MAGIC)
+        ? this._createGunzip()
+        : null
+    }
+
+    if (this._gunzip == null) {
+      cb(null, chunk)
+    } else if (this._input.write(chunk)) {
+      cb()
+    } else {
+      this._input.once('drain', cb)
+    }
+  }
+
+  /**
+   * Passes through a short input, or waits for the decompressor to end
+   * @param {Function} cb Invoked once done
+   * @private
+   */
+  _flush (cb) {
+    if (this._gunzip === undefined) {
+      cb(null, this._head)
+    } else if (this._gunzip === null) {
+      cb()
+    } else {
+      this._gunzip.once('end', () => cb())
+      this._input.end()
+    }
+  }
+
+  /**
+   * Resumes the decompressor, once the output is read
+   * @param {Number} size The number of bytes to read
+   * @private
+   */
+  _read (size) {
+    if (this._gunzip != null) this._gunzip.resume()
+    super._read(size)
+  }
+
+  /**
+   * Creates the (bounded) decompressor, pushing its output with backpressure
+   * @returns {Readable} The output of the decompressor
+   * @private
+   */
+  _createGunzip () {
+    this._input = new PassThrough()
+    const gunzip = Util.decompress('gzip', this._input, this._props)
+
+    return gunzip
+      .on('data', data => {
+        if (!this.push(data)) gunzip.pause()
+      })
+      .once('error', err => this.destroy(err.isSmartStreamError
+        ? err
+        : SmartStreamError.Malformed({ reason: 'invalid gzip stream' }, err)))
+  }
+}
+
+/**
+ * Creates a transform that decompresses gzip-compressed input, if any
+ * @param {Object} [props] Limits for the decompressed data, as per {@link GzipSniffer}
+ * @returns {GzipSniffer}
+ * @private
+ */
+function createGzipSniffer (props) {
+  return new GzipSniffer(props)
+}
+
+/**
+ * Creates a parser that splits an archive into its entries
+ * @param {String} format Either `tar` or `zip`
+ * @param {Object} props Properties of the parser, as per {@link ArchiveParser}
+ * @returns {ArchiveParser}
+ * @throws {TypeError} If the format or any limit is invalid
+ * @private
+ */
+function createParser (format, props) {
+  switch (format) {
+    case 'tar':
+      return new TarParser(props)
+    case 'zip':
+      return new ZipParser(props)
+    default:
+      throw new TypeError(`"${format}" is an invalid archive format!`)
+  }
+}
+
+/**
+ * Normalizes an entry to be written into an archive
+ *
+ * An entry is either an object with a `path` and its `data` (as a buffer, a
+ * string or a readable stream), or a readable stream with a `path` and
+ * (optionally) a `contentLength`, such as those pushed by {@link
+ * SmartStream#toArchiveEntries} or `fs.ReadStream`.
+ *
+ * @param {Object|Readable} entry The entry
+ * @returns {{path: String, type: String, size: ?Number, mtime: Date, data: Buffer|Readable}}
+ * @throws {SmartStreamError} An `UnsafePath` error for absolute or escaping paths
+ * @private
+ */
+function normalizeEntry (entry) {
+  const props = (entry != null && typeof entry.pipe === 'function')
+    ? { path: entry.path, type: entry.type, size: entry.contentLength, mtime: entry.mtime, data: entry }
+    : Object.assign({}, entry)
+
+  const isDirectory = props.type === 'directory' ||
+    (typeof props.path === 'string' && /[/\\]$/.test(props.path))
+  const data = (typeof props.data === 'string')
+    ? Buffer.from(props.data)
+    : props.data || Buffer.alloc(0)
+
+  return {
+    path: normalizePath(props.path),
+    type: isDirectory ? 'directory' : 'file',
+    size: isDirectory ? 0 : Buffer.isBuffer(data) ? data.length : props.size,
+    mtime: props.mtime == null ? new Date() : new Date(props.mtime),
+    data: isDirectory ? Buffer.alloc(0) : data
+  }
+}
+
+/**
+ * Returns the data of an entry as a readable stream
+ * @param {Buffer|Readable|AsyncIterable} data The data
+ * @returns {Readable}
+ * @private
+ */
+function toReadable (data) {
+  return typeof data.pipe === 'function'
+    ? data
+    : Readable.from(Buffer.isBuffer(data) ? [data] : data, { objectMode: false })
+}
+
+/**
+ * Reads the data of an entry as buffers
+ * @param {Buffer|Readable|AsyncIterable} data The data
+ * @returns {AsyncIterator<Buffer>}
+ * @private
+ */
+async function * readChunks (data) {
+  for await (const chunk of toReadable(data)) {
+    yield Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk)
+  }
+}
+
+/**
+ * Writes a string into a tar header field, truncating it to fit
+ * @param {Buffer} header The header
+ * @param {String} str The string
+ * @param {Number} offset The offset of the field
+ * @param {Number} length The length of the field
+ * @private
+ */
+function writeString (header, str, offset, length) {
+  Buffer.from(str).copy(header, offset, 0, length)
+}
+
+/**
+ * Writes a number into a tar header field, in octal
+ * @param {Buffer} header The header
+ * @param {Number} num The number
+ * @param {Number} offset The offset of the field
+ * @param {Number} length The length of the field
+ * @private
+ */
+function writeNumber (header, num, offset, length) {
+  writeString(header, `${num.toString(8).padStart(length - 1, '0')}\0`, offset, length)
+}
+
+/**
+ * Creates a ustar header block
+ * @param {Object} props Properties of the header
+ * @param {String} props.name The path of the entry
+ * @param {String} props.type The type flag of the entry
+ * @param {Number} props.size The size of the entry
+ * @param {Number} props.mtime The modification time of the entry, in seconds
+ * @param {Number} props.mode The permissions of the entry
+ * @returns {Buffer}
+ * @private
+ */
+function createTarHeader (props) {
+  const header = Buffer.alloc(BLOCK_SIZE)
+
+  writeString(header, props.name, 0, 100)
+  writeNumber(header, props.mode, 100, 8)
+  writeNumber(header, 0, 108, 8)
+  writeNumber(header, 0, 116, 8)
+  writeNumber(header, Math.min(props.size, MAX_TAR_SIZE), 124, 12)
+  writeNumber(header, Math.max(0, Math.min(props.mtime, MAX_TAR_SIZE)), 136, 12)
+  writeString(header, ' '.repeat(8), 148, 8)
+  writeString(header, props.type, 156, 1)
+  writeString(header, 'ustar\u000000', 257, 8)
+
+  const checksum = header.reduce((sum, byte) => sum + byte, 0)
+  writeString(header, `${checksum.toString(8).padStart(6, '0')}\0 `, 148, 8)
+  return header
+}
+
+/**
+ * Creates a pax record, prefixed with its own length
+ * @param {String} keyword The keyword of the record
+ * @param {String} value The value of the record
+ * @returns {String}
+ * @private
+ */
+function createPaxRecord (keyword, value) {
+  const record = ` ${keyword}=${value}\n`
+  let length = Buffer.byteLength(record)
+  length += String(length + String(length).length).length
+  return `${length}${record}`
+}
+
+/**
+ * Writes entries into a tar archive
+ *
+ * Paths longer than 100 bytes, and entries larger than 8GB, are written with a
+ * pax extended header. The data of entries of an unknown size is buffered.
+ *
+ * @param {Iterable|AsyncIterable} entries The entries
+ * @returns {AsyncIterator<Buffer>}
+ * @private
+ */
+async function * packTar (entries) {
+  for await (const entry of entries) {
+    let { path, type, size, mtime, data } = normalizeEntry(entry)
+    if (size == null) {
+      const chunks = []
+      for await (const chunk of readChunks(data)) chunks.push(chunk)
+      data = Buffer.concat(chunks)
+      size = data.length
+    }
+
+    const name = type === 'directory' ? `${path}/` : path
+    const seconds = Math.floor(mtime.getTime() / 1000)
+    const pax = (Buffer.byteLength(name) > 100 ? createPaxRecord('path', name) : '') +
+      (size > MAX_TAR_SIZE ? createPaxRecord('size', String(size)) : '')
+
+    if (pax !== '') {
+      const records = Buffer.from(pax)
+      yield createTarHeader({ name: 'PaxHeader', type: 'x', size: records.length, mtime: seconds, mode: 0o644 })
+      yield Buffer.concat([records, Buffer.alloc((BLOCK_SIZE - records.length % BLOCK_SIZE) % BLOCK_SIZE)])
+    }
+
+    yield createTarHeader({
+      name,
+      type: type === 'directory' ? '5' : '0',
+      size,
+      mtime: seconds,
+      mode: type === 'directory' ? 0o755 : 0o644
+    })
+
+    let written = 0
+    for await (const chunk of readChunks(data)) {
+      written += chunk.length
+      if (written > size) {
+        throw SmartStreamError.Overflow({ path, contentLength: size, size: written })
+      }
+      yield chunk
+    }
+
+    if (written < size) {
+      throw SmartStreamError.Truncated({ path, contentLength: size, size: written })
+    }
+    yield Buffer.alloc((BLOCK_SIZE - size % BLOCK_SIZE) % BLOCK_SIZE)
+  }
+
+  yield Buffer.alloc(BLOCK_SIZE * 2)
+}
+
+/**
+ * Converts a `Date` into an MS-DOS date and time, in local time
+ * @param {Date} date The date
+ * @returns {{date: Number, time: Number}}
+ * @private
+ */
+function toDosDateTime (date) {
+  const year = Math.min(Math.max(date.getFullYear(), 1980), 2107)
+  return {
+    date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1)
+  }
+}
+
+/**
+ * Creates the header of a zip entry, either local or in the central directory
+ * @param {Object} record The entry
+ * @param {Boolean} isCentral Whether or not to create the central directory header
+ * @returns {Buffer}
+ * @private
+ */
+function createZipHeader (record, isCentral) {
+  const offset = isCentral ? 16 : 14
+  const header = Buffer.alloc(46)
+  const { date, time } = toDosDateTime(record.mtime)
+
+  if (isCentral) {
+    header.writeUInt32LE(SIGNATURES.CENTRAL_DIRECTORY, 0)
+    header.writeUInt16LE(0x031e, 4)
+    header.writeUInt32LE(((record.isDirectory ? 0o40755 : 0o100644) << 16 | (record.isDirectory ? 0x10 : 0)) >>> 0, 38)
+    header.writeUInt32LE(record.offset, 42)
+  } else {
+    header.writeUInt32LE(SIGNATURES.LOCAL_FILE, 0)
+  }
+
+  header.writeUInt16LE(20, offset - 10)
+  header.writeUInt16LE(record.flags, offset - 8)
+  header.writeUInt16LE(record.method, offset - 6)
+  header.writeUInt16LE(time, offset - 4)
+  header.writeUInt16LE(date, offset - 2)
+  if (isCentral) {
+    header.writeUInt32LE(record.crc, offset)
+    header.writeUInt32LE(record.compressedSize, offset + 4)
+    header.writeUInt32LE(record.size, offset + 8)
+  }
+  header.writeUInt16LE(record.name.length, offset + 12)
+  header.writeUInt16LE(record.extra.length, offset + 14)
+
+  return Buffer.concat([isCentral ? header : header.slice(0, 30), record.name, record.extra])
+}
+
+/**
+ * Deflates the data of a zip entry, computing its size and CRC-32
+ * @param {Buffer|Readable} data The data
+ * @param {Object} record The entry, whose `size` and `crc` are updated
+ * @returns {Readable} The deflated data
+ * @private
+ */
+function deflate (data, record) {
+  const counter = new Transform({
+    transform: (chunk, encoding, cb) => {
+      record.size += chunk.length
+      record.crc = crc32(chunk, record.crc)
+      cb(null, chunk)
+    }
+  })
+
+  return Util.pipe(Util.pipe(toReadable(data), counter), zlib.createDeflateRaw())
+}
+
+/**
+ * Writes entries into a zip archive
+ *
+ * Entries are deflated as they are written, followed by a data descriptor with
+ * their size and CRC-32. Archives that would need zip64 (i.e. beyond 4GB or
+ * 65535 entries) are not supported.
+ *
+ * @param {Iterable|AsyncIterable} entries The entries
+ * @returns {AsyncIterator<Buffer>}
+ * @private
+ */
+async function * packZip (entries) {
+  const records = []
+  let offset = 0
+
+  for await (const entry of entries) {
+    const { path, type, mtime, data } = normalizeEntry(entry)
+    const isDirectory = type === 'directory'
+    const extra = Buffer.alloc(9)
+    extra.writeUInt16LE(0x5455, 0)
+    extra.writeUInt16LE(5, 2)
+    extra.writeUInt8(1, 4)
+    extra.writeInt32LE(Math.floor(mtime.getTime() / 1000), 5)
+
+    const record = {
+      name: Buffer.from(isDirectory ? `${path}/` : path),
+      extra,
+      mtime,
+      isDirectory,
+      offset,
+      flags: isDirectory ? 0x800 : 0x808,
+      method: isDirectory ? METHODS.STORED : METHODS.DEFLATED,
+      crc: 0,
+      size: 0,
+      compressedSize: 0
+    }
+
+    const header = createZipHeader(record, false)
+    offset += header.length
+    yield header
+
+    if (!isDirectory) {
+      for await (const chunk of deflate(data, record)) {
+        record.compressedSize += chunk.length
+        offset += chunk.length
+        yield chunk
+      }
+
+      const descriptor = Buffer.alloc(16)
+      descriptor.writeUInt32LE(SIGNATURES.DATA_DESCRIPTOR, 0)
+      descriptor.writeUInt32LE(record.crc, 4)
+      descriptor.writeUInt32LE(record.compressedSize, 8)
+      descriptor.writeUInt32LE(record.size, 12)
+      offset += descriptor.length
+      yield descriptor
+    }
+
+    records.push(record)
+    if (offset > MAX_UINT32 || records.length > 0xffff) {
+      throw SmartStreamError.Unsupported({ format: 'zip64' })
+    }
+  }
+
+  const directory = Buffer.concat(records.map(record => createZipHeader(record, true)))
+  const end = Buffer.alloc(22)
+  end.writeUInt32LE(SIGNATURES.END_OF_CENTRAL_DIRECTORY, 0)
+  end.writeUInt16LE(records.length, 8)
+  end.writeUInt16LE(records.length, 10)
+  end.writeUInt32LE(directory.length, 12)
+  end.writeUInt32LE(offset, 16)
+
+  if (offset + directory.length > MAX_UINT32) {
+    throw SmartStreamError.Unsupported({ format: 'zip64' })
+  }
+  yield Buffer.concat([directory, end])
+}
+
+/**
+ * Writes entries into an archive
+ * @param {Iterable|AsyncIterable} entries The entries, as per {@link normalizeEntry}
+ * @param {String} format Either `tar` or `zip`
+ * @returns {AsyncIterator<Buffer>}
+ * @throws {TypeError} If the format is invalid
+ * @private
+ */
+function pack (entries, format) {
+  switch (format) {
+    case 'tar':
+      return packTar(entries)
+    case 'zip':
+      return packZip(entries)
+    default:
+      throw new TypeError(`"${format}" is an invalid archive format!`)
+  }
+}
+
+/**
+ * Export the helpers
+ * @type {Object}
+ */
+module.exports = {
+  FORMATS,
+  getFormat,
+  createGzipSniffer,
+  createParser,
+  pack
+}
@@ -0,0 +1,297 @@
+/**
+ * @file Decodes and transcodes text between character sets
+ * @private
+ */
+'use strict'
+
+const SmartStreamError = require('./error')
+const { StringDecoder } = require('string_decoder')
+const { Transform } = require('stream')
+const { TextDecoder } = require('util')
+
+/**
+ * The names of the character sets handled natively, mapped to their canonical
+ * name
+ * @type {Object<String>}
+ * @private
+ */
+const CHARSETS = {
+  'utf-8': 'utf-8',
+  utf8: 'utf-8',
+  'unicode-1-1-utf-8': 'utf-8',
+  'utf-16le': 'utf-16le',
+  utf16le: 'utf-16le',
+  'utf-16be': 'utf-16be',
+  'utf-16': 'utf-16',
+  'iso-8859-1': 'latin1',
+  iso_8859_1: 'latin1',
+  'iso_8859-1': 'latin1',
+  latin1: 'latin1',
+  l1: 'latin1',
+  'us-ascii': 'ascii',
+  ascii: 'ascii'
+}
+
+/**
+ * The byte-order marks of the Unicode encodings, in the order they are checked
+ * @type {Array<{charset: String, bom: Buffer}>}
+ * @private
+ */
+const BOMS = [
+  { charset: 'utf-8', bom: Buffer.from([0xef, 0xbb, 0xbf]) },
+  { charset: 'utf-16le', bom: Buffer.from([0xff, 0xfe]) },
+  { charset: 'utf-16be', bom: Buffer.from([0xfe, 0xff]) }
+]
+
+/**
+ * The character sets that text can be encoded into
+ * @type {String[]}
+ * @private
+ */
+const TARGETS = ['utf-8', 'utf-16le', 'utf-16be', 'latin1', 'ascii']
+
+/**
+ * Returns the canonical name of a character set
+ *
+ * Character sets that are not handled natively are returned as-is (lower-cased)
+ * if they are supported by `TextDecoder`, e.g. `windows-1252` or `shift_jis`.
+ *
+ * @param {String} charset The name of the character set
+ * @returns {?String} The canonical name, or `null` if unsupported
+ * @private
+ */
+function normalize (charset) {
+  const name = String(charset).trim().toLowerCase()
+  if (CHARSETS[name] != null) {
+    return CHARSETS[name]
+  }
+
+  try {
+    return new TextDecoder(name) && name
+  } catch (err) {
+    return null
+  }
+}
+
+/**
+ * Creates an incremental decoder for a (canonical) character set
+ * @param {String} charset The character set
+ * @returns {{write: Function, end: Function}}
+ * @private
+ */
+function createDecoder (charset) {
+  if (charset === 'utf-16be') {
+    // Swap the byte-order of every (complete) code-unit and decode as UTF-16LE
+    const decoder = new StringDecoder('utf16le')
+    let pending = Buffer.alloc(0)
+    const swap = buf => {
+      const data = Buffer.concat([pending, buf])
+      const length = data.length - (data.length % 2)
+      pending = data.slice(length)
+      return Buffer.from(data.slice(0, length)).swap16()
+    }
+
+    return {
+      write: buf => decoder.write(swap(buf)),
+      end: () => decoder.end(swap(Buffer.alloc(0))) + (pending.length > 0 ? '\ufffd' : '')
+    }
+  } else if (['utf-8', 'utf-16le', 'latin1', 'ascii'].includes(charset)) {
+    const decoder = new StringDecoder(charset === 'utf-16le' ? 'utf16le' : charset)
+    return {
+      write: buf => decoder.write(buf),
+      end: () => decoder.end()
+    }
+  }
+
+  const decoder = new TextDecoder(charset)
+  return {
+    write: buf => decoder.decode(buf, { stream: true }),
+    end: () => decoder.decode()
+  }
+}
+
+/**
+ * Encodes text into a (canonical) character set, replacing the characters that
+ * cannot be represented with `?`
+ * @param {String} str The text
+ * @param {String} charset The character set
+ * @returns {Buffer}
+ * @private
+ */
+function encode (str, charset) {
+  switch (charset) {
+    case 'utf-16be':
+      return Buffer.from(str, 'utf16le').swap16()
+    case 'utf-16le':
+      return Buffer.from(str, 'utf16le')
+    case 'latin1':
+      return Buffer.from(str.replace(/[\u0100-\u{10ffff}]/gu, '?'), 'latin1')
+    case 'ascii':
+      return Buffer.from(str.replace(/[\u0080-\u{10ffff}]/gu, '?'), 'latin1')
+    default:
+      return Buffer.from(str, 'utf8')
+  }
+}
+
+/**
+ * Detects the character set of text from its byte-order mark, if any
+ *
+ * Text declared as `utf-16` without a byte-order mark is big-endian, as per
+ * RFC 2781.
+ *
+ * @param {Buffer} head The first (up to 3) bytes of the text
+ * @param {String} charset The declared (canonical) character set
+ * @returns {{charset: String, bomLength: Number}}
+ * @private
+ */
+function detectCharset (head, charset) {
+  const match = BOMS.find(({ bom }) => head.slice(0, bom.length).equals(bom))
+
+  return (match != null)
+    ? { charset: match.charset, bomLength: match.bom.length }
+    : { charset: charset === 'utf-16' ? 'utf-16be' : charset, bomLength: 0 }
+}
+
+/**
+ * A transform stream that transcodes text from one character set into another
+ *
+ * A byte-order mark at the start of the text overrides the source character
+ * set, and is removed.
+ * @private
+ */
+class Transcoder extends Transform {
+  /**
+   * Constructs a `Transcoder`
+   * @param {String} from The character set of the input
+   * @param {String} to The character set of the output
+   * @returns {Transcoder}
+   */
+  constructor (from, to) {
+    super()
+
+    this._from = from
+    this._to = to
+    this._head = Buffer.alloc(0)
+    this._decoder = null
+  }
+
+  /**
+   * Decodes a chunk, once the byte-order mark (if any) has been detected
+   * @param {Buffer} chunk The chunk
+   * @param {String} encoding The encoding of the chunk
+   * @param {Function} cb Invoked with the transcoded chunk
+   * @private
+   */
+  _transform (chunk, encoding, cb) {
+    if (this._decoder == null) {
+      this._head = Buffer.concat([this._head, chunk])
+      if (this._head.length < 3) {
+        return cb()
+      }
+
+      chunk = this._start()
+    }
+
+    this._output(this._decoder.write(chunk), cb)
+  }
+
+  /**
+   * Decodes the remaining bytes
+   * @param {Function} cb Invoked once done
+   * @private
+   */
+  _flush (cb) {
+    const head = (this._decoder == null)
+      ? this._start()
+      : Buffer.alloc(0)
+
+    this._output(this._decoder.write(head) + this._decoder.end(), cb)
+  }
+
+  /**
+   * Creates the decoder for the character set, detected from the byte-order
+   * mark or declared
+   * @returns {Buffer} The bytes received so far, without the byte-order mark
+   * @private
+   */
+  _start () {
+    const { charset, bomLength } = detectCharset(this._head, this._from)
+
+    this._decoder = createDecoder(charset)
+    return this._head.slice(bomLength)
+  }
+
+  /**
+   * Pushes decoded text, encoded into the target character set
+   * @param {String} str The text
+   * @param {Function} cb Invoked once pushed
+   * @private
+   */
+  _output (str, cb) {
+    if (str.length === 0) {
+      cb()
+    } else {
+      cb(null, encode(str, this._to))
+    }
+  }
+}
+
+/**
+ * Returns whether or not a character set is supported
+ * @param {String} charset The name of the character set
+ * @returns {Boolean}
+ * @private
+ */
+function isSupported (charset) {
+  return normalize(charset) != null
+}
+
+/**
+ * Decodes a buffer of text in a character set
+ * @param {Buffer} buf The buffer
+ * @param {String} charset The name of the character set
+ * @returns {String}
+ * @throws {SmartStreamError} An `Unsupported` error for unknown character sets
+ * @private
+ */
+function decode (buf, charset) {
+  const source = normalize(charset)
+  if (source == null) {
+    throw SmartStreamError.Unsupported({ charset })
+  }
+
+  const detected = detectCharset(buf, source)
+  const decoder = createDecoder(detected.charset)
+  return decoder.write(buf.slice(detected.bomLength)) + decoder.end()
+}
+
+/**
+ * Creates a transform stream that transcodes text between character sets
+ * @param {String} from The name of the character set of the input
+ * @param {String} to The name of the character set of the output
+ * @returns {Transcoder}
+ * @throws {SmartStreamError} An `Unsupported` error for unknown character sets
+ * @private
+ */
+function createTranscoder (from, to) {
+  const source = normalize(from)
+  const target = normalize(to)
+
+  if (source == null) {
+    throw SmartStreamError.Unsupported({ charset: from })
+  } else if (!TARGETS.includes(target)) {
+    throw SmartStreamError.Unsupported({ charset: to })
+  }
+
+  return new Transcoder(source, target)
+}
+
+/**
+ * Export the helpers
+ * @type {Object}
+ */
+module.exports = {
+  isSupported,
+  decode,
+  createTranscoder
+}
@@ -0,0 +1,409 @@
+/**
+ * @file Parses and generates CSV (RFC 4180) and TSV streams
+ * @private
+ */
+'use strict'
+
+const SmartStreamError = require('./error')
+const { DEFAULT_RECORD_LIMIT } = require('./object-stream')
+const { StringDecoder } = require('string_decoder')
+const { Transform } = require('stream')
+
+/**
+ * The dialects of the supported MIME-types
+ *
+ * Unlike CSV, TSV has no quoting: fields simply cannot hold tabs or newlines.
+ * @type {Object}
+ * @private
+ */
+const FORMATS = {
+  'text/csv': { delimiter: ',', quote: true, eol: '\r\n' },
+  'text/tab-separated-values': { delimiter: '\t', quote: false, eol: '\n' }
+}
+
+/**
+ * The default maximum number of columns of a row
+ * @type {Number}
+ * @private
+ */
+const DEFAULT_MAX_COLUMNS = 1000
+
+/**
+ * The first characters of a field that spreadsheets evaluate as a formula
+ * @type {RegExp}
+ * @private
+ */
+const FORMULA = /^[=+\-@\t\r]/
+
+/**
+ * Splits text into rows, as it is written, turning them into objects keyed by
+ * the `columns`, or by the fields of the header row
+ *
+ * Empty lines are skipped (unlike a quoted empty field), and both CRLF and LF
+ * end a row.
+ * @private
+ */
+class RowReader {
+  /**
+   * Constructs a `RowReader`
+   * @param {String} type The MIME-type of the text
+   * @param {Object} [props] Properties of the reader
+   * @param {String[]} [props.columns] The names of the columns; read from the header row by default
+   * @param {Number} [props.maxColumns=1000] The maximum number of columns of a row
+   * @param {Number} [props.maxFieldSize=65536] The maximum length (in characters) of a field
+   * @returns {RowReader}
+   */
+  constructor (type, props) {
+    props = Object.assign({
+      maxColumns: DEFAULT_MAX_COLUMNS,
+      maxFieldSize: DEFAULT_RECORD_LIMIT
+    }, props)
+
+    if (props.columns != null && (!Array.isArray(props.columns) ||
+      props.columns.some(column => typeof column !== 'string'))) {
+      throw new TypeError('columns must be an array of strings!')
+    } else if (isNaN(+props.maxColumns) || +props.maxColumns <= 0) {
+      throw new TypeError(`${props.maxColumns} is an invalid max columns!`)
+    } else if (isNaN(+props.maxFieldSize) || +props.maxFieldSize <= 0) {
+      throw new TypeError(`${props.maxFieldSize} is an invalid max field size!`)
+    }
+
+    this._format = FORMATS[type]
+    this._maxColumns = +props.maxColumns
+    this._maxFieldSize = +props.maxFieldSize
+    this._columns = null
+    this._index = 0
+    this._state = 'start'
+    this._row = []
+    this._field = ''
+    this._isQuoted = false
+    this._skipLF = false
+    this._isFirst = true
+
+    if (props.columns != null) {
+      this._setColumns(props.columns)
+    }
+  }
+
+  /**
+   * Reads a piece of text
+   * @param {String} text The text
+   * @returns {Object[]} The rows completed by the text
+   * @throws {SmartStreamError} A `Malformed`, `TooManyColumns` or `FieldTooLong` error
+   */
+  write (text) {
+    const rows = []
+    const { delimiter, quote } = this._format
+
+    if (this._isFirst && text.length > 0) {
+      this._isFirst = false
+      if (text[0] === '\ufeff') text = text.slice(1)
+    }
+
+    for (const c of text) {
+      if (this._skipLF) {
+        this._skipLF = false
+        if (c === '\n') continue
+      }
+
+      if (this._state === 'quoted') {
+        if (c === '"') {
+          this._state = 'quote'
+        } else {
+          this._append(c)
+        }
+        continue
+      } else if (this._state === 'quote') {
+        if (c === '"') {
+          this._state = 'quoted'
+          this._append(c)
+          continue
+        } else if (c !== delimiter && c !== '\r' && c !== '\n') {
+          throw SmartStreamError.Malformed({ row: this._index, reason: 'unexpected character after a quoted field' })
+        }
+      }
+
+      if (c === delimiter) {
+        this._endField()
+      } else if (c === '\r' || c === '\n') {
+        this._endField()
+        this._endRow(rows)
+        this._skipLF = c === '\r'
+      } else if (c === '"' && quote) {
+        if (this._state !== 'start') {
+          throw SmartStreamError.Malformed({ row: this._index, reason: 'unexpected quote in an unquoted field' })
+        }
+        this._state = 'quoted'
+      } else {
+        this._state = 'unquoted'
+        this._append(c)
+      }
+    }
+
+    return rows
+  }
+
+  /**
+   * Ends the text
+   * @returns {Object[]} The last row, if any
+   * @throws {SmartStreamError} A `Malformed` error if a quoted field is not terminated
+   */
+  end () {
+    const rows = []
+
+    if (this._state === 'quoted') {
+      throw SmartStreamError.Malformed({ row: this._index, reason: 'unterminated quoted field' })
+    } else if (this._state !== 'start' || this._row.length > 0) {
+      this._endField()
+      this._endRow(rows)
+    }
+
+    return rows
+  }
+
+  /**
+   * Appends a character to the current field
+   * @param {String} c The character
+   * @private
+   */
+  _append (c) {
+    this._field += c
+    if (this._field.length > this._maxFieldSize) {
+      throw SmartStreamError.FieldTooLong({
+        row: this._index,
+        column: this._row.length,
+        maxFieldSize: this._maxFieldSize
+      })
+    }
+  }
+
+  /**
+   * Ends the current field
+   * @private
+   */
+  _endField () {
+    // A quoted field ends in the `quote` state
+    this._isQuoted = this._state === 'quote'
+    this._row.push(this._field)
+    this._field = ''
+    this._state = 'start'
+
+    if (this._row.length > this._maxColumns) {
+      throw SmartStreamError.TooManyColumns({ row: this._index, maxColumns: this._maxColumns })
+    }
+  }
+
+  /**
+   * Ends the current row, which sets the columns if it is the header row
+   * @param {Object[]} rows The rows to add the row to
+   * @private
+   */
+  _endRow (rows) {
+    const row = this._row
+    this._row = []
+
+    // An empty line, unlike a single quoted empty field (`""`), is skipped
+    if (row.length === 1 && row[0] === '' && !this._isQuoted) {
+      return
+    } else if (this._columns == null) {
+      this._setColumns(row)
+    } else if (row.length !== this._columns.length) {
+      throw SmartStreamError.Malformed({
+        row: this._index,
+        reason: 'unexpected number of fields',
+        expected: this._columns.length,
+        actual: row.length
+      })
+    } else {
+      // Defining the properties keeps a `__proto__` column from replacing the
+      // prototype of the row
+      rows.push(this._columns.reduce((obj, column, i) => Object.defineProperty(obj, column, {
+        value: row[i],
+        enumerable: true,
+        writable: true,
+        configurable: true
+      }), {}))
+    }
+
+    this._index++
+  }
+
+  /**
+   * Sets the names of the columns
+   * @param {String[]} columns The names of the columns
+   * @private
+   */
+  _setColumns (columns) {
+    if (columns.length > this._maxColumns) {
+      throw SmartStreamError.TooManyColumns({ row: this._index, maxColumns: this._maxColumns })
+    }
+
+    const duplicate = columns.find((column, i) => columns.indexOf(column) !== i)
+    if (duplicate != null) {
+      throw SmartStreamError.Malformed({ row: this._index, reason: `duplicate column "${duplicate}"` })
+    }
+
+    this._columns = columns
+  }
+}
+
+/**
+ * A transform that parses a UTF-8 CSV or TSV stream into row objects
+ * @private
+ */
+class RowParser extends Transform {
+  /**
+   * Constructs a `RowParser`
+   * @param {String} type The MIME-type of the stream
+   * @param {Object} [props] Properties of the parser, as for a {@link RowReader}
+   * @returns {RowParser}
+   */
+  constructor (type, props) {
+    const reader = new RowReader(type, props)
+    const decoder = new StringDecoder('utf8')
+
+    super({
+      readableObjectMode: true,
+      transform: (chunk, encoding, cb) => {
+        try {
+          this._pushRows(reader.write(decoder.write(chunk)))
+          cb()
+        } catch (err) {
+          cb(err)
+        }
+      },
+      flush: (cb) => {
+        try {
+          this._pushRows(reader.write(decoder.end()))
+          this._pushRows(reader.end())
+          cb()
+        } catch (err) {
+          cb(err)
+        }
+      },
+      destroy: (err, cb) => {
+        // istanbul ignore else
+        if (err == null || err.isSmartStreamError) {
+          cb(err)
+        } else {
+          cb(SmartStreamError.Unexpected(err))
+        }
+      }
+    })
+  }
+
+  /**
+   * Pushes rows
+   * @param {Object[]} rows The rows
+   * @private
+   */
+  _pushRows (rows) {
+    rows.forEach(row => this.push(row))
+  }
+}
+
+/**
+ * Creates a parser for the specified MIME-type
+ * @param {String} type The MIME-type of the stream
+ * @param {Object} [props] Properties of the parser, as for a {@link RowReader}
+ * @returns {RowParser}
+ * @throws {TypeError} If any property is invalid
+ * @private
+ */
+function createParser (type, props) {
+  // istanbul ignore if
+  if (FORMATS[type] == null) {
+    throw SmartStreamError.Unexpected(`unknown MIME-type "${type}"!`)
+  }
+
+  return new RowParser(type, props)
+}
+
+/**
+ * Formats the fields of a row as a line
+ * @param {Object} format The dialect of the line
+ * @param {Array} values The values of the fields
+ * @param {Boolean} escapeFormulas Whether or not to prefix string fields that start like a formula with `'`
+ * @returns {String}
+ * @private
+ */
+function formatRow (format, values, escapeFormulas) {
+  return values.map(value => {
+    let field = value == null
+      ? ''
+      : (value instanceof Date ? value.toISOString() : String(value))
+
+    if (escapeFormulas && typeof value === 'string' && FORMULA.test(field)) {
+      field = `'${field}`
+    }
+
+    if (!format.quote) {
+      if (/[\t\r\n]/.test(field)) {
+        throw new TypeError(`field "${field}" must not contain tabs or newlines!`)
+      }
+      return field
+    }
+
+    return /[",\r\n]/.test(field)
+      ? `"${field.replace(/"/g, '""')}"`
+      : field
+  }).join(format.delimiter) + format.eol
+}
+
+/**
+ * Serializes a (possibly asynchronous) iterable of rows, one row at a time,
+ * into the specified MIME-type, starting with a header row
+ *
+ * Rows are either objects, whose values are picked by the `columns` (the keys
+ * of the first row by default), or arrays of values. Without `columns`, arrays
+ * are serialized without a header row.
+ *
+ * @param {String} type The MIME-type of the stream
+ * @param {Iterable|AsyncIterable} iterable The rows to serialize
+ * @param {Object} [props] Properties of the serializer
+ * @param {String[]} [props.columns] The names of the columns
+ * @param {Boolean} [props.escapeFormulas=false] Whether or not to prefix string fields that start like a formula with `'`
+ * @returns {AsyncIterable<Buffer>}
+ * @private
+ */
+async function * serialize (type, iterable, props) {
+  // istanbul ignore if
+  if (FORMATS[type] == null) {
+    throw SmartStreamError.Unexpected(`unknown MIME-type "${type}"!`)
+  }
+
+  const format = FORMATS[type]
+  const escapeFormulas = props != null && props.escapeFormulas === true
+  let columns = props == null ? undefined : props.columns
+  let isFirst = true
+
+  for await (const row of iterable) {
+    if (row == null || typeof row !== 'object') {
+      throw new TypeError(`${row} is an invalid row!`)
+    }
+
+    if (isFirst) {
+      isFirst = false
+      if (columns == null && !Array.isArray(row)) {
+        columns = Object.keys(row)
+      }
+      if (columns != null) {
+        yield Buffer.from(formatRow(format, columns, escapeFormulas))
+      }
+    }
+
+    yield Buffer.from(formatRow(format, Array.isArray(row)
+      ? row
+      : columns.map(column => row[column]), escapeFormulas))
+  }
+}
+
+/**
+ * Export the parser and serializer
+ * @type {Object}
+ */
+module.exports = {
+  FORMATS,
+  createParser,
+  serialize
+}
@@ -0,0 +1,188 @@
+/**
+ * @file Computes and parses digests of streams
+ * @private
+ */
+'use strict'
+
+const crypto = require('crypto')
+
+/**
+ * The lookup table for CRC-32C (Castagnoli)
+ * @type {Int32Array}
+ * @private
+ */
+const CRC32C_TABLE = new Int32Array(256).map((_, n) => {
+  for (let k = 0; k < 8; k++) {
+    n = (n & 1) ? (n >>> 1) ^ 0x82f63b78 : n >>> 1
+  }
+  return n
+})
+
+/**
+ * Names of digest algorithms used in HTTP headers, mapped to the algorithms
+ * computed by this module
+ * @type {Object<String>}
+ * @private
+ */
+const HTTP_ALGORITHMS = {
+  'sha-512': 'sha512',
+  'sha-256': 'sha256',
+  sha: 'sha1',
+  md5: 'md5',
+  crc32c: 'crc32c'
+}
+
+/**
+ * Matches the value of a `Content-MD5` header, i.e. a base64-encoded digest of
+ * 16 bytes
+ * @type {RegExp}
+ * @private
+ */
+const CONTENT_MD5 = /^[A-Za-z0-9+/]{21}[AQgw]==$/
+
+/**
+ * Matches an item of a `Digest` or `Repr-Digest` header, i.e. an algorithm and
+ * its digest
+ * @type {RegExp}
+ * @private
+ */
+const DIGEST_ITEM = /^([A-Za-z0-9-]+)=(\S+)$/
+
+/**
+ * Matches a base64-encoded digest, optionally wrapped in colons
+ * @type {RegExp}
+ * @private
+ */
+const BASE64_DIGEST = /^(:?)((?:[A-Za-z0-9+/]{4})+(?:[A-Za-z0-9+/]{2}==|[A-Za-z0-9+/]{3}=)?|[A-Za-z0-9+/]{2}==|[A-Za-z0-9+/]{3}=)\1$/
+
+/**
+ * Computes a CRC-32C checksum, mirroring the interface of `crypto.Hash`
+ * @private
+ */
+class Crc32c {
+  /**
+   * Constructs a `Crc32c`
+   * @returns {Crc32c}
+   */
+  constructor () {
+    this._crc = 0xffffffff
+  }
+
+  /**
+   * Updates the checksum with the specified data
+   * @param {Buffer} data The data
+   * @returns {Crc32c}
+   */
+  update (data) {
+    let crc = this._crc
+    for (let i = 0; i < data.length; i++) {
+      crc = CRC32C_TABLE[(crc ^ data[i]) & 0xff] ^ (crc >>> 8)
+    }
+    this._crc = crc
+    return this
+  }
+
+  /**
+   * Returns the checksum as a big-endian buffer
+   * @returns {Buffer}
+   */
+  digest () {
+    const buf = Buffer.alloc(4)
+    buf.writeUInt32BE((this._crc ^ 0xffffffff) >>> 0)
+    return buf
+  }
+}
+
+/**
+ * Returns whether or not the specified digest algorithm is supported
+ * @param {String} algorithm The name of the algorithm
+ * @returns {Boolean}
+ * @private
+ */
+function isSupported (algorithm) {
+  return algorithm === 'crc32c' || crypto.getHashes().includes(algorithm)
+}
+
+/**
+ * Creates a hash for the specified algorithm
+ * @param {String} algorithm The name of the algorithm
+ * @returns {Hash|Crc32c}
+ * @private
+ */
+function createHash (algorithm) {
+  return algorithm === 'crc32c'
+    ? new Crc32c()
+    : crypto.createHash(algorithm)
+}
+
+/**
+ * Parses an expected digest into buffers, indexed by algorithm
+ *
+ * The expected digest may either be an object of hex-encoded digests indexed by
+ * algorithm (e.g. `{ sha256: '...' }`), or the value of one of these headers:
+ *
+ * - `Content-MD5`: `Q2hlY2sgSW50ZWdyaXR5IQ==`
+ * - `Digest`: `sha-256=X48E9qOokqqrvdts8nOJRJN3OWDUoyWxBf7kbu9DBPE=,md5=...`
+ * - `Repr-Digest`: `sha-256=:X48E9qOokqqrvdts8nOJRJN3OWDUoyWxBf7kbu9DBPE=:`
+ *
+ * Well-formed header items of unsupported algorithms are skipped, so that a
+ * header offering only unsupported algorithms yields no digests at all.
+ *
+ * @param {String|Object<String>} expected The expected digest
+ * @returns {?Object<Buffer>} The digests, or `null` if the expected digest is invalid
+ * @private
+ */
+function parseExpected (expected) {
+  const result = {}
+
+  if (expected != null && typeof expected === 'object') {
+    for (const algorithm of Object.keys(expected)) {
+      if (!isSupported(algorithm) || !/^([0-9a-f]{2})+$/i.test(expected[algorithm])) {
+        return null
+      }
+      result[algorithm] = Buffer.from(expected[algorithm], 'hex')
+    }
+  } else if (typeof expected === 'string') {
+    const items = expected.split(',').map(item => item.trim())
+
+    // A `Content-MD5` header is the base64 encoding of exactly 16 bytes, which
+    // also tells it apart from a single `Digest` item, e.g. `unixsum=30637`
+    if (items.length === 1 && CONTENT_MD5.test(items[0])) {
+      result.md5 = Buffer.from(items[0], 'base64')
+    } else {
+      for (const item of items) {
+        const match = DIGEST_ITEM.exec(item)
+        if (match == null) {
+          return null
+        }
+
+        // Skip algorithms that cannot be computed, as the header may offer many
+        const algorithm = HTTP_ALGORITHMS[match[1].toLowerCase()]
+        if (algorithm == null || !isSupported(algorithm)) {
+          continue
+        }
+
+        const value = BASE64_DIGEST.exec(match[2])
+        const digest = value == null ? null : Buffer.from(value[2], 'base64')
+        if (digest == null || digest.length !== createHash(algorithm).digest().length) {
+          return null
+        }
+        result[algorithm] = digest
+      }
+    }
+
+    return result
+  }
+
+  return Object.keys(result).length > 0 ? result : null
+}
+
+/**
+ * Export the helpers
+ * @type {Object}
+ */
+module.exports = {
+  isSupported,
+  createHash,
+  parseExpected
+}
@@ -0,0 +1,435 @@
+/**
+ * @file Encrypts and decrypts streams in a chunked AES-256-GCM envelope
+ * @private
+ */
+'use strict'
+
+const { createCipheriv, createDecipheriv, createHash, createHmac, randomBytes } = require('crypto')
+const SmartStreamError = require('./error')
+const { Transform } = require('stream')
+
+/**
+ * The magic bytes (and version) that start every envelope
+ * @type {Buffer}
+ * @private
+ */
+const MAGIC = Buffer.from([0x53, 0x53, 0x45, 0x01])
+
+/**
+ * The size (in bytes) of the random salt of the per-stream key
+ * @type {Number}
+ * @private
+ */
+const SALT_SIZE = 16
+
+/**
+ * The size (in bytes) of the authentication tag of every chunk
+ * @type {Number}
+ * @private
+ */
+const TAG_SIZE = 16
+
+/**
+ * The size (in bytes) of the keys
+ * @type {Number}
+ * @private
+ */
+const KEY_SIZE = 32
+
+/**
+ * The default size (in bytes) of the plaintext of every chunk
+ * @type {Number}
+ * @private
+ */
+const DEFAULT_CHUNK_SIZE = 1024 * 64
+
+/**
+ * The maximum size (in bytes) of the plaintext of every chunk
+ * @type {Number}
+ * @private
+ */
+const MAX_CHUNK_SIZE = 1024 * 1024 * 16
+
+/**
+ * The maximum size (in bytes) of the header of an envelope
+ * @type {Number}
+ * @private
+ */
+const HEADER_LIMIT = 1024 * 16
+
+/**
+ * The size (in bytes) of the preamble, up to the header
+ * @type {Number}
+ * @private
+ */
+const PREAMBLE_SIZE = MAGIC.length + SALT_SIZE + 4
+
+/**
+ * Validates the key properties of an encryptor or decryptor
+ * @param {Object} props The properties
+ * @param {Buffer} [props.key] The 256-bit key
+ * @param {Function} [props.keyProvider] Returns (or resolves with) the key
+ * @throws {TypeError} If neither or both are specified, or the key is invalid
+ * @private
+ */
+function validateKeyProps (props) {
+  if ((props.key == null) === (props.keyProvider == null)) {
+    throw new TypeError('either a key or a keyProvider must be specified!')
+  } else if (props.keyProvider != null && typeof props.keyProvider !== 'function') {
+    throw new TypeError('keyProvider must be a function!')
+  } else if (props.key != null) {
+    validateKey(props.key)
+  }
+}
+
+/**
+ * Validates a key
+ * @param {Buffer} key The key
+ * @returns {Buffer} The key
+ * @throws {TypeError} If the key is not a 256-bit buffer
+ * @private
+ */
+function validateKey (key) {
+  if (!Buffer.isBuffer(key) || key.length !== KEY_SIZE) {
+    throw new TypeError(`the key must be a ${KEY_SIZE}-byte buffer!`)
+  }
+  return key
+}
+
+/**
+ * Resolves the key of an envelope, from either the `key` or the `keyProvider`
+ *
+ * The key provider is invoked with the id of the key an envelope was encrypted
+ * with, or `undefined` for the current key when encrypting. It returns (or
+ * resolves with) either the key, or an object with the `key` and its `keyId`.
+ *
+ * @param {Object} props The key properties
+ * @param {String} [keyId] The id of the key
+ * @returns {Promise<{key: Buffer, keyId: ?String}>}
+ * @private
+ */
+function resolveKey (props, keyId) {
+  return new Promise(resolve => resolve(props.keyProvider == null
+    ? { key: props.key, keyId: props.keyId }
+    : props.keyProvider(keyId)))
+    .then(result => {
+      const resolved = Buffer.isBuffer(result)
+        ? { key: result, keyId }
+        : Object.assign({ keyId }, result)
+
+      if (resolved.keyId != null && typeof resolved.keyId !== 'string') {
+        throw new TypeError(`${resolved.keyId} is an invalid key id!`)
+      }
+      return { key: validateKey(resolved.key), keyId: resolved.keyId }
+    })
+}
+
+/**
+ * Derives the key of a single envelope from the key and its salt (HKDF-SHA256)
+ * @param {Buffer} key The key
+ * @param {Buffer} salt The salt of the envelope
+ * @returns {Buffer}
+ * @private
+ */
+function deriveKey (key, salt) {
+  const prk = createHmac('sha256', salt).update(key).digest()
+  return createHmac('sha256', prk)
+    .update('smart-stream aes-256-gcm')
+    .update(Buffer.from([1]))
+    .digest()
+}
+
+/**
+ * Returns the nonce of a chunk, made of its index and whether or not it is the
+ * final chunk, so that chunks can be neither reordered nor truncated
+ * @param {Number} index The index of the chunk
+ * @param {Boolean} isFinal Whether or not this is the final chunk
+ * @returns {Buffer}
+ * @private
+ */
+function getNonce (index, isFinal) {
+  const nonce = Buffer.alloc(12)
+  nonce.writeUInt32BE(index, 7)
+  nonce[11] = isFinal ? 1 : 0
+  return nonce
+}
+
+/**
+ * A transform stream that encrypts its input into an envelope
+ *
+ * The envelope starts with a preamble holding a random salt and a JSON header
+ * (with the `keyId` and the metadata of the plaintext), followed by chunks of
+ * `chunkSize` bytes of plaintext, each encrypted and authenticated on its own.
+ * The hash of the preamble is authenticated along with every chunk.
+ * @private
+ */
+class Encryptor extends Transform {
+  /**
+   * Constructs an `Encryptor`
+   * @param {Object} props Properties of the encryptor
+   * @param {Buffer} [props.key] The 256-bit key
+   * @param {String} [props.keyId] The id of the `key`, stored in the header
+   * @param {Function} [props.keyProvider] Returns (or resolves with) the current `{ keyId, key }`
+   * @param {Number} [props.chunkSize=65536] The size (in bytes) of the plaintext of every chunk
+   * @param {Object} props.metadata The metadata of the plaintext, stored in the header
+   * @returns {Encryptor}
+   */
+  constructor (props) {
+    props = Object.assign({ chunkSize: DEFAULT_CHUNK_SIZE }, props)
+
+    validateKeyProps(props)
+    if (!Number.isInteger(+props.chunkSize) || +props.chunkSize <= 0 || +props.chunkSize > MAX_CHUNK_SIZE) {
+      throw new TypeError(`${props.chunkSize} is an invalid chunk size!`)
+    }
+
+    super()
+
+    this._props = props
+    this._chunkSize = +props.chunkSize
+    this._started = null
+    this._key = null
+    this._aad = null
+    this._index = 0
+    this._buf = Buffer.alloc(0)
+  }
+
+  /**
+   * Encrypts every complete chunk, keeping the last one until more input is
+   * received or the input ends
+   * @param {Buffer} chunk The chunk
+   * @param {String} encoding The encoding of the chunk
+   * @param {Function} cb Invoked once done
+   * @private
+   */
+  _transform (chunk, encoding, cb) {
+    this._start().then(() => {
+      this._buf = Buffer.concat([this._buf, chunk])
+      while (this._buf.length > this._chunkSize) {
+        this.push(this._seal(this._buf.slice(0, this._chunkSize), false))
+        this._buf = this._buf.slice(this._chunkSize)
+      }
+      cb()
+    }, cb)
+  }
+
+  /**
+   * Encrypts the final (and possibly empty) chunk
+   * @param {Function} cb Invoked once done
+   * @private
+   */
+  _flush (cb) {
+    this._start().then(() => {
+      this.push(this._seal(this._buf, true))
+      cb()
+    }, cb)
+  }
+
+  /**
+   * Resolves the key and pushes the preamble, once
+   * @returns {Promise}
+   * @private
+   */
+  _start () {
+    if (this._started == null) {
+      this._started = resolveKey(this._props).then(({ key, keyId }) => {
+        const salt = randomBytes(SALT_SIZE)
+        const header = Buffer.from(JSON.stringify(Object.assign({}, this._props.metadata, {
+          keyId,
+          chunkSize: this._chunkSize
+        })))
+        const length = Buffer.alloc(4)
+        length.writeUInt32BE(header.length, 0)
+
+        const preamble = Buffer.concat([MAGIC, salt, length, header])
+        this._key = deriveKey(key, salt)
+        this._aad = createHash('sha256').update(preamble).digest()
+        this.push(preamble)
+      })
+    }
+
+    return this._started
+  }
+
+  /**
+   * Encrypts a chunk, followed by its authentication tag
+   * @param {Buffer} plaintext The chunk
+   * @param {Boolean} isFinal Whether or not this is the final chunk
+   * @returns {Buffer}
+   * @private
+   */
+  _seal (plaintext, isFinal) {
+    const cipher = createCipheriv('aes-256-gcm', this._key, getNonce(this._index++, isFinal))
+    cipher.setAAD(this._aad)
+
+    return Buffer.concat([cipher.update(plaintext), cipher.final(), cipher.getAuthTag()])
+  }
+}
+
+/**
+ * A transform stream that decrypts an envelope, emitting a `header` event with
+ * the header of the envelope once the first chunk is authenticated, before any
+ * output
+ * @private
+ */
+class Decryptor extends Transform {
+  /**
+   * Constructs a `Decryptor`
+   * @param {Object} props Properties of the decryptor
+   * @param {Buffer} [props.key] The 256-bit key
+   * @param {Function} [props.keyProvider] Returns (or resolves with) the key for a `keyId`
+   * @returns {Decryptor}
+   */
+  constructor (props) {
+    props = Object.assign({}, props)
+    validateKeyProps(props)
+
+    super()
+
+    this._props = props
+    this._header = null
+    this._key = null
+    this._aad = null
+    this._index = 0
+    this._buf = Buffer.alloc(0)
+  }
+
+  /**
+   * Decrypts every complete chunk, keeping the last one until more input is
+   * received or the input ends
+   * @param {Buffer} chunk The chunk
+   * @param {String} encoding The encoding of the chunk
+   * @param {Function} cb Invoked once done
+   * @private
+   */
+  _transform (chunk, encoding, cb) {
+    this._buf = Buffer.concat([this._buf, chunk])
+    this._parse().then(() => cb(), cb)
+  }
+
+  /**
+   * Decrypts the final chunk
+   * @param {Function} cb Invoked once done
+   * @private
+   */
+  _flush (cb) {
+    this._parse()
+      .then(() => {
+        if (this._key == null) {
+          throw SmartStreamError.Malformed({ reason: 'truncated envelope header' })
+        }
+
+        this._pushChunk(this._buf, true)
+        cb()
+      })
+      .catch(cb)
+  }
+
+  /**
+   * Parses the preamble (once), and decrypts the chunks received so far
+   * @returns {Promise}
+   * @private
+   */
+  async _parse () {
+    if (this._key == null && !(await this._parsePreamble())) {
+      return
+    }
+
+    const recordSize = this._header.chunkSize + TAG_SIZE
+    while (this._buf.length > recordSize) {
+      this._pushChunk(this._buf.slice(0, recordSize), false)
+      this._buf = this._buf.slice(recordSize)
+    }
+  }
+
+  /**
+   * Parses the preamble and resolves the key of the envelope
+   * @returns {Promise<Boolean>} Whether or not the preamble was parsed
+   * @private
+   */
+  async _parsePreamble () {
+    if (this._buf.length < PREAMBLE_SIZE) {
+      return false
+    } else if (!this._buf.slice(0, MAGIC.length).equals(MAGIC)) {
+      throw SmartStreamError.Malformed({ reason: 'invalid envelope' })
+    }
+
+    const length = this._buf.readUInt32BE(MAGIC.length + SALT_SIZE)
+    if (length > HEADER_LIMIT) {
+      throw SmartStreamError.Malformed({ reason: 'envelope header is too large' })
+    } else if (this._buf.length < PREAMBLE_SIZE + length) {
+      return false
+    }
+
+    const preamble = this._buf.slice(0, PREAMBLE_SIZE + length)
+    let header = null
+    try {
+      header = JSON.parse(preamble.slice(PREAMBLE_SIZE).toString('utf8'))
+    } catch (err) {
+      throw SmartStreamError.Malformed({ reason: 'invalid envelope header' }, err)
+    }
+
+    if (header == null || !Number.isInteger(header.chunkSize) ||
+      header.chunkSize <= 0 || header.chunkSize > MAX_CHUNK_SIZE) {
+      throw SmartStreamError.Malformed({ reason: 'invalid envelope header' })
+    }
+
+    const { key } = await resolveKey(this._props, header.keyId)
+    this._buf = this._buf.slice(preamble.length)
+    this._header = header
+    this._key = deriveKey(key, preamble.slice(MAGIC.length, MAGIC.length + SALT_SIZE))
+    this._aad = createHash('sha256').update(preamble).digest()
+    return true
+  }
+
+  /**
+   * Decrypts a chunk and pushes its plaintext
+   * @param {Buffer} record The encrypted chunk, followed by its authentication tag
+   * @param {Boolean} isFinal Whether or not this is the final chunk
+   * @throws {SmartStreamError} An `AuthTagMismatch` error if the chunk is not authentic
+   * @private
+   */
+  _pushChunk (record, isFinal) {
+    const plaintext = this._open(record, isFinal)
+
+    // The hash of the header is authenticated along with every chunk, so the
+    // header can only be trusted once the first chunk is authenticated
+    if (this._index === 1) {
+      this.emit('header', this._header)
+    }
+    this.push(plaintext)
+  }
+
+  /**
+   * Decrypts and authenticates a chunk
+   * @param {Buffer} record The encrypted chunk, followed by its authentication tag
+   * @param {Boolean} isFinal Whether or not this is the final chunk
+   * @returns {Buffer}
+   * @throws {SmartStreamError} An `AuthTagMismatch` error if the chunk is not authentic
+   * @private
+   */
+  _open (record, isFinal) {
+    const index = this._index++
+    if (record.length < TAG_SIZE) {
+      throw SmartStreamError.AuthTagMismatch({ chunk: index })
+    }
+
+    const decipher = createDecipheriv('aes-256-gcm', this._key, getNonce(index, isFinal))
+    decipher.setAAD(this._aad)
+    decipher.setAuthTag(record.slice(record.length - TAG_SIZE))
+
+    try {
+      return Buffer.concat([decipher.update(record.slice(0, record.length - TAG_SIZE)), decipher.final()])
+    } catch (err) {
+      throw SmartStreamError.AuthTagMismatch({ chunk: index }, err)
+    }
+  }
+}
+
+/**
+ * Export the transforms
+ * @type {Object}
+ */
+module.exports = {
+  Encryptor,
+  Decryptor
+}
@@ -14,5 +14,26 @@ module.exports = SmartError.create('SmartStreamError', {
   Unexpected: 'An unexpected error occurred!',
   TooLarge: 'The stream is larger than the allowed maximum.',
   TimedOut: 'Timed-out reading the stream source!',
-  MultipleSources: 'Piped multiple sources simultaneously!'
+  MultipleSources: 'Piped multiple sources simultaneously!',
+  Malformed: 'The stream is malformed!',
+  TooManyParts: 'The stream has more parts than the allowed maximum.',
+  CompressionBomb: 'The stream decompresses beyond the allowed maximum.',
+  Truncated: 'The stream ended before receiving content-length bytes!',
+  Overflow: 'The stream received more than content-length bytes!',
+  DigestMismatch: 'The digest of the stream does not match the expected value!',
+  Unsupported: 'The content-type or content-encoding is not supported!',
+  TooSlow: 'The stream source is slower than the allowed minimum rate!',
+  DeadlineExceeded: 'The stream source took longer than the allowed maximum!',
+  Unsatisfiable: 'None of the requested ranges overlap the stream!',
+  TypeMismatch: 'The contents of the stream do not match its content-type!',
+  ValidationFailed: 'The contents of the stream do not match the schema!',
+  TooDeep: 'The object is nested deeper than the allowed maximum.',
+  TooManyKeys: 'The object has more keys than the allowed maximum.',
+  ArrayTooLong: 'The object has an array longer than the allowed maximum.',
+  StringTooLong: 'The object has a string longer than the allowed maximum.',
+  UnsafePath: 'The archive has an entry outside of its root directory!',
+  AuthTagMismatch: 'The stream failed authentication while decrypting it!',
+  LineTooLong: 'The stream has a line longer than the allowed maximum.',
+  TooManyColumns: 'The stream has a row with more columns than the allowed maximum.',
+  FieldTooLong: 'The stream has a field longer than the allowed maximum.'
 })
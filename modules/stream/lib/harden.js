@@ -0,0 +1,187 @@
+/**
+ * @file Guards deserialized objects against resource exhaustion and prototype
+ * pollution
+ * @private
+ */
+'use strict'
+
+const SmartStreamError = require('./error')
+
+/**
+ * The default limits of deserialized objects; all but the depth are opt-in
+ * @type {Object}
+ * @private
+ */
+const DEFAULT_LIMITS = {
+  maxDepth: 1000,
+  maxKeys: Infinity,
+  maxArrayLength: Infinity,
+  maxStringLength: Infinity,
+  stripPrototypeKeys: true
+}
+
+/**
+ * The keys that are stripped from objects to prevent prototype pollution
+ * @type {String[]}
+ * @private
+ */
+const PROTOTYPE_KEYS = ['__proto__', 'constructor']
+
+/**
+ * Validates the limits of deserialized objects, applying the defaults
+ *
+ * @param {Object} [props] The limits
+ * @param {Number} [props.maxDepth=1000] The maximum nesting depth of objects and arrays
+ * @param {Number} [props.maxKeys=Infinity] The maximum number of keys of any object
+ * @param {Number} [props.maxArrayLength=Infinity] The maximum number of elements of any array
+ * @param {Number} [props.maxStringLength=Infinity] The maximum length of any string, including keys
+ * @param {Boolean} [props.stripPrototypeKeys=true] Whether or not to strip `__proto__` and `constructor` keys
+ * @returns {Object}
+ * @throws {TypeError} If any limit is invalid
+ * @private
+ */
+function createLimits (props) {
+  const limits = Object.assign({}, DEFAULT_LIMITS)
+
+  for (const name of ['maxDepth', 'maxKeys', 'maxArrayLength', 'maxStringLength']) {
+    if (props == null || props[name] == null) {
+      continue
+    } else if (isNaN(+props[name]) || +props[name] < 0) {
+      throw new TypeError(`${props[name]} is an invalid ${name}!`)
+    }
+    limits[name] = +props[name]
+  }
+
+  if (props != null && props.stripPrototypeKeys != null) {
+    limits.stripPrototypeKeys = !!props.stripPrototypeKeys
+  }
+
+  return limits
+}
+
+/**
+ * Returns whether or not a value is a plain object, i.e. one that may have
+ * been created by a deserializer
+ * @param {*} value The value
+ * @returns {Boolean}
+ * @private
+ */
+function isPlainObject (value) {
+  if (value == null || typeof value !== 'object') {
+    return false
+  }
+
+  const proto = Object.getPrototypeOf(value)
+  return proto === Object.prototype || proto === null
+}
+
+/**
+ * Returns the path (as a list of keys and indices) of an entry of the walk,
+ * built from its parents only when needed, e.g. for an error
+ * @param {?Object} entry The entry
+ * @returns {Array}
+ * @private
+ */
+function getPath (entry) {
+  const path = []
+  for (; entry != null && entry.parent != null; entry = entry.parent) {
+    path.unshift(entry.key)
+  }
+  return path
+}
+
+/**
+ * Checks the length of a string against the limits
+ * @param {String} str The string
+ * @param {Object} entry The entry of the walk holding the string
+ * @param {Object} limits The limits
+ * @throws {SmartStreamError} A `StringTooLong` error
+ * @private
+ */
+function checkString (str, entry, limits) {
+  if (str.length > limits.maxStringLength) {
+    throw SmartStreamError.StringTooLong({
+      path: getPath(entry),
+      length: str.length,
+      maxStringLength: limits.maxStringLength
+    })
+  }
+}
+
+/**
+ * Checks a deserialized object against the limits, and strips its prototype
+ * keys (in place)
+ *
+ * The object is walked iteratively, so that deeply nested objects cannot
+ * overflow the call stack. Every entry of the walk only links to its parent,
+ * keeping the walk linear in the depth of the object. The metadata of every error includes the `path` (as
+ * a list of keys and indices) of the offending value.
+ *
+ * @param {*} obj The deserialized object
+ * @param {Object} limits The limits, as returned by {@link createLimits}
+ * @returns {*} The object
+ * @throws {SmartStreamError} A `TooDeep`, `TooManyKeys`, `ArrayTooLong` or `StringTooLong` error
+ * @private
+ */
+function harden (obj, limits) {
+  const stack = [{ value: obj, key: undefined, parent: null, depth: 0 }]
+
+  while (stack.length > 0) {
+    const entry = stack.pop()
+    const { value, depth } = entry
+
+    if (typeof value === 'string') {
+      checkString(value, entry, limits)
+      continue
+    }
+
+    const isArray = Array.isArray(value)
+    if (!isArray && !isPlainObject(value)) {
+      continue
+    } else if (depth >= limits.maxDepth) {
+      throw SmartStreamError.TooDeep({ path: getPath(entry), maxDepth: limits.maxDepth })
+    }
+
+    if (isArray) {
+      if (value.length > limits.maxArrayLength) {
+        throw SmartStreamError.ArrayTooLong({
+          path: getPath(entry),
+          length: value.length,
+          maxArrayLength: limits.maxArrayLength
+        })
+      }
+      value.forEach((item, i) => stack.push({ value: item, key: i, parent: entry, depth: depth + 1 }))
+      continue
+    }
+
+    const keys = Object.keys(value)
+    if (keys.length > limits.maxKeys) {
+      throw SmartStreamError.TooManyKeys({
+        path: getPath(entry),
+        keys: keys.length,
+        maxKeys: limits.maxKeys
+      })
+    }
+
+    for (const key of keys) {
+      if (limits.stripPrototypeKeys && PROTOTYPE_KEYS.includes(key)) {
+        delete value[key]
+        continue
+      }
+
+      checkString(key, entry, limits)
+      stack.push({ value: value[key], key, parent: entry, depth: depth + 1 })
+    }
+  }
+
+  return obj
+}
+
+/**
+ * Export the helpers
+ * @type {Object}
+ */
+module.exports = {
+  createLimits,
+  harden
+}
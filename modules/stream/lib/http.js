@@ -0,0 +1,171 @@
+/**
+ * @file Adapters between SmartStreams and HTTP messages
+ * @private
+ */
+'use strict'
+
+const SmartStreamError = require('./error')
+
+/**
+ * HTTP status codes for each SmartStreamError code
+ * @type {Object<Number>}
+ * @private
+ */
+const STATUS_CODES = {
+  TooLarge: 413,
+  TooManyParts: 413,
+  CompressionBomb: 413,
+  TooDeep: 413,
+  TooManyKeys: 413,
+  ArrayTooLong: 413,
+  StringTooLong: 413,
+  LineTooLong: 413,
+  TooManyColumns: 413,
+  FieldTooLong: 413,
+  TimedOut: 408,
+  TooSlow: 408,
+  DeadlineExceeded: 408,
+  Unsupported: 415,
+  TypeMismatch: 415,
+  Unsatisfiable: 416,
+  ValidationFailed: 422,
+  Malformed: 400,
+  UnsafePath: 400,
+  Truncated: 400,
+  Overflow: 400,
+  DigestMismatch: 400,
+  AuthTagMismatch: 400
+}
+
+/**
+ * Returns the HTTP status code for an error
+ *
+ * @param {Error} err The error
+ * @returns {Number}
+ * @private
+ */
+function getStatusCode (err) {
+  return (err != null && err.isSmartStreamError && STATUS_CODES[err.code] != null)
+    ? STATUS_CODES[err.code]
+    : 500
+}
+
+/**
+ * Returns the properties of a SmartStream from the headers of a HTTP message
+ *
+ * @param {Object<String>} headers The (lower-cased) headers of the message
+ * @returns {Object}
+ * @private
+ */
+function getProps (headers) {
+  const props = {
+    contentEncoding: (headers['content-encoding'] || 'identity').trim().toLowerCase()
+  }
+
+  if (headers['content-type'] != null) {
+    props.contentType = headers['content-type']
+  }
+
+  if (+headers['content-length'] > 0) {
+    props.contentLength = +headers['content-length']
+  }
+
+  return props
+}
+
+/**
+ * Appends a value to the `Vary` header of a response
+ *
+ * @param {ServerResponse} res The response
+ * @param {String} value The name of the header the response varies by
+ * @private
+ */
+function appendVary (res, value) {
+  const vary = res.getHeader('Vary')
+  const values = vary == null
+    ? []
+    : String(vary).split(',').map(value => value.trim())
+
+  if (!values.some(existing => existing === '*' || existing.toLowerCase() === value.toLowerCase())) {
+    res.setHeader('Vary', values.concat(value).join(', '))
+  }
+}
+
+/**
+ * Pipes a SmartStream into a HTTP response, setting its headers
+ *
+ * Streams of byte-ranges (i.e. with a `contentRange`, or of `multipart/
+ * byteranges`) are responded to with a 206 (Partial Content) status. Errors
+ * that occur before the headers are sent are responded to with the
+ * corresponding status code. Otherwise, the response is destroyed.
+ *
+ * @param {SmartStream} stream The stream to send
+ * @param {ServerResponse} res The response
+ * @returns {Promise} Resolves once the response has been sent
+ * @private
+ */
+function pipeToResponse (stream, res) {
+  return new Promise((resolve, reject) => {
+    const { contentType, contentEncoding, contentLength, contentRange } = stream.toJSON()
+    let finished = false
+
+    if (!res.headersSent) {
+      res.setHeader('Content-Type', contentType)
+      contentEncoding === 'identity'
+        ? res.removeHeader('Content-Encoding')
+        : res.setHeader('Content-Encoding', contentEncoding)
+      contentLength > 0
+        ? res.setHeader('Content-Length', contentLength)
+        : res.removeHeader('Content-Length')
+
+      if (contentRange != null) {
+        res.statusCode = 206
+        res.setHeader('Content-Range', contentRange)
+      } else if (stream.contentType === 'multipart/byteranges') {
+        res.statusCode = 206
+      }
+    }
+
+    stream.once('error', err => {
+      if (res.headersSent) {
+        res.destroy(err)
+      } else {
+        const body = JSON.stringify({ code: err.code, message: err.message })
+        res.statusCode = getStatusCode(err)
+        res.removeHeader('Content-Encoding')
+        res.removeHeader('Content-Range')
+        res.setHeader('Content-Type', 'application/json')
+        res.setHeader('Content-Length', Buffer.byteLength(body))
+        res.end(body)
+      }
+
+      reject(err)
+    })
+
+    res
+      .once('finish', () => {
+        finished = true
+        resolve()
+      })
+      .once('close', () => {
+        if (!finished) {
+          stream.destroyed || stream.destroy()
+          reject(SmartStreamError.Unexpected('response closed before finishing!'))
+        }
+      })
+
+    stream.pipe(res)
+  })
+}
+
+/**
+ * Export the adapters
+ * @type {Object}
+ */
+module.exports = {
+  STATUS_CODES,
+  getStatusCode,
+  getProps,
+  appendVary,
+  pipeToResponse
+}
@@ -0,0 +1,372 @@
+/**
+ * @file A streaming parser for multipart bodies
+ * @private
+ */
+'use strict'
+
+const SmartStreamError = require('./error')
+const { Transform } = require('stream')
+
+/**
+ * The default maximum number of parts
+ * @type {Number}
+ * @private
+ */
+const DEFAULT_MAX_PARTS = 100
+
+/**
+ * The maximum size (in bytes) of the headers of a single part
+ * @type {Number}
+ * @private
+ */
+const HEADER_LIMIT = 1024 * 16
+
+/**
+ * A carriage-return, line-feed pair
+ * @type {Buffer}
+ * @private
+ */
+const CRLF = Buffer.from('\r\n')
+
+/**
+ * The separator between the headers and the body of a part
+ * @type {Buffer}
+ * @private
+ */
+const HEADER_END = Buffer.from('\r\n\r\n')
+
+/**
+ * The states of the parser
+ * @type {Object<String>}
+ * @private
+ */
+const STATE = {
+  PREAMBLE: 'preamble',
+  BOUNDARY: 'boundary',
+  HEADERS: 'headers',
+  BODY: 'body',
+  EPILOGUE: 'epilogue'
+}
+
+/**
+ * A no-op function
+ * @type {Function}
+ * @private
+ */
+const NOOP = () => {}
+
+/**
+ * Parses the headers of a part
+ * @param {String} str The raw headers, separated by CRLFs
+ * @returns {Object<String>} The headers, indexed by (lower-cased) name
+ * @private
+ */
+function parseHeaders (str) {
+  return str
+    .split('\r\n')
+    .reduce((lines, line) => {
+      // unfold obsolete line-folding into the previous header
+      if (/^[ \t]/.test(line) && lines.length > 0) {
+        lines[lines.length - 1] += ` ${line.trim()}`
+      } else if (line !== '') {
+        lines.push(line)
+      }
+      return lines
+    }, [])
+    .reduce((headers, line) => {
+      const colon = line.indexOf(':')
+      if (colon <= 0) {
+        throw SmartStreamError.Malformed({ header: line })
+      }
+
+      headers[line.slice(0, colon).trim().toLowerCase()] = line.slice(colon + 1).trim()
+      return headers
+    }, {})
+}
+
+/**
+ * A transform that splits a multipart body into its parts, pushing each part
+ * as a stream in object mode
+ *
+ * Each part is written with backpressure, so it must be consumed or destroyed
+ * for the parser to make progress.
+ * @private
+ */
+class MultipartParser extends Transform {
+  /**
+   * Constructs a `MultipartParser`
+   * @param {Object} props Properties of the parser
+   * @param {String} props.boundary The boundary between parts
+   * @param {Function} props.createPart Creates the stream for a part from its headers
+   * @param {Number} props.limit The maximum number of bytes across all parts
+   * @param {Number} [props.partLimit=props.limit] The maximum number of bytes in any part
+   * @param {Number} [props.maxParts=100] The maximum number of parts
+   * @returns {MultipartParser}
+   */
+  constructor (props) {
+    if (typeof props.boundary !== 'string' || !/^.{1,70}$/.test(props.boundary)) {
+      throw new TypeError(`"${props.boundary}" is an invalid multipart boundary!`)
+    }
+
+    props = Object.assign({
+      partLimit: props.limit,
+      maxParts: DEFAULT_MAX_PARTS
+    }, props)
+
+    for (const name of ['limit', 'partLimit', 'maxParts']) {
+      if (isNaN(+props[name]) || +props[name] <= 0) {
+        throw new TypeError(`${props[name]} is an invalid ${name}!`)
+      }
+    }
+
+    super({
+      readableObjectMode: true,
+      transform: (chunk, encoding, cb) => {
+        this._buf = this._buf.length > 0
+          ? Buffer.concat([this._buf, chunk])
+          : chunk
+        this._parse(cb)
+      },
+      flush: (cb) => {
+        if (this._state !== STATE.EPILOGUE) {
+          return cb(SmartStreamError.Malformed({
+            part: this._parts,
+            reason: 'missing closing boundary'
+          }))
+        }
+
+        cb()
+      },
+      destroy: (err, cb) => {
+        if (this._part != null) {
+          this._part.destroy(err || SmartStreamError.Malformed({
+            part: this._parts,
+            reason: 'parser was destroyed'
+          }))
+        }
+
+        // istanbul ignore else
+        if (err == null || err.isSmartStreamError) {
+          cb(err)
+        } else {
+          cb(SmartStreamError.Unexpected(err))
+        }
+      }
+    })
+
+    this._delimiter = Buffer.from(`\r\n--${props.boundary}`)
+    this._createPart = props.createPart
+    this._limit = +props.limit
+    this._partLimit = +props.partLimit
+    this._maxParts = +props.maxParts
+    this._state = STATE.PREAMBLE
+    this._parts = 0
+    this._part = null
+    this._partSize = 0
+    this._size = 0
+
+    // The leading CRLF allows a boundary on the very first line to be matched
+    // by the same delimiter as every other boundary
+    this._buf = CRLF
+  }
+
+  /**
+   * Parses as much of the buffered input as possible
+   * @param {Function} cb Invoked once the parser needs more input
+   * @private
+   */
+  _parse (cb) {
+    try {
+      while (true) {
+        const next = this[`_${this._state}`]()
+
+        if (next === false) {
+          return cb()
+        } else if (next !== true) {
+          return next(() => this._parse(cb))
+        }
+      }
+    } catch (err) {
+      cb(err)
+    }
+  }
+
+  /**
+   * Skips the preamble, up to the first boundary
+   * @returns {Boolean}
+   * @private
+   */
+  _preamble () {
+    const index = this._buf.indexOf(this._delimiter)
+    if (index === -1) {
+      this._buf = this._buf.slice(Math.max(0, this._buf.length - this._delimiter.length + 1))
+      return false
+    }
+
+    this._buf = this._buf.slice(index + this._delimiter.length)
+    this._state = STATE.BOUNDARY
+    return true
+  }
+
+  /**
+   * Parses the remainder of a boundary line, which either closes the body or
+   * starts the next part
+   * @returns {Boolean}
+   * @private
+   */
+  _boundary () {
+    if (this._buf.length < 2) return false
+
+    if (this._buf[0] === 0x2d && this._buf[1] === 0x2d) {
+      this._buf = Buffer.alloc(0)
+      this._state = STATE.EPILOGUE
+      return true
+    }
+
+    const index = this._buf.indexOf(CRLF)
+    if (index === -1 || !/^[ \t]*$/.test(this._buf.slice(0, index).toString('latin1'))) {
+      if (index === -1 && this._buf.length <= HEADER_LIMIT) return false
+
+      throw SmartStreamError.Malformed({
+        part: this._parts,
+        reason: 'invalid boundary line'
+      })
+    }
+
+    this._buf = this._buf.slice(index + CRLF.length)
+    this._state = STATE.HEADERS
+    return true
+  }
+
+  /**
+   * Parses the headers of a part and pushes the stream for the part
+   * @returns {Boolean}
+   * @private
+   */
+  _headers () {
+    let headers = null
+
+    if (this._buf.length >= 2 && this._buf[0] === 0x0d && this._buf[1] === 0x0a) {
+      headers = {}
+      this._buf = this._buf.slice(CRLF.length)
+    } else {
+      const index = this._buf.indexOf(HEADER_END)
+      if (index === -1 && this._buf.length <= HEADER_LIMIT) return false
+
+      if (index === -1 || index > HEADER_LIMIT) {
+        throw SmartStreamError.TooLarge({
+          part: this._parts,
+          headerLimit: HEADER_LIMIT
+        })
+      }
+
+      headers = parseHeaders(this._buf.slice(0, index).toString('utf8'))
+      this._buf = this._buf.slice(index + HEADER_END.length)
+    }
+
+    if (this._parts >= this._maxParts) {
+      throw SmartStreamError.TooManyParts({ maxParts: this._maxParts })
+    }
+
+    try {
+      this._part = this._createPart(headers, this._partLimit)
+    } catch (err) {
+      throw SmartStreamError.Malformed({ part: this._parts, headers }, err)
+    }
+
+    this._part.on('error', NOOP)
+    this._partSize = 0
+    this._parts++
+    this.push(this._part)
+    this._state = STATE.BODY
+    return true
+  }
+
+  /**
+   * Writes the body of a part, up to the next boundary
+   * @returns {Boolean|Function}
+   * @private
+   */
+  _body () {
+    const index = this._buf.indexOf(this._delimiter)
+    const end = index === -1
+      ? Math.max(0, this._buf.length - this._delimiter.length + 1)
+      : index
+
+    const drained = this._writePart(this._buf.slice(0, end))
+
+    if (index === -1) {
+      this._buf = this._buf.slice(end)
+      return drained
+        ? false
+        : cb => this._onDrain(cb)
+    }
+
+    this._buf = this._buf.slice(index + this._delimiter.length)
+    this._part.end()
+    this._part = null
+    this._state = STATE.BOUNDARY
+    return true
+  }
+
+  /**
+   * Ignores the epilogue
+   * @returns {Boolean}
+   * @private
+   */
+  _epilogue () {
+    this._buf = Buffer.alloc(0)
+    return false
+  }
+
+  /**
+   * Writes data to the current part, enforcing the size limits
+   * @param {Buffer} data The data to write
+   * @returns {Boolean} Whether or not the part can accept more data
+   * @private
+   */
+  _writePart (data) {
+    if (data.length === 0) return true
+
+    this._partSize += data.length
+    this._size += data.length
+
+    if (this._partSize > this._partLimit) {
+      throw SmartStreamError.TooLarge({
+        part: this._parts - 1,
+        partLimit: this._partLimit,
+        size: this._partSize
+      })
+    } else if (this._size > this._limit) {
+      throw SmartStreamError.TooLarge({ limit: this._limit, size: this._size })
+    }
+
+    // Parts destroyed by the consumer are skipped
+    return this._part.destroyed || this._part.write(data)
+  }
+
+  /**
+   * Waits for the current part to drain or close
+   * @param {Function} cb Invoked once the part can accept more data
+   * @private
+   */
+  _onDrain (cb) {
+    const part = this._part
+    const done = () => {
+      part.removeListener('drain', done)
+      part.removeListener('close', done)
+      cb()
+    }
+
+    part.once('drain', done).once('close', done)
+  }
+}
+
+/**
+ * Export the parser
+ * @type {Object}
+ */
+module.exports = {
+  DEFAULT_MAX_PARTS,
+  MultipartParser
+}
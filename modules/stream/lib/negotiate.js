@@ -0,0 +1,120 @@
+/**
+ * @file Content negotiation using the HTTP Accept-* headers
+ * @private
+ */
+'use strict'
+
+const { parseHeader } = require('./util')
+
+/**
+ * Parses an Accept-* header into its entries, ordered by preference
+ *
+ * @param {String} header The value of the header
+ * @returns {Array<{value: String, q: Number, params: Object<String>}>}
+ * @private
+ */
+function parseAccept (header) {
+  return String(header)
+    .split(',')
+    .map((item, index) => {
+      const { value, params } = parseHeader(item)
+      const q = params.q == null ? 1 : +params.q
+      delete params.q
+      return { value, q: isNaN(q) ? 0 : Math.min(Math.max(q, 0), 1), params, index }
+    })
+    .filter(entry => entry.value !== '')
+    .sort((a, b) => (b.q - a.q) || (a.index - b.index))
+    .map(({ value, q, params }) => ({ value, q, params }))
+}
+
+/**
+ * Picks the best content-encoding acceptable to an `Accept-Encoding` header
+ *
+ * The current encoding is preferred over others of equal quality, followed by
+ * `identity`, to avoid needless transcoding. As per RFC 9110, `identity` is
+ * acceptable unless explicitly excluded, but when not listed it is only picked
+ * if no listed encoding is acceptable.
+ *
+ * @param {String} header The value of the `Accept-Encoding` header
+ * @param {String} current The current encoding of the stream
+ * @param {String[]} available All the available encodings
+ * @returns {?String} The encoding, or `null` if none is acceptable
+ * @private
+ */
+function negotiateEncoding (header, current, available) {
+  const entries = parseAccept(header)
+  const quality = encoding => {
+    const entry = entries.find(entry => entry.value === encoding) ||
+      entries.find(entry => entry.value === '*')
+
+    return (entry != null)
+      ? entry.q
+      : (encoding === 'identity') ? Number.MIN_VALUE : 0
+  }
+
+  return pickBest([current, 'identity']
+    .concat(entries.map(entry => entry.value))
+    .filter(encoding => available.includes(encoding)), quality)
+}
+
+/**
+ * Picks the best MIME-type acceptable to an `Accept` header
+ *
+ * The quality of a MIME-type is that of the most specific matching range, i.e.
+ * `type/subtype` over `type/*` over `*\/*`. The current MIME-type is preferred
+ * over others of equal quality, followed by those listed in the header.
+ *
+ * @param {String} header The value of the `Accept` header
+ * @param {String} current The current MIME-type of the stream
+ * @param {String[]} available All the MIME-types the stream can be converted to
+ * @returns {?String} The MIME-type, or `null` if none is acceptable
+ * @private
+ */
+function negotiateType (header, current, available) {
+  const entries = parseAccept(header)
+  const quality = type => {
+    const range = `${type.split('/')[0]}/*`
+    const entry = entries.find(entry => entry.value === type) ||
+      entries.find(entry => entry.value === range) ||
+      entries.find(entry => entry.value === '*/*')
+
+    return entry == null ? 0 : entry.q
+  }
+
+  return pickBest([current]
+    .concat(entries.map(entry => entry.value))
+    .concat(available)
+    .filter(type => type === current || available.includes(type)), quality)
+}
+
+/**
+ * Returns the first candidate with the highest non-zero quality
+ *
+ * @param {String[]} candidates The candidates, in order of preference
+ * @param {Function} quality Returns the quality of a candidate
+ * @returns {?String}
+ * @private
+ */
+function pickBest (candidates, quality) {
+  let best = null
+  let bestQuality = 0
+  for (const candidate of candidates) {
+    const q = quality(candidate)
+    if (q > bestQuality) {
+      best = candidate
+      bestQuality = q
+    }
+  }
+
+  return best
+}
+
+/**
+ * Export the negotiation helpers
+ * @type {Object}
+ */
+module.exports = {
+  parseAccept,
+  negotiateType,
+  negotiateEncoding
+}
@@ -0,0 +1,395 @@
+/**
+ * @file Parsers and serializers for streams of serialized objects
+ * @private
+ */
+'use strict'
+
+const SmartStreamError = require('./error')
+const { Transform } = require('stream')
+
+/**
+ * The default maximum size (in bytes) of a single record
+ * @type {Number}
+ * @private
+ */
+const DEFAULT_RECORD_LIMIT = 1024 * 64
+
+/**
+ * The byte value of a carriage-return
+ * @type {Number}
+ * @private
+ */
+const CR = 0x0d
+
+/**
+ * A transform that splits a byte stream into lines, pushing the records parsed
+ * from those lines in object mode
+ *
+ * With the default delimiter (a line-feed), a trailing carriage-return is
+ * stripped from every line. A trailing empty line is not parsed.
+ *
+ * Sub-classes implement `_parseLine()` to turn each line into zero or more
+ * records, and may implement `_parseEnd()` to flush any pending record.
+ * @private
+ */
+class LineParser extends Transform {
+  /**
+   * Constructs a `LineParser`
+   * @param {Object} [props] Properties of the parser
+   * @param {String|Buffer} [props.delimiter='\n'] The delimiter of the lines
+   * @param {Number} [props.recordLimit=65536] The maximum size (in bytes) of a record
+   * @returns {LineParser}
+   */
+  constructor (props) {
+    props = Object.assign({ delimiter: '\n', recordLimit: DEFAULT_RECORD_LIMIT }, props)
+
+    if ((typeof props.delimiter !== 'string' && !Buffer.isBuffer(props.delimiter)) ||
+      props.delimiter.length === 0) {
+      throw new TypeError(`${props.delimiter} is an invalid delimiter!`)
+    } else if (isNaN(+props.recordLimit) || +props.recordLimit <= 0) {
+      throw new TypeError(`${props.recordLimit} is an invalid record limit!`)
+    }
+
+    super({
+      readableObjectMode: true,
+      transform: (chunk, encoding, cb) => {
+        try {
+          this._buf = this._buf.length === 0 ? chunk : Buffer.concat([this._buf, chunk])
+          this._split()
+          cb()
+        } catch (err) {
+          cb(err)
+        }
+      },
+      flush: (cb) => {
+        try {
+          if (this._buf.length > 0) {
+            this._line(this._buf)
+            this._buf = Buffer.alloc(0)
+          }
+          this._parseEnd()
+          cb()
+        } catch (err) {
+          cb(err)
+        }
+      },
+      destroy: (err, cb) => {
+        // istanbul ignore else
+        if (err == null || err.isSmartStreamError) {
+          cb(err)
+        } else {
+          cb(SmartStreamError.Unexpected(err))
+        }
+      }
+    })
+
+    this._delimiter = Buffer.from(props.delimiter)
+    this._stripCR = this._delimiter.equals(Buffer.from('\n'))
+    this._recordLimit = +props.recordLimit
+    this._records = 0
+    this._buf = Buffer.alloc(0)
+    this._from = 0
+  }
+
+  /**
+   * Returns the maximum size (in bytes) of a single record
+   * @returns {Number}
+   */
+  get recordLimit () {
+    return this._recordLimit
+  }
+
+  /**
+   * Returns the number of records parsed so far
+   * @returns {Number}
+   */
+  get records () {
+    return this._records
+  }
+
+  /**
+   * Splits the buffered input into lines, holding on to any trailing partial
+   * line
+   * @private
+   */
+  _split () {
+    let start = 0
+    let end = this._buf.indexOf(this._delimiter, this._from)
+
+    while (end !== -1) {
+      this._line(this._buf.slice(start, end))
+      start = end + this._delimiter.length
+      end = this._buf.indexOf(this._delimiter, start)
+    }
+
+    // The pending line may end with part of the delimiter (or a carriage-
+    // return), which is searched again once more input is received
+    this._buf = this._buf.slice(start)
+    this._from = Math.max(0, this._buf.length - this._delimiter.length + 1)
+    this._checkSize(this._buf.length - (this._delimiter.length - 1) - (this._stripCR ? 1 : 0))
+  }
+
+  /**
+   * Handles a single line, stripping the trailing carriage-return, if any
+   * @param {Buffer} line The line, without the delimiter
+   * @private
+   */
+  _line (line) {
+    if (this._stripCR && line[line.length - 1] === CR) {
+      line = line.slice(0, -1)
+    }
+
+    this._checkSize(line.length)
+    this._parseLine(line.toString('utf8'))
+  }
+
+  /**
+   * Ensures the specified size is within the record limit
+   * @param {Number} size The size (in bytes) to check
+   * @private
+   */
+  _checkSize (size) {
+    if (size > this._recordLimit) {
+      throw SmartStreamError.TooLarge({
+        record: this._records,
+        recordLimit: this._recordLimit,
+        size
+      })
+    }
+  }
+
+  /**
+   * Pushes a parsed record
+   * @param {*} record The parsed record
+   * @private
+   */
+  _pushRecord (record) {
+    this._records++
+    this.push(record)
+  }
+
+  /**
+   * Parses a single line
+   * @param {String} line The line to parse
+   * @private
+   */
+  // istanbul ignore next
+  _parseLine (line) {
+    throw SmartStreamError.Unexpected('_parseLine() is not implemented!')
+  }
+
+  /**
+   * Handles the end of the input
+   * @private
+   */
+  _parseEnd () {}
+}
+
+/**
+ * Parses newline-delimited JSON into objects
+ *
+ * NOTE: `null` records are skipped, since they cannot be pushed into a stream
+ * in object mode.
+ * @private
+ */
+class NdjsonParser extends LineParser {
+  /**
+   * @inheritdoc
+   */
+  _parseLine (line) {
+    if (line.trim() === '') return
+
+    let record
+    try {
+      record = JSON.parse(line)
+    } catch (err) {
+      throw SmartStreamError.Malformed({ record: this._records }, err)
+    }
+
+    if (record !== null) {
+      this._pushRecord(record)
+    }
+  }
+}
+
+/**
+ * Parses a server-sent event stream into event objects of the form
+ * `{ event, data, id, retry }`, where only `data` is always present
+ * @private
+ */
+class SseParser extends LineParser {
+  /**
+   * @inheritdoc
+   */
+  constructor (props) {
+    super(props)
+    this._reset()
+  }
+
+  /**
+   * Resets the event being parsed
+   * @private
+   */
+  _reset () {
+    this._event = {}
+    this._data = null
+    this._eventSize = 0
+  }
+
+  /**
+   * @inheritdoc
+   */
+  _parseLine (line) {
+    if (line === '') return this._dispatch()
+    if (line[0] === ':') return
+
+    this._eventSize += Buffer.byteLength(line)
+    this._checkSize(this._eventSize)
+
+    const colon = line.indexOf(':')
+    const field = colon === -1 ? line : line.slice(0, colon)
+    let value = colon === -1 ? '' : line.slice(colon + 1)
+    if (value[0] === ' ') value = value.slice(1)
+
+    switch (field) {
+      case 'data':
+        this._data = this._data == null ? value : `${this._data}\n${value}`
+        break
+
+      case 'event':
+      case 'id':
+        this._event[field] = value
+        break
+
+      case 'retry':
+        if (/^\d+$/.test(value)) this._event.retry = +value
+        break
+    }
+  }
+
+  /**
+   * @inheritdoc
+   */
+  _parseEnd () {
+    this._dispatch()
+  }
+
+  /**
+   * Dispatches the event being parsed, if it carries any data
+   * @private
+   */
+  _dispatch () {
+    if (this._data != null) {
+      this._pushRecord(Object.assign(this._event, { data: this._data }))
+    }
+
+    this._reset()
+  }
+}
+
+/**
+ * Serializes an object as a line of newline-delimited JSON
+ * @param {*} record The object to serialize
+ * @returns {String}
+ * @private
+ */
+function serializeNdjson (record) {
+  return `${JSON.stringify(record === undefined ? null : record)}\n`
+}
+
+/**
+ * Serializes an object as a server-sent event
+ *
+ * The record may either be a string, which is sent as the event data, or an
+ * object of the form `{ event, data, id, retry }`. Non-string data is
+ * serialized as JSON.
+ *
+ * @param {String|Object} record The event to serialize
+ * @returns {String}
+ * @private
+ */
+function serializeSse (record) {
+  if (record == null || typeof record !== 'object') {
+    record = { data: record }
+  }
+
+  let result = ''
+  for (const field of ['event', 'id']) {
+    if (record[field] != null) {
+      const value = String(record[field])
+      if (/[\r\n]/.test(value)) {
+        throw new TypeError(`event ${field} "${value}" must not contain newlines!`)
+      }
+      result += `${field}: ${value}\n`
+    }
+  }
+
+  if (record.retry != null) {
+    result += `retry: ${Math.floor(+record.retry)}\n`
+  }
+
+  const data = typeof record.data === 'string'
+    ? record.data
+    : JSON.stringify(record.data === undefined ? null : record.data)
+
+  return data.split(/\r\n|\r|\n/).reduce((result, line) => {
+    return `${result}data: ${line}\n`
+  }, result) + '\n'
+}
+
+/**
+ * Parsers and serializers, indexed by MIME-type
+ * @type {Object}
+ * @private
+ */
+const TYPES = {
+  'application/ndjson': { Parser: NdjsonParser, serialize: serializeNdjson },
+  'text/event-stream': { Parser: SseParser, serialize: serializeSse }
+}
+
+/**
+ * Creates a parser for the specified object-stream MIME-type
+ * @param {String} type The MIME-type of the object stream
+ * @param {Object} [props] Properties of the parser
+ * @param {Number} [props.recordLimit] The maximum size (in bytes) of a record
+ * @returns {LineParser}
+ * @private
+ */
+function createParser (type, props) {
+  // istanbul ignore if
+  if (TYPES[type] == null) {
+    throw SmartStreamError.Unexpected(`unknown MIME-type "${type}"!`)
+  }
+
+  return new TYPES[type].Parser(props)
+}
+
+/**
+ * Serializes a (possibly asynchronous) iterable of objects, one record at a
+ * time, into the specified object-stream MIME-type
+ * @param {String} type The MIME-type of the object stream
+ * @param {Iterable|AsyncIterable} iterable The objects to serialize
+ * @returns {AsyncIterable<Buffer>}
+ * @private
+ */
+async function * serialize (type, iterable) {
+  // istanbul ignore if
+  if (TYPES[type] == null) {
+    throw SmartStreamError.Unexpected(`unknown MIME-type "${type}"!`)
+  }
+
+  for await (const record of iterable) {
+    yield Buffer.from(TYPES[type].serialize(record))
+  }
+}
+
+/**
+ * Export the parsers and serializers
+ * @type {Object}
+ */
+module.exports = {
+  DEFAULT_RECORD_LIMIT,
+  LineParser,
+  createParser,
+  serialize
+}
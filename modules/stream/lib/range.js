@@ -0,0 +1,179 @@
+/**
+ * @file Parses HTTP Range headers and slices streams into byte-ranges
+ * @private
+ */
+'use strict'
+
+const { randomBytes } = require('crypto')
+const SmartStreamError = require('./error')
+const { Readable, Transform } = require('stream')
+
+/**
+ * The default maximum number of ranges in a single request
+ * @type {Number}
+ * @private
+ */
+const DEFAULT_MAX_RANGES = 100
+
+/**
+ * A regular expression for a single byte-range, i.e. `first-last`, `first-`
+ * or `-suffix`
+ * @type {RegExp}
+ * @private
+ */
+const BYTE_RANGE = /^(\d*)-(\d*)$/
+
+/**
+ * Parses a `Range` header into byte-ranges of a representation
+ *
+ * Every range is returned as `{ start, end }`, where `end` is exclusive (like
+ * `Buffer#slice`) and clamped to the size of the representation. Overlapping
+ * and adjacent ranges are coalesced, in order of their start.
+ *
+ * As per RFC 9110, headers that cannot be parsed, use units other than `bytes`
+ * or exceed the maximum number of ranges are ignored by returning `null`, i.e.
+ * the entire representation is to be sent.
+ *
+ * @param {String} header The value of the `Range` header
+ * @param {Number} size The size (in bytes) of the representation
+ * @param {Number} [maxRanges=100] The maximum number of ranges
+ * @returns {?Array<{start: Number, end: Number}>}
+ * @throws {SmartStreamError} An `Unsatisfiable` error if no range overlaps the representation
+ * @private
+ */
+function parseRange (header, size, maxRanges = DEFAULT_MAX_RANGES) {
+  const str = String(header)
+  const index = str.indexOf('=')
+  if (index < 0 || str.slice(0, index).trim().toLowerCase() !== 'bytes') {
+    return null
+  }
+
+  const items = str.slice(index + 1).split(',')
+    .map(item => item.replace(/\s+/g, ''))
+    .filter(item => item !== '')
+  if (items.length === 0 || items.length > maxRanges) {
+    return null
+  }
+
+  const ranges = []
+  for (const item of items) {
+    const match = BYTE_RANGE.exec(item)
+    if (match == null || (match[1] === '' && match[2] === '') ||
+      (match[1] !== '' && match[2] !== '' && +match[2] < +match[1])) {
+      return null
+    }
+
+    const range = (match[1] === '')
+      ? { start: Math.max(size - +match[2], 0), end: +match[2] > 0 ? size : 0 }
+      : { start: +match[1], end: match[2] === '' ? size : Math.min(+match[2] + 1, size) }
+
+    // Skip the ranges that do not overlap the representation
+    if (range.start < range.end) {
+      ranges.push(range)
+    }
+  }
+
+  if (ranges.length === 0) {
+    throw SmartStreamError.Unsatisfiable({ range: str, size })
+  }
+
+  return ranges
+    .sort((a, b) => a.start - b.start)
+    .reduce((result, range) => {
+      const last = result[result.length - 1]
+      if (last != null && range.start <= last.end) {
+        last.end = Math.max(last.end, range.end)
+      } else {
+        result.push(range)
+      }
+      return result
+    }, [])
+}
+
+/**
+ * Formats a byte-range as the value of a `Content-Range` header
+ * @param {{start: Number, end: Number}} range The range, with an exclusive `end`
+ * @param {Number} size The size (in bytes) of the representation
+ * @returns {String}
+ * @private
+ */
+function formatContentRange (range, size) {
+  return `bytes ${range.start}-${range.end - 1}/${size}`
+}
+
+/**
+ * Creates a transform stream that only passes the bytes within a range
+ *
+ * The bytes past the end of the range are discarded, rather than ending the
+ * stream early, so that the source is always consumed in its entirety.
+ *
+ * @param {Number} start The offset of the first byte to pass
+ * @param {Number} [end=Infinity] The offset of the byte to stop at (exclusive)
+ * @returns {Transform}
+ * @private
+ */
+function createSlicer (start, end = Infinity) {
+  let offset = 0
+
+  return new Transform({
+    transform (chunk, encoding, cb) {
+      const from = Math.max(start - offset, 0)
+      const to = Math.min(end - offset, chunk.length)
+
+      offset += chunk.length
+      cb(null, from < to ? chunk.slice(from, to) : undefined)
+    }
+  })
+}
+
+/**
+ * Creates a `multipart/byteranges` body from multiple ranges of a representation
+ *
+ * @param {Array<{start: Number, end: Number}>} ranges The ranges
+ * @param {Object} props Properties of the representation
+ * @param {String} props.contentType The MIME-type of the representation
+ * @param {Number} props.size The size (in bytes) of the representation
+ * @param {Function} props.read Returns a readable stream of the bytes within a range
+ * @returns {{stream: Readable, contentType: String, contentLength: Number}}
+ * @private
+ */
+function createByteranges (ranges, props) {
+  const boundary = randomBytes(16).toString('hex')
+  const heads = ranges.map(range => Buffer.from([
+    '',
+    `--${boundary}`,
+    `Content-Type: ${props.contentType}`,
+    `Content-Range: ${formatContentRange(range, props.size)}`,
+    '',
+    ''
+  ].join('\r\n')))
+  const tail = Buffer.from(`\r\n--${boundary}--\r\n`)
+
+  async function * generate () {
+    for (let i = 0; i < ranges.length; i++) {
+      yield heads[i]
+      for await (const chunk of props.read(ranges[i])) {
+        yield chunk
+      }
+    }
+    yield tail
+  }
+
+  return {
+    stream: Readable.from(generate(), { objectMode: false }),
+    contentType: `multipart/byteranges; boundary=${boundary}`,
+    contentLength: ranges.reduce((length, range, i) =>
+      length + heads[i].length + range.end - range.start, tail.length)
+  }
+}
+
+/**
+ * Export the helpers
+ * @type {Object}
+ */
+module.exports = {
+  parseRange,
+  formatContentRange,
+  createSlicer,
+  createByteranges
+}
@@ -0,0 +1,188 @@
+/**
+ * @file Detects the MIME-type of a stream from its first bytes
+ * @private
+ */
+'use strict'
+
+/**
+ * The number of bytes needed to detect the MIME-type of a stream
+ * @type {Number}
+ * @private
+ */
+const SNIFF_SIZE = 512
+
+/**
+ * The magic bytes of common formats, in the order they are checked
+ *
+ * Short, printable signatures (e.g. `BM`) are weak, as text may start with them
+ * too, so they only match binary data.
+ *
+ * @type {Array<{type: String, offset: Number, bytes: Buffer, isWeak: Boolean}>}
+ * @private
+ */
+const SIGNATURES = [
+  ['image/jpeg', 0, [0xff, 0xd8, 0xff]],
+  ['image/png', 0, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]],
+  ['image/gif', 0, 'GIF87a'],
+  ['image/gif', 0, 'GIF89a'],
+  ['image/webp', 8, 'WEBP'],
+  ['image/bmp', 0, 'BM'],
+  ['image/tiff', 0, [0x49, 0x49, 0x2a, 0x00]],
+  ['image/tiff', 0, [0x4d, 0x4d, 0x00, 0x2a]],
+  ['image/vnd.microsoft.icon', 0, [0x00, 0x00, 0x01, 0x00]],
+  ['audio/wav', 8, 'WAVE'],
+  ['video/x-msvideo', 8, 'AVI '],
+  ['audio/mpeg', 0, 'ID3'],
+  ['audio/mpeg', 0, [0xff, 0xfb]],
+  ['audio/mpeg', 0, [0xff, 0xf3]],
+  ['audio/mpeg', 0, [0xff, 0xf2]],
+  ['audio/ogg', 0, 'OggS'],
+  ['audio/x-flac', 0, 'fLaC'],
+  ['video/quicktime', 4, 'ftypqt  '],
+  ['audio/mp4', 4, 'ftypM4A '],
+  ['video/mp4', 4, 'ftyp'],
+  ['video/webm', 0, [0x1a, 0x45, 0xdf, 0xa3]],
+  ['application/pdf', 0, '%PDF-'],
+  ['application/zip', 0, [0x50, 0x4b, 0x03, 0x04]],
+  ['application/zip', 0, [0x50, 0x4b, 0x05, 0x06]],
+  ['application/gzip', 0, [0x1f, 0x8b]],
+  ['application/x-bzip2', 0, 'BZh'],
+  ['application/x-7z-compressed', 0, [0x37, 0x7a, 0xbc, 0xaf, 0x27, 0x1c]],
+  ['application/vnd.rar', 0, [0x52, 0x61, 0x72, 0x21, 0x1a, 0x07]],
+  ['application/x-tar', 257, 'ustar']
+].map(([type, offset, bytes]) => ({
+  type,
+  offset,
+  bytes: Buffer.from(bytes),
+  isWeak: typeof bytes === 'string' && bytes.length < 4
+}))
+
+/**
+ * Other MIME-types of the formats detected from their signature, that are
+ * compatible with the detected one
+ * @type {Object<String[]>}
+ * @private
+ */
+const ALIASES = {
+  'audio/x-flac': ['audio/flac'],
+  'audio/ogg': ['video/ogg', 'application/ogg'],
+  'audio/wav': ['audio/wave', 'audio/x-wav'],
+  'audio/mp4': ['video/mp4'],
+  'video/mp4': ['audio/mp4', 'image/heic', 'image/avif'],
+  'video/webm': ['audio/webm', 'video/x-matroska'],
+  'application/gzip': ['application/x-gzip'],
+  'application/vnd.rar': ['application/x-rar-compressed'],
+  'application/zip': [
+    'application/x-zip-compressed',
+    'application/java-archive',
+    'application/vnd.android.package-archive'
+  ]
+}
+
+/**
+ * The MIME-types that can be verified from their signature
+ * @type {Set<String>}
+ * @private
+ */
+const KNOWN_TYPES = new Set(SIGNATURES
+  .map(signature => signature.type)
+  .concat(...Object.keys(ALIASES).map(type => ALIASES[type])))
+
+/**
+ * A regular expression for the MIME-types of text formats
+ * @type {RegExp}
+ * @private
+ */
+const TEXT_TYPES = /^(text\/.*|application\/(json|ndjson|xml|javascript|x-www-form-urlencoded)|.*\+(json|xml))$/
+
+/**
+ * A regular expression for the MIME-types of zip-based formats
+ * @type {RegExp}
+ * @private
+ */
+const ZIP_TYPES = /^application\/(.*\+zip|vnd\.openxmlformats-.*|vnd\.oasis\.opendocument\..*)$/
+
+/**
+ * Returns whether or not the first bytes of a stream are text, i.e. have a
+ * byte-order mark or no control characters other than whitespace
+ * @param {Buffer} buf The first bytes of the stream
+ * @returns {Boolean}
+ * @private
+ */
+function isText (buf) {
+  if (buf.slice(0, 3).equals(Buffer.from([0xef, 0xbb, 0xbf])) ||
+    buf.slice(0, 2).equals(Buffer.from([0xfe, 0xff])) ||
+    buf.slice(0, 2).equals(Buffer.from([0xff, 0xfe]))) {
+    return true
+  }
+
+  return !buf.some(byte => byte < 0x20 && ![0x09, 0x0a, 0x0c, 0x0d, 0x1b].includes(byte))
+}
+
+/**
+ * Detects the MIME-type of a stream from its first bytes
+ *
+ * Common image, audio, video, archive and PDF formats are detected from their
+ * signature, while text is detected as either `application/json` (for objects
+ * and arrays) or `text/plain`. Anything else is `application/octet-stream`.
+ *
+ * @param {Buffer} buf The first (up to 512) bytes of the stream
+ * @returns {?String} The MIME-type, or `null` if the stream is empty
+ * @private
+ */
+function detect (buf) {
+  if (buf.length === 0) {
+    return null
+  }
+
+  const text = isText(buf)
+  const signature = SIGNATURES.find(({ offset, bytes, isWeak }) =>
+    buf.slice(offset, offset + bytes.length).equals(bytes) && !(isWeak && text))
+
+  if (signature != null) {
+    return signature.type
+  } else if (!text) {
+    return 'application/octet-stream'
+  }
+
+  return /^\uFEFF?\s*[{[]/.test(buf.toString('utf8'))
+    ? 'application/json'
+    : 'text/plain'
+}
+
+/**
+ * Returns whether or not a detected MIME-type is compatible with the declared
+ * one
+ *
+ * Streams declared as `application/octet-stream`, or of MIME-types that cannot
+ * be verified, are compatible with anything. Streams declared as text are only
+ * compatible with text, while streams of formats with a signature must match.
+ *
+ * @param {String} declared The declared MIME-type
+ * @param {?String} detected The detected MIME-type
+ * @returns {Boolean}
+ * @private
+ */
+function isCompatible (declared, detected) {
+  if (detected == null || declared === 'application/octet-stream' || declared === detected) {
+    return true
+  } else if (TEXT_TYPES.test(declared)) {
+    return detected === 'text/plain' || detected === 'application/json'
+  } else if (detected === 'application/zip' && ZIP_TYPES.test(declared)) {
+    return true
+  } else if (KNOWN_TYPES.has(declared) || ZIP_TYPES.test(declared)) {
+    return (ALIASES[detected] || []).includes(declared)
+  }
+
+  return true
+}
+
+/**
+ * Export the sniffer
+ * @type {Object}
+ */
+module.exports = {
+  SNIFF_SIZE,
+  detect,
+  isCompatible
+}
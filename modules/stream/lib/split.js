@@ -0,0 +1,227 @@
+/**
+ * @file Splits streams into lines or binary records
+ * @private
+ */
+'use strict'
+
+const SmartStreamError = require('./error')
+const { DEFAULT_RECORD_LIMIT, LineParser } = require('./object-stream')
+const { Transform } = require('stream')
+
+/**
+ * The sizes (in bytes) of the supported length prefixes
+ * @type {Number[]}
+ * @private
+ */
+const LENGTH_PREFIXES = [1, 2, 4]
+
+/**
+ * A transform that splits its input in object mode, wrapping unexpected errors
+ * @private
+ */
+class Splitter extends Transform {
+  /**
+   * Constructs a `Splitter`
+   * @returns {Splitter}
+   */
+  constructor () {
+    super({
+      readableObjectMode: true,
+      transform: (chunk, encoding, cb) => {
+        try {
+          this._buf = this._buf.length === 0 ? chunk : Buffer.concat([this._buf, chunk])
+          this._split()
+          cb()
+        } catch (err) {
+          cb(err)
+        }
+      },
+      flush: (cb) => {
+        try {
+          this._end()
+          cb()
+        } catch (err) {
+          cb(err)
+        }
+      },
+      destroy: (err, cb) => {
+        // istanbul ignore else
+        if (err == null || err.isSmartStreamError) {
+          cb(err)
+        } else {
+          cb(SmartStreamError.Unexpected(err))
+        }
+      }
+    })
+
+    this._buf = Buffer.alloc(0)
+    this._count = 0
+  }
+
+  /**
+   * Pushes a line or record
+   * @param {String|Buffer} value The line or record
+   * @private
+   */
+  _pushValue (value) {
+    this._count++
+    this.push(value)
+  }
+
+  /**
+   * Splits the buffered input, holding on to any trailing partial line or record
+   * @private
+   */
+  // istanbul ignore next
+  _split () {
+    throw SmartStreamError.Unexpected('_split() is not implemented!')
+  }
+
+  /**
+   * Handles the end of the input
+   * @private
+   */
+  // istanbul ignore next
+  _end () {
+    throw SmartStreamError.Unexpected('_end() is not implemented!')
+  }
+}
+
+/**
+ * Splits its input into lines, pushing them as strings
+ *
+ * The lines are scanned by a {@link LineParser}, whose record limit is the
+ * maximum line length.
+ * @private
+ */
+class LineSplitter extends LineParser {
+  /**
+   * Constructs a `LineSplitter`
+   * @param {Object} [props] Properties of the splitter
+   * @param {String|Buffer} [props.delimiter='\n'] The delimiter of the lines
+   * @param {Number} [props.maxLineLength=65536] The maximum length (in bytes) of a line
+   * @returns {LineSplitter}
+   */
+  constructor (props) {
+    props = Object.assign({ maxLineLength: DEFAULT_RECORD_LIMIT }, props)
+
+    if (isNaN(+props.maxLineLength) || +props.maxLineLength <= 0) {
+      throw new TypeError(`${props.maxLineLength} is an invalid max line length!`)
+    }
+
+    super(Object.assign({}, props, { recordLimit: props.maxLineLength }))
+  }
+
+  /**
+   * @inheritdoc
+   */
+  _parseLine (line) {
+    this._pushRecord(line)
+  }
+
+  /**
+   * Ensures the specified length is within the maximum line length
+   * @param {Number} length The length (in bytes) to check
+   * @private
+   */
+  _checkSize (length) {
+    if (length > this._recordLimit) {
+      throw SmartStreamError.LineTooLong({
+        line: this._records,
+        maxLineLength: this._recordLimit,
+        length
+      })
+    }
+  }
+}
+
+/**
+ * Splits its input into binary records, pushing them as buffers
+ *
+ * Records either have a fixed `size`, or are prefixed with their length, as a
+ * big-endian unsigned integer of `lengthPrefix` bytes.
+ * @private
+ */
+class RecordSplitter extends Splitter {
+  /**
+   * Constructs a `RecordSplitter`
+   * @param {Object} props Properties of the splitter
+   * @param {Number} [props.size] The size (in bytes) of every record
+   * @param {Number} [props.lengthPrefix] The size (in bytes) of the length prefix; 1, 2 or 4
+   * @param {Number} [props.recordLimit=65536] The maximum size (in bytes) of a length-prefixed record
+   * @returns {RecordSplitter}
+   */
+  constructor (props) {
+    props = Object.assign({ recordLimit: DEFAULT_RECORD_LIMIT }, props)
+
+    if ((props.size == null) === (props.lengthPrefix == null)) {
+      throw new TypeError('either a size or a lengthPrefix must be specified!')
+    } else if (props.size != null && (!Number.isInteger(+props.size) || +props.size <= 0)) {
+      throw new TypeError(`${props.size} is an invalid record size!`)
+    } else if (props.lengthPrefix != null && !LENGTH_PREFIXES.includes(+props.lengthPrefix)) {
+      throw new TypeError(`${props.lengthPrefix} is an invalid length prefix!`)
+    } else if (isNaN(+props.recordLimit) || +props.recordLimit <= 0) {
+      throw new TypeError(`${props.recordLimit} is an invalid record limit!`)
+    }
+
+    super()
+
+    this._size = props.size == null ? undefined : +props.size
+    this._lengthPrefix = props.lengthPrefix == null ? undefined : +props.lengthPrefix
+    this._recordLimit = +props.recordLimit
+  }
+
+  /**
+   * @inheritdoc
+   */
+  _split () {
+    let offset = 0
+
+    for (;;) {
+      let start = offset
+      let size = this._size
+
+      if (this._lengthPrefix != null) {
+        if (this._buf.length - offset < this._lengthPrefix) break
+
+        size = this._buf.readUIntBE(offset, this._lengthPrefix)
+        if (size > this._recordLimit) {
+          throw SmartStreamError.TooLarge({
+            record: this._count,
+            recordLimit: this._recordLimit,
+            size
+          })
+        }
+        start += this._lengthPrefix
+      }
+
+      if (this._buf.length - start < size) break
+
+      this._pushValue(this._buf.slice(start, start + size))
+      offset = start + size
+    }
+
+    this._buf = this._buf.slice(offset)
+  }
+
+  /**
+   * @inheritdoc
+   */
+  _end () {
+    if (this._buf.length > 0) {
+      throw SmartStreamError.Malformed({
+        record: this._count,
+        reason: 'truncated record'
+      })
+    }
+  }
+}
+
+/**
+ * Export the splitters
+ * @type {Object}
+ */
+module.exports = {
+  LineSplitter,
+  RecordSplitter
+}
@@ -0,0 +1,306 @@
+/**
+ * @file Spools streams into memory or temporary files
+ * @private
+ */
+'use strict'
+
+const { randomBytes } = require('crypto')
+const SmartStreamError = require('./error')
+const { createWriteStream, readFile, unlink, unlinkSync } = require('fs')
+const { tmpdir } = require('os')
+const { join } = require('path')
+const { Writable } = require('stream')
+
+/**
+ * The paths of the temporary files that have not been cleaned up yet, removed
+ * when the process exits
+ * @type {Set<String>}
+ * @private
+ */
+const TEMP_FILES = new Set()
+
+/**
+ * Registers a temporary file to be removed when the process exits
+ * @param {String} path The path of the file
+ * @private
+ */
+function track (path) {
+  if (TEMP_FILES.size === 0) {
+    process.once('exit', removeAll)
+  }
+  TEMP_FILES.add(path)
+}
+
+/**
+ * Removes a temporary file
+ * @param {String} path The path of the file
+ * @returns {Promise}
+ * @private
+ */
+function remove (path) {
+  TEMP_FILES.delete(path)
+  if (TEMP_FILES.size === 0) {
+    process.removeListener('exit', removeAll)
+  }
+
+  return new Promise(resolve => unlink(path, () => resolve()))
+}
+
+/**
+ * Synchronously removes all the temporary files, as the process exits
+ * @private
+ */
+function removeAll () {
+  TEMP_FILES.forEach(path => {
+    try {
+      unlinkSync(path)
+    } catch (err) {
+      // The file may have already been removed
+    }
+  })
+  TEMP_FILES.clear()
+}
+
+/**
+ * A writable stream that keeps its input in memory, up to a threshold, and
+ * spills it into a temporary file beyond it
+ * @private
+ */
+class SpoolWriter extends Writable {
+  /**
+   * Constructs a `SpoolWriter`
+   * @param {Object} props Properties of the writer
+   * @param {Number} props.threshold The maximum number of bytes kept in memory; -1 to always write a file
+   * @param {String} [props.dir=os.tmpdir()] The directory of the temporary file
+   * @returns {SpoolWriter}
+   */
+  constructor (props) {
+    super()
+
+    this._threshold = props.threshold
+    this._dir = props.dir || tmpdir()
+    this._chunks = []
+    this._size = 0
+    this._path = null
+    this._file = null
+    this._isClosed = false
+  }
+
+  /**
+   * Returns the result of the writer, once finished
+   * @returns {{buffer: ?Buffer, path: ?String, size: Number}}
+   */
+  get result () {
+    return {
+      buffer: this._file == null ? Buffer.concat(this._chunks, this._size) : null,
+      path: this._path,
+      size: this._size
+    }
+  }
+
+  /**
+   * Opens the temporary file, writing whatever was kept in memory so far
+   * @private
+   */
+  _open () {
+    this._path = join(this._dir, `smart-stream-${randomBytes(12).toString('hex')}`)
+    // The file is only readable by its owner, as the directory may be shared
+    this._file = createWriteStream(this._path, { flags: 'wx', mode: 0o600 })
+      .once('error', err => this.destroy(err))
+    track(this._path)
+
+    this._chunks.forEach(chunk => this._file.write(chunk))
+    this._chunks = []
+  }
+
+  /**
+   * Writes a chunk into memory or the temporary file
+   * @param {Buffer} chunk The chunk
+   * @param {String} encoding The encoding of the chunk
+   * @param {Function} cb Invoked once the chunk is written
+   * @private
+   */
+  _write (chunk, encoding, cb) {
+    this._size += chunk.length
+
+    if (this._file == null && this._size <= this._threshold) {
+      this._chunks.push(chunk)
+      return cb()
+    } else if (this._file == null) {
+      this._open()
+    }
+
+    this._file.write(chunk)
+      ? cb()
+      : this._file.once('drain', cb)
+  }
+
+  /**
+   * Closes the temporary file, if any
+   * @param {Function} cb Invoked once the file is closed
+   * @private
+   */
+  _final (cb) {
+    if (this._file == null && this._size > this._threshold) {
+      this._open()
+    }
+
+    this._file == null
+      ? cb()
+      : this._file.once('close', () => {
+        this._isClosed = true
+        cb()
+      }).end()
+  }
+
+  /**
+   * Removes the temporary file, unless it was closed after being written
+   * @param {Error} err The error, if any
+   * @param {Function} cb Invoked once done
+   * @private
+   */
+  _destroy (err, cb) {
+    this._chunks = []
+    if (this._file == null || this._isClosed) {
+      return cb(err)
+    }
+
+    this._file.destroy()
+    remove(this._path).then(() => cb(err))
+  }
+}
+
+/**
+ * A handle to the contents of a stream, spooled into memory or a temporary file
+ *
+ * The handle may be reopened as a fresh SmartStream any number of times, until
+ * it is cleaned up. Temporary files are removed on {@link Spool#cleanup}, or
+ * when the process exits.
+ */
+class Spool {
+  /**
+   * Constructs a `Spool`
+   * @param {Object} props Properties of the spool
+   * @param {Buffer} [props.buffer] The contents, when kept in memory
+   * @param {String} [props.path] The path of the temporary file, otherwise
+   * @param {Number} props.size The size (in bytes) of the contents
+   * @param {Object} props.headers The properties of the streams to reopen
+   * @param {Function} props.Ctor The constructor of the streams to reopen
+   * @returns {Spool}
+   */
+  constructor (props) {
+    this._buffer = props.buffer
+    this._path = props.path
+    this._size = props.size
+    this._headers = props.headers
+    this._Ctor = props.Ctor
+    this._isCleanedUp = false
+  }
+
+  /**
+   * Returns whether or not the contents were spooled into a temporary file
+   * @returns {Boolean}
+   */
+  get isFile () {
+    return this._path != null
+  }
+
+  /**
+   * Returns the path of the temporary file, if any
+   * @returns {?String}
+   */
+  get path () {
+    return this._path
+  }
+
+  /**
+   * Returns the size (in bytes) of the contents
+   * @returns {Number}
+   */
+  get size () {
+    return this._size
+  }
+
+  /**
+   * Reopens the contents as a fresh SmartStream
+   * @param {Object} [props] Properties of the stream, overriding those of the spooled stream
+   * @returns {SmartStream}
+   * @throws {TypeError} If the spool has been cleaned up
+   */
+  toStream (props) {
+    if (this._isCleanedUp) {
+      throw new TypeError('the spool has been cleaned up!')
+    }
+
+    props = Object.assign({}, this._headers, props)
+    if (!this.isFile) {
+      return this._Ctor.fromBuffer(this._buffer, props, this._Ctor)
+    }
+
+    return this._Ctor.fromFile(this._path, Object.assign(props, {
+      contentLength: this._size || undefined,
+      limit: this._size || undefined
+    }), this._Ctor)
+  }
+
+  /**
+   * Reads the contents into a buffer
+   * @returns {Promise<Buffer>}
+   */
+  toBuffer () {
+    if (this._isCleanedUp) {
+      return Promise.reject(new TypeError('the spool has been cleaned up!'))
+    } else if (!this.isFile) {
+      return Promise.resolve(this._buffer)
+    }
+
+    return new Promise((resolve, reject) => readFile(this._path, (err, buf) => {
+      // istanbul ignore next
+      err == null ? resolve(buf) : reject(SmartStreamError.Unexpected(err))
+    }))
+  }
+
+  /**
+   * Releases the contents, removing the temporary file if any
+   * @returns {Promise}
+   */
+  cleanup () {
+    this._isCleanedUp = true
+    this._buffer = null
+    return this._path == null ? Promise.resolve() : remove(this._path)
+  }
+}
+
+/**
+ * Spools a stream into memory, or a temporary file beyond the threshold
+ *
+ * @param {Readable} stream The stream to spool
+ * @param {Object} props Properties of the spool
+ * @param {Number} props.threshold The maximum number of bytes kept in memory; -1 to always write a file
+ * @param {String} [props.dir=os.tmpdir()] The directory of the temporary file
+ * @returns {Promise<{buffer: ?Buffer, path: ?String, size: Number}>}
+ * @private
+ */
+function spool (stream, props) {
+  return new Promise((resolve, reject) => {
+    const writer = new SpoolWriter(props)
+
+    stream
+      .once('error', err => writer.destroyed || writer.destroy(err))
+      .pipe(writer)
+      .once('finish', () => resolve(writer.result))
+      .once('error', err => {
+        stream.destroyed || stream.destroy(err)
+        reject(err.isSmartStreamError ? err : SmartStreamError.Unexpected(err))
+      })
+  })
+}
+
+/**
+ * Export the spool
+ * @type {Object}
+ */
+module.exports = {
+  Spool,
+  spool
+}
@@ -4,31 +4,42 @@
 'use strict'
 
 const SmartTimer = require('@smart-modules/timer')
+const TokenBucket = require('./token-bucket')
+const Archive = require('./archive')
+const Charset = require('./charset')
+const Csv = require('./csv')
+const Digest = require('./digest')
+const Envelope = require('./envelope')
 const SmartStreamError = require('./error')
+const Harden = require('./harden')
+const Http = require('./http')
+const { MultipartParser } = require('./multipart')
+const Negotiate = require('./negotiate')
+const ObjectStream = require('./object-stream')
+const Range = require('./range')
+const Sniff = require('./sniff')
+const Split = require('./split')
+const { Spool, spool } = require('./spool')
+const Tee = require('./tee')
 const Util = require('./util')
+const Validate = require('./validate')
+const Web = require('./web')
 const { createReadStream, stat } = require('fs')
-const { Transform } = require('stream')
+const { Readable, Transform } = require('stream')
 
 /**
  * A regular expression for valid content types
  * @type {RegExp}
  * @private
  */
-const CONTENT_TYPES = /^((application|audio|image|multipart|text|video)\/([\w-]+));?.*$/
+const CONTENT_TYPES = /^((application|audio|image|multipart|text|video)\/([\w.+-]+));?.*$/
 
 /**
- * A regular expression for valid content encodings
+ * A regular expression for valid content ranges
  * @type {RegExp}
  * @private
  */
-const CONTENT_ENCODINGS = /^(identity|gzip|deflate)$/
-
-/**
- * A list of MIME types that can be deserialized into an object
- * @type {RegExp}
- * @private
- */
-const DESERIALIZABLE_TYPES = /^application\/(json|msgpack|x-www-form-urlencoded)$/
+const CONTENT_RANGE = /^bytes (\d+-\d+|\*)\/(\d+|\*)$/
 
 /**
  * A list of MIME types that can be (de)serialized to/from an object stream
@@ -37,13 +48,6 @@ const DESERIALIZABLE_TYPES = /^application\/(json|msgpack|x-www-form-urlencoded)
  */
 const OBJECT_STREAM_TYPES = ['application/ndjson', 'text/event-stream']
 
-/**
- * A list of compressed encodings
- * @type {RegExp}
- * @private
- */
-const COMPRESSED_ENCODINGS = /^(gzip|deflate)$/
-
 /**
  * A no-op function
  * @type {Function}
@@ -62,6 +66,15 @@ const NOOP = () => {}
  * Every `SmartStream` instance accepts a pre-defined number of bytes that MUST
  * be received within the specified timeout duration. The timeout resets
  * whenever new data is received by the stream.
+ *
+ * A `SmartStream` accepts a single source at a time; piping another source into
+ * it while the first is still attached destroys that other source with a
+ * `MultipleSources` error, leaving the stream and its first source untouched.
+ * Use {@link SmartStream.concat} to read many sources in sequence.
+ *
+ * A `SmartStream` may also be consumed with `for await`, which yields its
+ * chunks and throws the errors of the stream, e.g. `TooLarge` or `TimedOut`.
+ * Breaking out of the loop destroys the stream along with its source.
  */
 class SmartStream extends Transform {
   /**
@@ -71,49 +84,160 @@ class SmartStream extends Transform {
    * @param {String} props.contentType The MIME type of the stream
    * @param {String} props.contentEncoding The encoding of the stream
    * @param {Number} [props.contentLength] The length (in bytes) of the stream
+   * @param {String} [props.contentRange] The `Content-Range` of the stream, if it is a byte-range of a larger representation
+   * @param {Boolean} [props.strictContentLength=false] Whether or not to error when the number of bytes received does not match `contentLength`
+   * @param {String|String[]} [props.digests] The digest algorithms (e.g. `sha256`, `md5`, `crc32c`) to compute
+   * @param {String|Object<String>} [props.expectedDigest] The expected digest, either as a `Content-MD5`, `Digest` or `Repr-Digest` header (where unsupported algorithms are skipped, but malformed items are invalid), or as an object of hex-encoded digests indexed by algorithm
    * @param {Number} [props.limit] The maximum number of bytes accepted before terminating the input
+   * @param {Number} [props.decompressedLimit] The maximum number of bytes produced when decompressing the stream; the `limit` by default, or the default limit if higher
+   * @param {Number} [props.maxExpansionRatio=Infinity] The maximum ratio of decompressed to compressed bytes
    * @param {Number} [props.timeout] The timeout (ms) for receiving the incoming data; 0 to disable
    * @param {Number} [props.interval] The interval (ms) to check for timeouts
+   * @param {Number} [props.minRate] The minimum rate (bytes/s) of the incoming data, over `rateWindow`, not counting the time spent waiting for a slow consumer
+   * @param {Number} [props.rateWindow=10000] The sliding window (ms) over which `minRate` is measured
+   * @param {Number} [props.maxDuration] The maximum duration (ms) for receiving all the incoming data
+   * @param {Number|TokenBucket} [props.rateLimit] The maximum rate (bytes/s) of the data flowing through the stream, or a token bucket shared with other streams
+   * @param {String} [props.sniff] Either `detect` to detect the MIME-type of an identity-encoded stream from its first bytes, or `enforce` to also error when it does not match `contentType`
+   * @param {Number} [props.progressInterval=1000] The minimum interval (ms) between `progress` events; 0 for every chunk
    * @returns {SmartStream}
    */
   constructor (props) {
+    const expectedDigest = props == null || props.expectedDigest == null
+      ? null
+      : Digest.parseExpected(props.expectedDigest)
+
     if (props == null) {
       throw new TypeError('props is a required argument!')
     } else if (!CONTENT_TYPES.test(props.contentType)) {
       throw new TypeError(`"${props.contentType}" is not a valid MIME type!`)
-    } else if (!CONTENT_ENCODINGS.test(props.contentEncoding)) {
+    } else if (!Util.isEncoding(props.contentEncoding)) {
       throw new TypeError(`"${props.contentEncoding}" is not a valid encoding!`)
     } else if (+props.contentLength <= 0) {
       throw new TypeError(`${props.contentLength} is an invalid content-length!`)
+    } else if (props.contentRange != null && !CONTENT_RANGE.test(props.contentRange)) {
+      throw new TypeError(`"${props.contentRange}" is an invalid content-range!`)
     } else if (props.limit != null && (isNaN(+props.limit) || +props.limit <= 0)) {
       throw new TypeError(`${props.limit} is an invalid limit!`)
+    } else if (props.decompressedLimit != null &&
+      (isNaN(+props.decompressedLimit) || +props.decompressedLimit <= 0)) {
+      throw new TypeError(`${props.decompressedLimit} is an invalid decompressed limit!`)
+    } else if (props.maxExpansionRatio != null &&
+      (isNaN(+props.maxExpansionRatio) || +props.maxExpansionRatio < 1)) {
+      throw new TypeError(`${props.maxExpansionRatio} is an invalid expansion ratio!`)
+    } else if (props.digests != null && ![].concat(props.digests).every(Digest.isSupported)) {
+      throw new TypeError(`"${props.digests}" contains an unsupported digest algorithm!`)
+    } else if (props.expectedDigest != null && expectedDigest == null) {
+      throw new TypeError(`${JSON.stringify(props.expectedDigest)} is an invalid digest!`)
     } else if (+props.timeout < +props.interval) {
       throw new TypeError(`"timeout (${props.timeout}ms) must be higher than the interval (${props.interval}ms)`)
     }
 
+    if (props.rateLimit != null && typeof props.rateLimit.take !== 'function' &&
+      (isNaN(+props.rateLimit) || +props.rateLimit <= 0)) {
+      throw new TypeError(`${props.rateLimit} is an invalid rate limit!`)
+    }
+
+    if (props.sniff != null && !['detect', 'enforce'].includes(props.sniff)) {
+      throw new TypeError(`"${props.sniff}" is an invalid sniffing mode!`)
+    } else if (props.sniff != null && props.contentEncoding !== 'identity') {
+      throw new TypeError(`cannot sniff a "${props.contentEncoding}"-encoded stream!`)
+    }
+
+    if (props.progressInterval != null &&
+      (isNaN(+props.progressInterval) || +props.progressInterval < 0)) {
+      throw new TypeError(`${props.progressInterval} is an invalid progress interval!`)
+    }
+
+    for (const name of ['minRate', 'rateWindow', 'maxDuration']) {
+      if (props[name] != null && (isNaN(+props[name]) || +props[name] <= 0)) {
+        throw new TypeError(`${props[name]} is an invalid ${name}!`)
+      } else if (props[name] != null && +props.timeout === 0) {
+        throw new TypeError(`${name} cannot be enforced without a timeout!`)
+      }
+    }
+
     super({
       transform: (chunk, encoding, cb) => {
         this._size += Buffer.byteLength(chunk)
+        if (this._firstByteAt == null) this._firstByteAt = Date.now()
 
         if (this._size > this._limit) {
           return cb(SmartStreamError.TooLarge(this.toJSON()))
+        } else if (this._strictContentLength && this._size > this._contentLength) {
+          return cb(SmartStreamError.Overflow({
+            contentLength: this._contentLength,
+            size: this._size
+          }))
+        }
+
+        this._hashes.forEach(hash => hash.update(chunk))
+        this._timer == null || this._timer.touch()
+        this._onProgress(false)
+
+        // Hold the first bytes until the MIME-type is detected
+        if (this._sniffBuffer != null) {
+          this._sniffBuffer = Buffer.concat([this._sniffBuffer, chunk])
+          if (this._sniffBuffer.length < Sniff.SNIFF_SIZE) {
+            return cb()
+          }
+
+          chunk = this._sniffBuffer
+          const err = this._detectType(chunk)
+          if (err != null) return cb(err)
         }
 
-        this._timer.touch()
-        cb(null, chunk)
+        if (this._tokenBucket == null) {
+          cb(null, chunk)
+        } else {
+          this._throttle(chunk, cb)
+        }
       },
       flush: (cb) => {
         this._timer == null || this._timer.destroy()
+        this._endedAt = Date.now()
 
         // If no content-length was provided, populate the value
         if (this._contentLength == null) {
           this._contentLength = this._size
+        } else if (this._strictContentLength && this._size < this._contentLength) {
+          return cb(SmartStreamError.Truncated({
+            contentLength: this._contentLength,
+            size: this._size
+          }))
+        }
+
+        this._onProgress(true)
+
+        if (this._sniffBuffer != null) {
+          const buf = this._sniffBuffer
+          const err = this._detectType(buf)
+          if (err != null) return cb(err)
+          buf.length === 0 || this.push(buf)
+        }
+
+        if (this._hashes.size > 0) {
+          this._digest = {}
+          this._hashes.forEach((hash, algorithm) => {
+            this._digest[algorithm] = hash.digest()
+          })
+
+          for (const algorithm in this._expectedDigest) {
+            if (!this._expectedDigest[algorithm].equals(this._digest[algorithm])) {
+              return cb(SmartStreamError.DigestMismatch({
+                algorithm,
+                expected: this._expectedDigest[algorithm].toString('hex'),
+                actual: this._digest[algorithm].toString('hex')
+              }))
+            }
+          }
         }
 
         cb()
       },
       destroy: (err, cb) => {
         this._timer == null || this._timer.destroy(err)
+        this._pendingTake == null || this._tokenBucket.cancel(this._pendingTake)
+        this._endedAt = this._endedAt || Date.now()
 
         // If no content-length was provided, populate the value
         if (this._contentLength == null) {
@@ -137,12 +261,57 @@ class SmartStream extends Transform {
     this._contentType = CONTENT_TYPES.exec(props.contentType)[1]
     this._contentEncoding = props.contentEncoding
     this._contentLength = +props.contentLength || undefined
+    this._contentRange = props.contentRange
+    this._strictContentLength = props.strictContentLength === true
+    // A header offering only unsupported algorithms cannot be verified
+    this._expectedDigest = expectedDigest || {}
+    this._hashes = new Map([]
+      .concat(props.digests == null ? [] : props.digests)
+      .concat(Object.keys(this._expectedDigest))
+      .map(algorithm => [algorithm, Digest.createHash(algorithm)]))
+    this._digest = undefined
     this._size = 0
-    this._limit = +props.limit || (this.isDeserializable
+    const defaultLimit = this.isDeserializable
       ? 1024 * 64
-      : 1024 * 1024 * 10)
+      : 1024 * 1024 * 10
+    this._limit = +props.limit || defaultLimit
+    // The limit of a buffered stream is its length, which its decompressed data
+    // may legitimately exceed up to the default limit
+    this._decompressedLimit = +props.decompressedLimit || Math.max(this._limit, defaultLimit)
+    this._maxExpansionRatio = +props.maxExpansionRatio || Infinity
     this._timeout = +props.timeout >= 0 ? +props.timeout : 30000
     this._interval = +props.interval >= 0 ? +props.interval : 1000
+    this._minRate = +props.minRate || 0
+    this._rateWindow = +props.rateWindow || 10000
+    this._maxDuration = +props.maxDuration || Infinity
+    this._startedAt = Date.now()
+    this._tokenBucket = (props.rateLimit == null || typeof props.rateLimit.take === 'function')
+      ? props.rateLimit
+      : new TokenBucket({ rate: props.rateLimit })
+    this._pendingTake = null
+    this._samples = [[this._startedAt, 0]]
+    this._checkedAt = this._startedAt
+    this._firstByteAt = undefined
+    this._endedAt = undefined
+    this._progressInterval = +props.progressInterval >= 0 ? +props.progressInterval : 1000
+    this._progressSample = [this._startedAt, 0]
+    this._source = null
+    this._sniff = props.sniff
+    this._sniffBuffer = props.sniff == null ? null : Buffer.alloc(0)
+    this._detectedType = undefined
+
+    this
+      .on('pipe', source => {
+        if (this._source == null) {
+          this._source = source
+        } else if (this._source !== source) {
+          source.unpipe(this)
+          source.destroy(SmartStreamError.MultipleSources())
+        }
+      })
+      .on('unpipe', source => {
+        if (this._source === source) this._source = null
+      })
 
     if (+this._contentLength > this._limit) {
       setImmediate(() => this.destroy(SmartStreamError.TooLarge(this.toJSON())))
@@ -153,6 +322,118 @@ class SmartStream extends Transform {
           timeout: this._timeout,
           interval: this._interval
         }, duration => this.destroy(SmartStreamError.TimedOut({ duration })))
+
+      if (this._minRate > 0 || this._maxDuration < Infinity) {
+        this._timer.on('interval', () => this._checkRate())
+      }
+    }
+  }
+
+  /**
+   * Pushes a chunk through the token bucket, in pieces no larger than its burst
+   * size, so that a slow rate does not stall the stream into a timeout
+   * @param {Buffer} chunk The chunk to push
+   * @param {Function} cb Invoked once the entire chunk is pushed
+   * @private
+   */
+  _throttle (chunk, cb) {
+    const size = Math.min(chunk.length, this._tokenBucket.burst || chunk.length)
+
+    this._pendingTake = () => {
+      this._pendingTake = null
+      if (this.destroyed) return
+
+      this._timer == null || this._timer.touch()
+      this.push(chunk.slice(0, size))
+
+      chunk.length > size
+        ? this._throttle(chunk.slice(size), cb)
+        : cb()
+    }
+    this._tokenBucket.take(size, this._pendingTake)
+  }
+
+  /**
+   * Detects the MIME-type of the stream from its first bytes
+   * @param {Buffer} buf The first bytes of the stream
+   * @returns {?SmartStreamError} A `TypeMismatch` error, if enforced
+   * @private
+   */
+  _detectType (buf) {
+    this._sniffBuffer = null
+    this._detectedType = Sniff.detect(buf.slice(0, Sniff.SNIFF_SIZE))
+
+    if (this._sniff === 'enforce' && !Sniff.isCompatible(this._contentType, this._detectedType)) {
+      return SmartStreamError.TypeMismatch({
+        contentType: this._contentType,
+        detectedType: this._detectedType
+      })
+    }
+
+    return null
+  }
+
+  /**
+   * Emits a `progress` event, at most once every `progressInterval`
+   * @param {Boolean} force Whether or not to emit regardless of the interval
+   * @private
+   */
+  _onProgress (force) {
+    const now = Date.now()
+    if (!force && now - this._progressSample[0] < this._progressInterval) {
+      return
+    }
+
+    const stats = this.stats()
+    this._progressSample = [now, this._size]
+    this.emit('progress', stats)
+  }
+
+  /**
+   * Enforces the minimum rate and maximum duration of the incoming data;
+   * invoked at every interval of the timer
+   * @private
+   */
+  _checkRate () {
+    const now = Date.now()
+    const duration = now - this._startedAt
+    const elapsed = now - this._checkedAt
+    this._checkedAt = now
+
+    if (duration > this._maxDuration) {
+      return this.destroy(SmartStreamError.DeadlineExceeded({
+        maxDuration: this._maxDuration,
+        duration,
+        size: this._size,
+        rate: Math.round(this._size * 1000 / duration)
+      }))
+    } else if (this._minRate === 0) {
+      return
+    }
+
+    // A full readable buffer means the consumer is slower than the source, so
+    // the window is paused rather than blaming the source for the backpressure
+    if (this.readableLength >= this.readableHighWaterMark) {
+      this._samples.forEach(sample => { sample[0] += elapsed })
+      return
+    }
+
+    // Keep the most recent sample that is at least `rateWindow` old, and all
+    // the samples since then
+    this._samples.push([now, this._size])
+    while (this._samples.length > 1 && now - this._samples[1][0] >= this._rateWindow) {
+      this._samples.shift()
+    }
+
+    const [since, size] = this._samples[0]
+    const rate = (this._size - size) * 1000 / (now - since)
+    if (now - since >= this._rateWindow && rate < this._minRate) {
+      this.destroy(SmartStreamError.TooSlow({
+        minRate: this._minRate,
+        rateWindow: this._rateWindow,
+        size: this._size,
+        rate: Math.round(rate)
+      }))
     }
   }
 
@@ -164,6 +445,16 @@ class SmartStream extends Transform {
     return this._contentType
   }
 
+  /**
+   * Returns the character set of the stream, from the `charset` parameter of
+   * its raw content-type
+   * @returns {String|undefined}
+   */
+  get charset () {
+    const { charset } = Util.parseHeader(this._contentTypeRaw).params
+    return charset == null ? undefined : charset.toLowerCase()
+  }
+
   /**
    * Returns the encoding of the stream
    * @returns {String}
@@ -180,6 +471,48 @@ class SmartStream extends Transform {
     return this._contentLength
   }
 
+  /**
+   * Returns the `Content-Range` of the stream, if it is a byte-range of a larger
+   * representation
+   * @returns {String|undefined}
+   */
+  get contentRange () {
+    return this._contentRange
+  }
+
+  /**
+   * Returns the MIME-type detected from the first bytes of the stream, when
+   * sniffing; available before any data is emitted, and `null` for an empty
+   * stream
+   * @returns {?String|undefined}
+   */
+  get detectedType () {
+    return this._detectedType
+  }
+
+  /**
+   * Returns whether or not the stream errors when the number of bytes received
+   * does not match the content-length
+   * @returns {Boolean}
+   */
+  get strictContentLength () {
+    return this._strictContentLength
+  }
+
+  /**
+   * Returns the digests of the bytes received by the stream as hex-encoded
+   * strings, indexed by algorithm, once the stream has finished
+   * @returns {Object<String>|undefined}
+   */
+  get digest () {
+    if (this._digest == null) return undefined
+
+    return Object.keys(this._digest).reduce((digest, algorithm) => {
+      digest[algorithm] = this._digest[algorithm].toString('hex')
+      return digest
+    }, {})
+  }
+
   /**
    * Returns the number of bytes received/processed by the stream
    * @returns {Number}
@@ -197,6 +530,24 @@ class SmartStream extends Transform {
     return this._limit
   }
 
+  /**
+   * Returns the number of bytes the stream will produce when decompressed,
+   * before terminating
+   * @returns {Number}
+   */
+  get decompressedLimit () {
+    return this._decompressedLimit
+  }
+
+  /**
+   * Returns the maximum ratio of decompressed to compressed bytes, beyond which
+   * decompressing the stream terminates
+   * @returns {Number}
+   */
+  get maxExpansionRatio () {
+    return this._maxExpansionRatio
+  }
+
   /**
    * Returns the timeout (in ms) for receiving the incoming data
    * @returns {Number}
@@ -213,13 +564,90 @@ class SmartStream extends Transform {
     return this._interval
   }
 
+  /**
+   * Returns the minimum rate (bytes/s) of the incoming data; 0 if disabled
+   * @returns {Number}
+   */
+  get minRate () {
+    return this._minRate
+  }
+
+  /**
+   * Returns the sliding window (in ms) over which the minimum rate is measured
+   * @returns {Number}
+   */
+  get rateWindow () {
+    return this._rateWindow
+  }
+
+  /**
+   * Returns the maximum duration (in ms) for receiving the incoming data
+   * @returns {Number}
+   */
+  get maxDuration () {
+    return this._maxDuration
+  }
+
+  /**
+   * Returns the token bucket limiting the rate of the stream, if any
+   * @returns {TokenBucket|undefined}
+   */
+  get rateLimit () {
+    return this._tokenBucket
+  }
+
+  /**
+   * Returns the minimum interval (in ms) between `progress` events
+   * @returns {Number}
+   */
+  get progressInterval () {
+    return this._progressInterval
+  }
+
+  /**
+   * Returns a snapshot of the progress of the stream
+   *
+   * The instantaneous `rate` is measured since the last `progress` event, while
+   * the `averageRate` is measured since the stream was created. The `percent`
+   * and the `eta` (based on the average rate) are only known along with the
+   * content-length. All durations are in ms, and rates in bytes/s.
+   *
+   * @returns {{size: Number, contentLength: ?Number, percent: ?Number, rate: Number, averageRate: Number, eta: ?Number, timeToFirstByte: ?Number, duration: Number}}
+   */
+  stats () {
+    const now = this._endedAt || Date.now()
+    const duration = now - this._startedAt
+    const [since, size] = this._progressSample
+    const averageRate = duration > 0 ? this._size * 1000 / duration : 0
+    const rate = now > since ? (this._size - size) * 1000 / (now - since) : averageRate
+    const contentLength = +this._contentLength > 0 ? this._contentLength : null
+    const remaining = contentLength == null ? null : Math.max(contentLength - this._size, 0)
+
+    return {
+      size: this._size,
+      contentLength,
+      percent: contentLength == null
+        ? null
+        : Math.min(this._size * 100 / contentLength, 100),
+      rate: Math.round(rate),
+      averageRate: Math.round(averageRate),
+      eta: (remaining == null || (remaining > 0 && averageRate === 0))
+        ? null
+        : Math.round(remaining * 1000 / averageRate) || 0,
+      timeToFirstByte: this._firstByteAt == null
+        ? null
+        : this._firstByteAt - this._startedAt,
+      duration
+    }
+  }
+
   /**
    * Returns whether or not the stream is compressed
    * @name {SmartStream#isCompressed}
    * @type {Boolean}
    */
   get isCompressed () {
-    return COMPRESSED_ENCODINGS.test(this._contentEncoding)
+    return Util.isCompressed(this._contentEncoding)
   }
 
   /**
@@ -228,7 +656,7 @@ class SmartStream extends Transform {
    * @type {Boolean}
    */
   get isDeserializable () {
-    return DESERIALIZABLE_TYPES.test(this._contentType)
+    return Util.isSerializable(this._contentType)
   }
 
   /**
@@ -239,6 +667,14 @@ class SmartStream extends Transform {
     return OBJECT_STREAM_TYPES.includes(this._contentType)
   }
 
+  /**
+   * Returns whether or not the stream is a CSV or TSV stream
+   * @returns {Boolean}
+   */
+  get isTabular () {
+    return Csv.FORMATS[this._contentType] != null
+  }
+
   /**
    * Returns whether or not the stream is an application-specific stream
    * @returns {Boolean}
@@ -301,6 +737,7 @@ class SmartStream extends Transform {
       contentEncoding: this._contentEncoding
     }
     if (+this._contentLength > 0) obj.contentLength = this._contentLength
+    if (this._contentRange != null) obj.contentRange = this._contentRange
     return obj
   }
 
@@ -330,12 +767,16 @@ class SmartStream extends Transform {
       ? Util.compress(target, this)
       : (target === 'identity')
           // decompress, if the target is identity-encoded
-          ? Util.decompress(source, this)
+          ? this._decompress()
           // otherwise, decompress and re-compress
-          : Util.compress(target, Util.decompress(source, this))
+          : Util.compress(target, this._decompress())
 
+    // The content-length (and range) of `this` stream does not apply to the
+    // transcoded one
     return this.constructor.fromStream(stream, Object.assign(this.toJSON(), {
       contentEncoding,
+      contentLength: undefined,
+      contentRange: undefined,
       limit: Infinity,
       timeout: 0,
       interval: 0
@@ -343,135 +784,1143 @@ class SmartStream extends Transform {
   }
 
   /**
-   * Collects the incoming stream into a buffer
-   * @param {Boolean} autoDecompress Whether or not to decompress the stream
-   * @returns {Promise<Buffer>}
+   * Pipes `this` stream into a HTTP response, setting the `Content-Type`,
+   * `Content-Encoding` and `Content-Length` headers
+   *
+   * When `acceptEncoding` is specified, the stream is transcoded into the best
+   * acceptable encoding (falling back to `identity`) and the response varies by
+   * `Accept-Encoding`, unless the stream is a byte-range (as ranges apply to
+   * `this` encoding). If the stream errors before the headers are sent, the
+   * response status is set using {@link SmartStream.getStatusCode}; otherwise
+   * the response is destroyed.
+   *
+   * @param {ServerResponse} res The HTTP response
+   * @param {Object} [props] Properties of the response
+   * @param {String} [props.acceptEncoding] The `Accept-Encoding` header of the request
+   * @returns {Promise} Resolves once the response is sent, or rejects with the error
    */
-  toBuffer (autoDecompress) {
-    return (autoDecompress && this.isCompressed)
-      ? Util.streamToBuffer(Util.decompress(this.contentEncoding, this))
-      : Util.streamToBuffer(this)
+  pipeToResponse (res, props) {
+    props = Object.assign({}, props)
+
+    let stream = this
+    if (props.acceptEncoding != null && this._contentRange == null &&
+      this._contentType !== 'multipart/byteranges') {
+      const encoding = Negotiate.negotiateEncoding(props.acceptEncoding,
+        this.contentEncoding, Util.getEncodings())
+
+      stream = this.toContentEncoding(encoding || 'identity')
+      Http.appendVary(res, 'Accept-Encoding')
+    }
+
+    return Http.pipeToResponse(stream, res)
   }
 
   /**
-   * Parses a stream into an object
-   * @returns {Promise<Object>}
+   * Picks the best representation of `this` stream acceptable to the `Accept`
+   * and `Accept-Encoding` headers of a request
+   *
+   * A deserializable stream may be re-serialized into any registered MIME-type
+   * (see {@link SmartStream.registerSerializer}), while any other stream must
+   * already be of an acceptable MIME-type. The result is then transcoded into
+   * the best acceptable encoding. Representations matching `this` stream are
+   * preferred, to avoid needless conversions. Omitted headers accept anything.
+   *
+   * When nothing is acceptable, the promise resolves to `null` (e.g. to respond
+   * with a 406), and `this` stream is left unconsumed.
+   *
+   * @param {Object} props The headers of the request
+   * @param {String} [props.accept] The `Accept` header of the request
+   * @param {String} [props.acceptEncoding] The `Accept-Encoding` header of the request
+   * @returns {Promise<?SmartStream>}
    */
-  toObject () {
+  negotiate (props) {
+    const { accept, acceptEncoding } = Object.assign({}, props)
+    const contentType = (accept == null)
+      ? this._contentType
+      : Negotiate.negotiateType(accept, this._contentType, this.isDeserializable
+        ? Util.getSerializableTypes()
+        : [this._contentType])
+    const negotiateEncoding = current => (acceptEncoding == null)
+      ? current
+      : Negotiate.negotiateEncoding(acceptEncoding, current, Util.getEncodings())
+
+    if (contentType == null) {
+      return Promise.resolve(null)
+    } else if (contentType === this._contentType) {
+      const contentEncoding = negotiateEncoding(this.contentEncoding)
+      return Promise.resolve(contentEncoding == null
+        ? null
+        : this.toContentEncoding(contentEncoding))
+    }
+
+    // Re-serialized streams are identity-encoded
+    const contentEncoding = negotiateEncoding('identity')
+    if (contentEncoding == null) {
+      return Promise.resolve(null)
+    }
+
     return this
-      .toBuffer(true)
-      .then(buf => Util.deserialize(this._contentType, buf))
+      .toObject()
+      .then(obj => this.constructor
+        .fromObject(obj, { contentType }, this.constructor)
+        .toContentEncoding(contentEncoding))
   }
 
   /**
-   * Creates a stream
-   * @param {Object} props Properties of the stream
+   * Returns a byte-range of `this` stream
+   *
+   * The bytes from `start` up to (but excluding) `end` are passed through, while
+   * the rest of `this` stream is consumed and discarded. When the content-length
+   * of `this` stream is known, the range is clamped to it and the slice exposes
+   * the corresponding `contentRange`. Compressed streams cannot be sliced.
+   *
+   * @param {Number} start The offset of the first byte
+   * @param {Number} [end] The offset of the byte to stop at (exclusive); the end of the stream by default
    * @returns {SmartStream}
    */
-  static create (props, Ctor = SmartStream) {
-    return new Ctor(Object.assign({
-      contentType: 'application/octet-stream',
-      contentEncoding: 'identity'
-    }, props))
+  slice (start, end) {
+    if (this.isCompressed) {
+      throw new TypeError(`cannot slice a "${this._contentEncoding}"-encoded stream!`)
+    }
+
+    const range = validateRange({ start, end })
+    const size = this._contentLength
+    if (size != null) {
+      range.end = Math.min(range.end == null ? size : range.end, size)
+    }
+
+    const length = range.end == null ? undefined : Math.max(range.end - range.start, 0)
+    return this.constructor.fromStream(Util.pipe(this, Range.createSlicer(range.start, range.end)),
+      Object.assign(this.toJSON(), {
+        contentLength: length || undefined,
+        contentRange: (size == null || !length)
+          ? undefined
+          : Range.formatContentRange(range, size),
+        limit: Infinity,
+        timeout: 0,
+        interval: 0
+      }), this.constructor)
   }
 
   /**
-   * Creates a SmartStream from another stream
-   * @param {SmartStream|Readable} stream The stream to create the new one from
-   * @param {Object} props Properties of the stream; overriding values if `stream` is a `SmartStream`
-   * @param {String} [props.contentType='application/octet-stream'] The MIME-type of the stream
-   * @param {String} [props.contentEncoding='identity'] The encoding of the stream
-   * @param {Number} [props.contentLength] The length of the stream (in bytes)
-   * @returns {SmartStream}
+   * Forks `this` stream into multiple branches, each consumed independently
+   *
+   * Every branch is a SmartStream with the same headers as `this` stream, which
+   * continues to enforce its limit and timeout. A branch may buffer up to
+   * `bufferLimit` bytes, beyond which the slowest branch backpressures `this`
+   * stream. Errors of `this` stream destroy every branch, while errors of a
+   * branch are handled as per the `onError` policy. Branches that are destroyed
+   * without an error are detached, and `this` stream is destroyed once none
+   * remain.
+   *
+   * @param {Number} n The number of branches
+   * @param {Object} [props] Properties of the branches
+   * @param {Number} [props.bufferLimit=0] The number of bytes any branch may buffer before backpressuring `this` stream
+   * @param {String} [props.onError='fail'] Either `fail` to destroy all branches (and `this` stream) when one of them errors, or `detach` to detach only the failing one
+   * @returns {SmartStream[]}
    */
-  static fromStream (stream, props, Ctor = SmartStream) {
-    props = Object.assign({
-      contentType: 'application/octet-stream',
-      contentEncoding: 'identity'
-    }, props)
-
-    // If the source stream is also a `SmartStream` instance, then this function
-    // disables the size-limit and timeout checks, relying on the parent
-    // `SmartStream` instance to handle those.
-    if (stream instanceof SmartStream) {
-      props.limit = Infinity
-      props.timeout = 0
-      props.interval = 0
+  tee (n, props) {
+    if (!Number.isInteger(n) || n < 1) {
+      throw new TypeError(`${n} is an invalid number of branches!`)
     }
 
-    const smartStream = Ctor.create(props, Ctor)
-    return stream
-      .once('error', err => smartStream.destroyed || smartStream.destroy(err))
-      .pipe(smartStream)
-      .once('error', err => stream.destroyed || stream.destroy(err))
+    const Ctor = this.constructor
+    const branches = Array.from({ length: n }, () => Ctor.create(Object.assign(this.toJSON(), {
+      limit: Infinity,
+      timeout: 0,
+      interval: 0
+    }), Ctor))
+
+    Util.pipe(this, new Tee(branches, props))
+    return branches
   }
 
   /**
-   * Creates a SmartStream from a file
-   * @param {String} path Path to the file
-   * @param {Object} props Properties of the stream
-   * @param {String} props.contentType The MIME-type of the stream
-   * @param {String} props.contentEncoding The encoding of the stream
-   * @returns {SmartStream}
+   * Decompresses `this` stream, bounded by the decompressed limit and the
+   * maximum expansion ratio
+   * @returns {Readable}
+   * @private
    */
-  static fromFile (path, props, Ctor = SmartStream) {
-    return Ctor.fromStream(createReadStream(path), Object.assign({
-      contentType: Util.getContentType(path),
-      contentEncoding: Util.getContentEncoding(path)
-    }, props), Ctor)
+  _decompress () {
+    return Util.decompress(this.contentEncoding, this, {
+      limit: this._decompressedLimit,
+      ratio: this._maxExpansionRatio
+    })
   }
 
   /**
-   * Creates a SmartStream from a file, including its file-size
-   * @param {String} path Path to the file
-   * @param {Object} [props] Properties of the stream
-   * @param {String} [props.contentType] The MIME-type of the stream
-   * @param {String} [props.contentEncoding] The encoding of the stream
-   * @returns {Promise<SmartStream>}
+   * Collects the incoming stream into a buffer
+   *
+   * With a `spillThreshold`, the stream is instead collected into a {@link
+   * Spool}, which keeps up to `spillThreshold` bytes in memory and writes larger
+   * streams into a temporary file.
+   *
+   * @param {Boolean|Object} [props] Whether or not to decompress the stream, or properties of the buffer
+   * @param {Boolean} [props.autoDecompress=false] Whether or not to decompress the stream
+   * @param {Number} [props.spillThreshold] The maximum number of bytes kept in memory
+   * @param {String} [props.dir=os.tmpdir()] The directory of the temporary file
+   * @returns {Promise<Buffer|Spool>} Rejects with a `TypeError` for an invalid `spillThreshold`
    */
-  static fromFileWithLength (path, props, Ctor = SmartStream) {
-    return new Promise((resolve, reject) => stat(path, (err, stats) => {
-      // istanbul ignore if
-      if (err != null) {
-        reject(err)
-      } else {
-        resolve(Ctor.fromFile(path, Object.assign({}, props, {
-          contentLength: stats.size,
-          limit: stats.size
-        }), Ctor))
-      }
-    }))
+  toBuffer (props) {
+    props = (props != null && typeof props === 'object')
+      ? props
+      : { autoDecompress: props }
+
+    if (props.spillThreshold == null) {
+      return Util.streamToBuffer(this._getSource(props.autoDecompress))
+    } else if (isNaN(+props.spillThreshold) || +props.spillThreshold < 0) {
+      return Promise.reject(new TypeError(`${props.spillThreshold} is an invalid spill threshold!`))
+    }
+
+    return this._spool(+props.spillThreshold, props)
   }
 
   /**
-   * Creates a SmartStream from a buffer
-   * @param {Buffer} buf The buffer to convert into a stream
-   * @param {Object} [props] Properties of the stream
-   * @param {String} [props.contentType='application/octet-stream'] The MIME-type of the stream
-   * @param {String} [props.contentEncoding='identity'] The encoding of the stream
-   * @param {Number} [props.timeout] The timeout (ms) for receiving the incoming data
-   * @param {Number} [props.interval] The interval (ms) to check for timeouts
-   * @returns {SmartStream}
+   * Collects the incoming stream into a temporary file
+   *
+   * @param {Object} [props] Properties of the file
+   * @param {Boolean} [props.autoDecompress=false] Whether or not to decompress the stream
+   * @param {String} [props.dir=os.tmpdir()] The directory of the temporary file
+   * @returns {Promise<Spool>}
    */
-  static fromBuffer (buf, props, Ctor = SmartStream) {
-    const stream = Ctor.create(Object.assign({
-      contentType: 'application/octet-stream',
-      contentEncoding: 'identity'
-    }, props, {
-      contentLength: Buffer.byteLength(buf),
-      limit: Buffer.byteLength(buf)
-    }))
-    stream.end(buf)
-    return stream
+  toTempFile (props) {
+    return this._spool(-1, Object.assign({}, props))
   }
 
   /**
-   * Creates a SmartStream from an object
-   * @param {String} obj The object to convert into a stream
-   * @param {Object} [props] Properties of the stream
-   * @param {String} [props.contentType='application/json'] The MIME-type of the stream
-   * @param {String} [props.contentEncoding='identity'] The encoding of the stream
-   * @returns {SmartStream}
+   * Bridges the stream into a WHATWG `ReadableStream`, e.g. as the body of a
+   * `Response`
+   *
+   * The web stream reads `this` stream as it is pulled, so the limit and
+   * timeout of `this` stream continue to apply, and its errors error the web
+   * stream. Cancelling the web stream destroys `this` stream. Unless it is
+   * decompressed, the web stream holds the bytes as encoded by the
+   * `contentEncoding` of `this` stream.
+   *
+   * @param {Object} [props] Properties of the web stream
+   * @param {Boolean} [props.autoDecompress=false] Whether or not to decompress the stream
+   * @returns {ReadableStream}
+   * @throws {SmartStreamError} An `Unsupported` error for runtimes without WHATWG streams
+   */
+  toWebStream (props) {
+    const { autoDecompress } = Object.assign({}, props)
+    return Web.toWebStream(this._getSource(autoDecompress))
+  }
+
+  /**
+   * Returns `this` stream, or its decompressed contents
+   * @param {Boolean} autoDecompress Whether or not to decompress the stream
+   * @returns {Readable}
+   * @private
+   */
+  _getSource (autoDecompress) {
+    return (autoDecompress && this.isCompressed)
+      ? this._decompress()
+      : this
+  }
+
+  /**
+   * Spools `this` stream into memory, or a temporary file beyond a threshold
+   * @param {Number} threshold The maximum number of bytes kept in memory; -1 to always write a file
+   * @param {Object} props Properties of the spool
+   * @returns {Promise<Spool>}
+   * @private
+   */
+  _spool (threshold, props) {
+    const decompressed = props.autoDecompress && this.isCompressed
+
+    return spool(this._getSource(props.autoDecompress), { threshold, dir: props.dir })
+      .then(result => new Spool(Object.assign(result, {
+        headers: Object.assign(this.toJSON(), decompressed
+          ? { contentEncoding: 'identity', contentRange: undefined }
+          : {}),
+        Ctor: this.constructor
+      })))
+  }
+
+  /**
+   * Decodes a stream into text, using its `charset` (`utf-8` by default)
+   *
+   * A byte-order mark overrides the `charset`, e.g. for UTF-16 text, and is
+   * removed. Besides the Unicode encodings and `iso-8859-1` (latin1), any
+   * character set supported by `TextDecoder` may be decoded.
+   *
+   * @returns {Promise<String>} Rejects with an `Unsupported` error for unknown character sets
+   */
+  toText () {
+    return this
+      .toBuffer(true)
+      .then(buf => Charset.decode(buf, this.charset || 'utf-8'))
+  }
+
+  /**
+   * Transcodes a stream into a different character set
+   *
+   * The returned stream is identity-encoded, with the `charset` parameter of its
+   * content-type replaced. Text may be transcoded into `utf-8`, `utf-16le`,
+   * `utf-16be`, `iso-8859-1` or `us-ascii`, where characters that cannot be
+   * represented are replaced with `?`.
+   *
+   * @param {String} charset The character set to transcode into
+   * @returns {SmartStream}
+   * @throws {SmartStreamError} An `Unsupported` error for unknown character sets
+   */
+  toCharset (charset) {
+    const transcoder = Charset.createTranscoder(this.charset || 'utf-8', charset)
+    const { params } = Util.parseHeader(this._contentTypeRaw)
+    params.charset = charset.toLowerCase()
+
+    return this.constructor.fromStream(Util.pipe(this._getSource(true), transcoder),
+      Object.assign(this.toJSON(), {
+        contentType: Util.formatHeader(this._contentType, params),
+        contentEncoding: 'identity',
+        contentLength: undefined,
+        contentRange: undefined,
+        limit: Infinity,
+        timeout: 0,
+        interval: 0
+      }), this.constructor)
+  }
+
+  /**
+   * Encrypts a stream into a chunked AES-256-GCM envelope, e.g. before storing
+   * it in object storage
+   *
+   * The content is encrypted as is (i.e. still encoded by its
+   * `contentEncoding`), in chunks of `chunkSize` bytes, each authenticated on
+   * its own, so that {@link SmartStream#toDecrypted} never emits unverified
+   * bytes. The `contentType`, `contentEncoding` and `contentLength` are kept in
+   * a header, which is authenticated along with every chunk. Every envelope is
+   * encrypted with its own key, derived from the `key` and a random salt.
+   *
+   * To rotate keys, a `keyProvider` returns (or resolves with) the current
+   * `{ keyId, key }`, and the `keyId` is kept in the header, to be passed to
+   * the `keyProvider` of {@link SmartStream#toDecrypted}.
+   *
+   * @param {Object} props Properties of the envelope
+   * @param {Buffer} [props.key] The 256-bit key
+   * @param {String} [props.keyId] The id of the `key`, kept in the header
+   * @param {Function} [props.keyProvider] Returns (or resolves with) the current `{ keyId, key }`
+   * @param {Number} [props.chunkSize=65536] The size (in bytes) of the plaintext of every chunk
+   * @returns {SmartStream} An `application/octet-stream` stream
+   * @throws {TypeError} If neither (or both) `key` and `keyProvider` are specified, or any is invalid
+   */
+  toEncrypted (props) {
+    const encryptor = new Envelope.Encryptor(Object.assign({}, props, {
+      metadata: this.toJSON()
+    }))
+
+    return this.constructor.fromStream(Util.pipe(this, encryptor),
+      Object.assign(this.toJSON(), {
+        contentType: 'application/octet-stream',
+        contentEncoding: 'identity',
+        contentLength: undefined,
+        contentRange: undefined,
+        limit: Infinity,
+        timeout: 0,
+        interval: 0
+      }), this.constructor)
+  }
+
+  /**
+   * Decrypts a stream encrypted by {@link SmartStream#toEncrypted}
+   *
+   * Resolves once the first chunk of the envelope is authenticated (and with
+   * it, the header), with a stream of the original `contentType`,
+   * `contentEncoding` and `contentLength`. Every chunk is authenticated before
+   * it is emitted; a chunk that was tampered with, reordered or truncated, as
+   * well as a wrong key, errors the stream with an `AuthTagMismatch` error.
+   * The decrypted stream has the limit and timeout of `this` stream, unless
+   * others are specified.
+   *
+   * The `keyProvider` is invoked with the `keyId` kept in the header, and
+   * returns (or resolves with) the key.
+   *
+   * @param {Object} props Properties of the envelope
+   * @param {Buffer} [props.key] The 256-bit key
+   * @param {Function} [props.keyProvider] Returns (or resolves with) the key for a `keyId`
+   * @param {Number} [props.limit] The maximum number of decrypted bytes
+   * @param {Number} [props.timeout] The maximum time (ms) between decrypted chunks; 0 to disable
+   * @param {Number} [props.interval] The interval (ms) to check for timeouts
+   * @returns {Promise<SmartStream>} Rejects with a `Malformed` or `AuthTagMismatch` error if the envelope is invalid
+   * @throws {TypeError} If neither (or both) `key` and `keyProvider` are specified, or any is invalid
+   */
+  toDecrypted (props) {
+    const decryptor = new Envelope.Decryptor(props)
+    const { limit, timeout, interval } = Object.assign({
+      limit: this._limit,
+      timeout: this._timeout,
+      interval: this._interval
+    }, props)
+
+    return new Promise((resolve, reject) => {
+      decryptor
+        .once('error', reject)
+        .once('header', header => {
+          // Invalid properties error the decryptor, which rejects the promise
+          const stream = this.constructor.fromStream(decryptor, {
+            contentType: header.contentType,
+            contentEncoding: header.contentEncoding,
+            contentLength: header.contentLength,
+            contentRange: header.contentRange,
+            strictContentLength: header.contentLength != null,
+            limit,
+            timeout,
+            interval
+          }, this.constructor)
+
+          decryptor.removeListener('error', reject)
+          resolve(stream)
+        })
+
+      Util.pipe(this, decryptor)
+    })
+  }
+
+  /**
+   * Parses a stream into an object, decoding text in its `charset` (if any)
+   *
+   * Only text serializations (e.g. JSON) are decoded, and unsupported charsets
+   * are ignored, leaving the buffer as received.
+   *
+   * The object may be validated against a `schema`, which is either a function
+   * or an object with a `validate(obj)` method, e.g. a compiled JSON-Schema
+   * validator. A validator may return (or resolve with) `true` when valid, or
+   * `false` along with a list of its `errors`, a list of errors, an error
+   * message, an object with a `valid` or `success` flag (and its `errors`), or
+   * an object with an `error`. Invalid objects, as well as unrecognized
+   * results, are rejected with a `ValidationFailed` error, whose metadata
+   * lists the `errors`.
+   *
+   * The parsed object may be guarded before validation: objects nested deeper
+   * than `maxDepth`, or with more than `maxKeys` keys, arrays longer than
+   * `maxArrayLength` and strings longer than `maxStringLength` are rejected
+   * with a `TooDeep`, `TooManyKeys`, `ArrayTooLong` and `StringTooLong` error
+   * respectively, whose metadata includes the `path` of the offending value.
+   * These limits are opt-in, except for a depth of 1000, and mostly checked
+   * once the object is parsed, so the `limit` of the stream still bounds the
+   * work of the parser; url-encoded objects are parsed with at most `maxKeys`
+   * (1000 by default) keys though.
+   * The `__proto__` and `constructor` keys are stripped from every object,
+   * unless `stripPrototypeKeys` is `false`.
+   *
+   * A CSV or TSV stream is parsed into the list of its rows, as with {@link
+   * SmartStream#toRows}, whose properties also apply.
+   *
+   * @param {Object} [props] Properties of the object
+   * @param {Function|Object} [props.schema] The schema to validate the object against
+   * @param {Number} [props.maxDepth=1000] The maximum nesting depth of objects and arrays
+   * @param {Number} [props.maxKeys=Infinity] The maximum number of keys of any object
+   * @param {Number} [props.maxArrayLength=Infinity] The maximum number of elements of any array
+   * @param {Number} [props.maxStringLength=Infinity] The maximum length of any string, including keys
+   * @param {Boolean} [props.stripPrototypeKeys=true] Whether or not to strip `__proto__` and `constructor` keys
+   * @returns {Promise<Object>}
+   */
+  toObject (props) {
+    const { schema } = Object.assign({}, props)
+    const limits = Harden.createLimits(props)
+    // Binary serializations (e.g. msgpack) have no charset to decode
+    const charset = this.charset != null && Util.isText(this._contentType) &&
+      Charset.isSupported(this.charset)
+      ? this.charset
+      : null
+
+    if (schema != null && !Validate.isSchema(schema)) {
+      throw new TypeError('schema must be a function or have a validate() method!')
+    }
+
+    const parsed = this.isTabular
+      ? this._collectRows(props)
+      : this
+        .toBuffer(true)
+        .then(buf => Util.deserialize(this._contentType, charset == null
+          ? buf
+          : Buffer.from(Charset.decode(buf, charset)), limits))
+
+    return parsed
+      .then(obj => Harden.harden(obj, limits))
+      .then(obj => schema == null ? obj : Validate.validate(schema, obj))
+  }
+
+  /**
+   * Parses a stream of serialized objects into a stream in object mode
+   *
+   * Newline-delimited JSON yields one object per line, while a server-sent
+   * event stream yields one `{ event, data, id, retry }` object per event. The
+   * limit and timeout of `this` stream continue to apply to the input. Every
+   * record may be validated against a `schema`, as with {@link
+   * SmartStream#toObject}, where the metadata of a `ValidationFailed` error also
+   * includes the (zero-based) index of the `record`.
+   *
+   * @param {Object} [props] Properties of the object stream
+   * @param {Number} [props.recordLimit=65536] The maximum size (in bytes) of a single record
+   * @param {Function|Object} [props.schema] The schema to validate every record against
+   * @returns {Readable}
+   */
+  toObjectStream (props) {
+    const { schema } = Object.assign({}, props)
+
+    if (!this.isObjectStream) {
+      throw new TypeError(`unknown MIME-type "${this._contentType}"!`)
+    } else if (schema != null && !Validate.isSchema(schema)) {
+      throw new TypeError('schema must be a function or have a validate() method!')
+    }
+
+    const source = this.isCompressed
+      ? this._decompress()
+      : this
+    const parser = Util.pipe(source, ObjectStream.createParser(this._contentType, props))
+
+    return schema == null
+      ? parser
+      : Util.pipe(parser, Validate.createValidator(schema))
+  }
+
+  /**
+   * Splits a stream into lines, yielding one string per line in object mode
+   *
+   * The stream is decompressed and decoded from its `charset` (if any) first.
+   * Lines are split on the `delimiter`, even when it is cut across chunks;
+   * with the default delimiter, a line-feed, a trailing carriage-return is
+   * stripped from every line as well. A line longer than `maxLineLength` bytes
+   * errors the stream with a `LineTooLong` error. The limit and timeout of
+   * `this` stream continue to apply to the input.
+   *
+   * @param {Object} [props] Properties of the lines
+   * @param {String|Buffer} [props.delimiter='\n'] The delimiter of the lines
+   * @param {Number} [props.maxLineLength=65536] The maximum length (in bytes) of a single line
+   * @returns {Readable}
+   */
+  toLines (props) {
+    const splitter = new Split.LineSplitter(props)
+    const source = this.charset == null
+      ? this._getSource(true)
+      : this.toCharset('utf-8')
+
+    return Util.pipe(source, splitter)
+  }
+
+  /**
+   * Splits a (decompressed) stream into binary records, yielding one buffer per
+   * record in object mode
+   *
+   * Records either have a fixed `size`, or are prefixed with their length, as
+   * a big-endian unsigned integer of `lengthPrefix` (1, 2 or 4) bytes, where a
+   * record longer than `recordLimit` bytes errors the stream with a `TooLarge`
+   * error. A trailing partial record errors the stream with a `Malformed`
+   * error. The limit and timeout of `this` stream continue to apply to the
+   * input.
+   *
+   * @param {Object} props Properties of the records
+   * @param {Number} [props.size] The size (in bytes) of every record
+   * @param {Number} [props.lengthPrefix] The size (in bytes) of the length prefix of every record
+   * @param {Number} [props.recordLimit=65536] The maximum size (in bytes) of a length-prefixed record
+   * @returns {Readable}
+   * @throws {TypeError} If neither (or both) `size` and `lengthPrefix` are specified, or any is invalid
+   */
+  toRecords (props) {
+    return Util.pipe(this._getSource(true), new Split.RecordSplitter(props))
+  }
+
+  /**
+   * Parses a CSV (RFC 4180) or TSV stream into a stream of row objects in
+   * object mode
+   *
+   * The stream is decompressed and decoded from its `charset` (if any) first.
+   * Rows are keyed by the fields of the header row, unless the `columns` are
+   * specified, in which case the first row holds data. Quoted CSV fields may
+   * hold delimiters, quotes (as `""`) and newlines, while empty lines are
+   * skipped. A row with more than `maxColumns` fields, or a field longer than
+   * `maxFieldSize` characters, errors the stream with a `TooManyColumns` or
+   * `FieldTooLong` error respectively, and a row with a different number of
+   * fields than the header with a `Malformed` error. The limit and timeout of
+   * `this` stream continue to apply to the input.
+   *
+   * @param {Object} [props] Properties of the rows
+   * @param {String[]} [props.columns] The names of the columns; read from the header row by default
+   * @param {Number} [props.maxColumns=1000] The maximum number of columns of a row
+   * @param {Number} [props.maxFieldSize=65536] The maximum length (in characters) of a field
+   * @returns {Readable}
+   */
+  toRows (props) {
+    if (!this.isTabular) {
+      throw new TypeError(`unknown MIME-type "${this._contentType}"!`)
+    }
+
+    const parser = Csv.createParser(this._contentType, props)
+    const source = this.charset == null
+      ? this._getSource(true)
+      : this.toCharset('utf-8')
+
+    return Util.pipe(source, parser)
+  }
+
+  /**
+   * Collects the rows of a CSV or TSV stream into a list
+   * @param {Object} [props] Properties of the rows
+   * @returns {Promise<Object[]>}
+   * @private
+   */
+  _collectRows (props) {
+    return new Promise((resolve, reject) => {
+      const rows = []
+      this.toRows(props)
+        .on('data', row => rows.push(row))
+        .once('error', reject)
+        .once('end', () => resolve(rows))
+    })
+  }
+
+  /**
+   * Splits a multipart stream into its parts, each as a separate SmartStream
+   *
+   * Returns a stream in object mode that emits a SmartStream for each part in
+   * order. Every part stream also exposes the `headers` of the part, along with
+   * the `name` and `filename` from its `Content-Disposition` header.
+   *
+   * A part is mapped to a SmartStream using its `Content-Type` (defaulting to
+   * `text/plain`, or `application/octet-stream` when unrecognized),
+   * `Content-Encoding` and `Content-Length` headers. Parts are written with
+   * backpressure, so each part MUST be consumed or destroyed before the parser
+   * moves on to the next one. The timeout of `this` stream continues to apply.
+   *
+   * @param {Object} [props] Properties of the parser
+   * @param {Number} [props.limit=this.limit] The maximum number of bytes across all parts
+   * @param {Number} [props.partLimit=props.limit] The maximum number of bytes in any part
+   * @param {Number} [props.maxParts=100] The maximum number of parts
+   * @returns {Readable}
+   */
+  toParts (props) {
+    if (!this.isMultipart) {
+      throw new TypeError(`unknown MIME-type "${this._contentType}"!`)
+    }
+
+    const { boundary } = Util.parseHeader(this._contentTypeRaw).params
+    const Ctor = this.constructor
+    const parser = new MultipartParser(Object.assign({
+      limit: this._limit
+    }, props, {
+      boundary,
+      createPart: (headers, limit) => {
+        const type = headers['content-type']
+        const length = +headers['content-length']
+        const disposition = Util.parseHeader(headers['content-disposition'])
+        const part = Ctor.create({
+          contentType: type == null
+            ? 'text/plain'
+            : CONTENT_TYPES.test(type) ? type : 'application/octet-stream',
+          contentEncoding: (headers['content-encoding'] || 'identity').toLowerCase(),
+          contentLength: length > 0 ? length : undefined,
+          limit,
+          timeout: 0,
+          interval: 0
+        }, Ctor)
+
+        part.headers = headers
+        part.name = disposition.params.name
+        part.filename = disposition.params.filename
+        return part
+      }
+    }))
+
+    const source = this.isCompressed
+      ? this._decompress()
+      : this
+
+    return Util.pipe(source, parser)
+  }
+
+  /**
+   * Splits a tar or zip archive into its entries, each as a separate SmartStream
+   *
+   * Returns a stream in object mode that emits a SmartStream for each regular
+   * file and directory, in the order they appear in the archive. Every entry
+   * stream also exposes the `path`, `type` (either `file` or `directory`) and
+   * `mtime` of the entry, while its `contentLength` is the size of the entry
+   * (if known) and its MIME-type and encoding are derived from its path.
+   * Compressed archives are decompressed first, including tar archives that
+   * are gzip-compressed without a `Content-Encoding` (e.g. a `.tar.gz` upload
+   * sent as `application/gzip`), within the `decompressedLimit` and
+   * `maxExpansionRatio` of the stream.
+   *
+   * Entries with absolute paths, or paths escaping the root directory (i.e.
+   * "zip-slip"), error the stream with an `UnsafePath` error. Archives with more
+   * than `maxEntries` entries error with a `TooManyParts` error, and those that
+   * extract to more than `maxSize` bytes (including skipped entries and data
+   * after the end of the archive) with a `CompressionBomb` error, as for
+   * multipart streams and decompression; their metadata includes the format of
+   * the `archive`. Entries are written with backpressure, so each entry MUST be
+   * consumed or destroyed before the parser moves on to the next one.
+   *
+   * @param {Object} [props] Properties of the parser
+   * @param {String} [props.format] Either `tar` or `zip`; defaults to the format of the MIME-type
+   * @param {Number} [props.maxEntries=1000] The maximum number of entries
+   * @param {Number} [props.maxSize=1073741824] The maximum number of (uncompressed) bytes across all entries
+   * @returns {Readable}
+   */
+  toArchiveEntries (props) {
+    props = Object.assign({}, props)
+    const format = props.format || Archive.getFormat(this._contentType)
+
+    if (format == null) {
+      throw new TypeError(`unknown MIME-type "${this._contentType}"!`)
+    }
+
+    const Ctor = this.constructor
+    const parser = Archive.createParser(format, Object.assign(props, {
+      createEntry: ({ path, type, size, mtime }) => {
+        const entry = Ctor.create({
+          contentType: (type === 'file' && Util.getContentType(path)) || 'application/octet-stream',
+          contentEncoding: type === 'file' ? Util.getContentEncoding(path) : 'identity',
+          contentLength: size > 0 ? size : undefined,
+          strictContentLength: size != null,
+          limit: Infinity,
+          timeout: 0,
+          interval: 0
+        }, Ctor)
+
+        entry.path = path
+        entry.type = type
+        entry.mtime = mtime
+        return entry
+      }
+    }))
+
+    // A gzip-compressed tar archive is bounded as if it were decompressed
+    const source = format === 'tar'
+      ? Util.pipe(this._getSource(true), Archive.createGzipSniffer({
+          limit: this._decompressedLimit,
+          ratio: this._maxExpansionRatio
+        }))
+      : this._getSource(true)
+
+    return Util.pipe(source, parser)
+  }
+
+  /**
+   * Returns the HTTP status code corresponding to an error
+   *
+   * `TooLarge` (and other size limits) map to 413, `TimedOut` to 408,
+   * `Unsupported` to 415 and parse errors to 400. All other errors map to 500.
+   *
+   * @param {Error} err The error
+   * @returns {Number}
+   */
+  static getStatusCode (err) {
+    return Http.getStatusCode(err)
+  }
+
+  /**
+   * Parses a HTTP `Range` header into byte-ranges of a representation
+   *
+   * Every range is returned as `{ start, end }`, with an exclusive `end`, as
+   * accepted by {@link SmartStream#slice} and {@link SmartStream.fromFile}.
+   * Overlapping ranges are coalesced. Headers that cannot be parsed or request
+   * more than `maxRanges` ranges are ignored by returning `null`.
+   *
+   * @param {String} header The `Range` header of the request
+   * @param {Number} size The size (in bytes) of the representation
+   * @param {Number} [maxRanges=100] The maximum number of ranges
+   * @returns {?Array<{start: Number, end: Number}>}
+   * @throws {SmartStreamError} An `Unsatisfiable` error if no range overlaps the representation
+   */
+  static parseRange (header, size, maxRanges) {
+    return Range.parseRange(header, size, maxRanges)
+  }
+
+  /**
+   * Creates a token bucket, to be shared as the `rateLimit` of many streams
+   *
+   * The streams sharing a bucket split its bandwidth, being served in the order
+   * in which they request it.
+   *
+   * @param {Object} props Properties of the bucket
+   * @param {Number} props.rate The rate (bytes/s) shared by the streams
+   * @param {Number} [props.burst=props.rate] The maximum number of bytes that may flow at once
+   * @returns {TokenBucket}
+   */
+  static createTokenBucket (props) {
+    return new TokenBucket(props)
+  }
+
+  /**
+   * Registers a content encoding, making it available to all SmartStreams
+   *
+   * The built-in encodings are `identity`, `gzip`, `deflate` and `br`. A
+   * registered encoding may replace a built-in one, except `identity`.
+   *
+   * @param {String} name The name of the encoding, as used in `Content-Encoding`
+   * @param {Object} codec The implementation of the encoding
+   * @param {Function} codec.compress Returns a new transform stream that encodes its input
+   * @param {Function} codec.decompress Returns a new transform stream that decodes its input
+   * @param {String[]} [codec.extensions=[]] File extensions (e.g. `.zst`) that indicate the encoding
+   */
+  static registerEncoding (name, codec) {
+    Util.registerEncoding(name, codec)
+  }
+
+  /**
+   * Registers a serializer for a MIME-type, making it available to the
+   * {@link SmartStream#toObject} and {@link SmartStream.fromObject} methods
+   *
+   * The built-in serializers handle `application/json`, `application/msgpack`
+   * and `application/x-www-form-urlencoded`. Streams of a registered MIME-type
+   * are deserializable, and thus share the lower default limit. The buffer of
+   * a `text` serializer is decoded from the `charset` of the stream first.
+   *
+   * @param {String} mimeType The MIME-type handled by the serializer
+   * @param {Object} serializer The implementation of the serializer
+   * @param {Function} serializer.serialize Synchronously returns the serialized `Buffer|String` for an object
+   * @param {Function} serializer.deserialize Returns the object (or a promise of it) for a buffer, given the limits of {@link SmartStream#toObject}
+   * @param {Boolean} [serializer.text=false] Whether or not the serialized representation is text, in the `charset` of the stream
+   */
+  static registerSerializer (mimeType, serializer) {
+    if (!CONTENT_TYPES.test(mimeType) || CONTENT_TYPES.exec(mimeType)[1] !== mimeType) {
+      throw new TypeError(`"${mimeType}" is not a valid MIME type!`)
+    }
+
+    Util.registerSerializer(mimeType, serializer)
+  }
+
+  /**
+   * Creates a stream
+   * @param {Object} props Properties of the stream
+   * @returns {SmartStream}
+   */
+  static create (props, Ctor = SmartStream) {
+    return new Ctor(Object.assign({
+      contentType: 'application/octet-stream',
+      contentEncoding: 'identity'
+    }, props))
+  }
+
+  /**
+   * Creates a SmartStream from another stream
+   * @param {SmartStream|Readable} stream The stream to create the new one from
+   * @param {Object} props Properties of the stream; overriding values if `stream` is a `SmartStream`
+   * @param {String} [props.contentType='application/octet-stream'] The MIME-type of the stream
+   * @param {String} [props.contentEncoding='identity'] The encoding of the stream
+   * @param {Number} [props.contentLength] The length of the stream (in bytes)
+   * @returns {SmartStream}
+   */
+  static fromStream (stream, props, Ctor = SmartStream) {
+    props = Object.assign({
+      contentType: 'application/octet-stream',
+      contentEncoding: 'identity'
+    }, props)
+
+    // If the source stream is also a `SmartStream` instance, then this function
+    // disables the size-limit and timeout checks, relying on the parent
+    // `SmartStream` instance to handle those.
+    if (stream instanceof SmartStream) {
+      props.limit = Infinity
+      props.timeout = 0
+      props.interval = 0
+    }
+
+    return Util.pipe(stream, Ctor.create(props, Ctor))
+  }
+
+  /**
+   * Creates a SmartStream from a WHATWG `ReadableStream`, e.g. the body of a
+   * `fetch()` response
+   *
+   * The web stream is read as the SmartStream is consumed, and cancelled when
+   * the SmartStream is destroyed, e.g. once it exceeds its limit or times out.
+   * Web streams carry no metadata, so the `contentType`, `contentEncoding` and
+   * `contentLength` are passed as properties, as with {@link
+   * SmartStream.fromStream}.
+   *
+   * @param {ReadableStream} webStream The web stream to read
+   * @param {Object} [props] Properties of the stream
+   * @param {String} [props.contentType='application/octet-stream'] The MIME-type of the stream
+   * @param {String} [props.contentEncoding='identity'] The encoding of the stream
+   * @param {Number} [props.contentLength] The length of the stream (in bytes)
+   * @returns {SmartStream}
+   * @throws {TypeError} If `webStream` is not a WHATWG `ReadableStream`
+   */
+  static fromWebStream (webStream, props, Ctor = SmartStream) {
+    if (!Web.isWebStream(webStream)) {
+      throw new TypeError('webStream must be a WHATWG ReadableStream!')
+    }
+
+    return Ctor.fromStream(Web.fromWebStream(webStream), props, Ctor)
+  }
+
+  /**
+   * Creates a SmartStream that reads multiple sources, one after another
+   *
+   * Every source may be a stream, a buffer or the path to a file, which is only
+   * opened once the preceding sources have been read. The `contentLength` is the
+   * sum of the lengths of the sources when all of them are known (i.e. buffers
+   * and SmartStreams with a `contentLength`), and the `limit` applies to the
+   * concatenated stream. An error in any source destroys the stream, along with
+   * the sources that have not been read yet.
+   *
+   * @param {Array<Readable|Buffer|String>} sources The sources to read
+   * @param {Object} [props] Properties of the stream
+   * @param {String} [props.contentType='application/octet-stream'] The MIME-type of the stream
+   * @param {String} [props.contentEncoding='identity'] The encoding of the stream
+   * @param {Number} [props.limit] The maximum number of bytes across all sources
+   * @returns {SmartStream}
+   */
+  static concat (sources, props, Ctor = SmartStream) {
+    if (!Array.isArray(sources)) {
+      throw new TypeError('sources must be an array!')
+    }
+
+    const lengths = sources.map(source => {
+      if (Buffer.isBuffer(source)) {
+        return source.length
+      } else if (typeof source === 'string') {
+        return undefined
+      } else if (source != null && typeof source.pipe === 'function') {
+        return source.contentLength
+      }
+
+      throw new TypeError(`${source} is an invalid source!`)
+    })
+
+    props = Object.assign({
+      contentType: 'application/octet-stream',
+      contentEncoding: 'identity'
+    }, props)
+
+    if (props.contentLength == null && lengths.every(length => length >= 0)) {
+      props.contentLength = lengths.reduce((sum, length) => sum + length, 0) || undefined
+    }
+
+    const stream = Readable.from(readSources(sources), { objectMode: false })
+    sources
+      .filter(source => typeof source.pipe === 'function')
+      .forEach(source => source.once('error', err => stream.destroyed || stream.destroy(err)))
+
+    return Ctor.fromStream(stream, props, Ctor)
+  }
+
+  /**
+   * Creates a SmartStream of a tar or zip archive of entries
+   *
+   * Every entry is either an object with a `path`, its `data` (as a buffer, a
+   * string or a readable stream), and optionally its `mtime` and `size`, or a
+   * readable stream with a `path` (and `contentLength`), such as the entries
+   * of {@link SmartStream#toArchiveEntries}. Paths ending with a slash (or
+   * entries of type `directory`) are written as directories. Entries are read
+   * one after another, as the archive is consumed; the data of a tar entry of
+   * an unknown size is buffered. Absolute or escaping paths error the stream
+   * with an `UnsafePath` error.
+   *
+   * @param {Iterable|AsyncIterable} entries The entries of the archive
+   * @param {Object} [props] Properties of the stream
+   * @param {String} [props.format='tar'] Either `tar` or `zip`
+   * @returns {SmartStream}
+   * @throws {TypeError} If the format is invalid
+   */
+  static fromArchive (entries, props, Ctor = SmartStream) {
+    props = Object.assign({ format: 'tar' }, props)
+
+    const stream = Readable.from(Archive.pack(entries, props.format), { objectMode: false })
+    props.contentType = props.contentType || Archive.FORMATS[props.format]
+    delete props.format
+
+    return Ctor.fromStream(stream, props, Ctor)
+  }
+
+  /**
+   * Creates a SmartStream from a HTTP request, using its `Content-Type`,
+   * `Content-Encoding` and `Content-Length` headers
+   *
+   * Unlike {@link SmartStream.fromStream}, errors in the SmartStream do not
+   * destroy the request, allowing an error response to be sent.
+   *
+   * @param {IncomingMessage} req The HTTP request
+   * @param {Object} [props] Properties of the stream; overriding values from the headers
+   * @returns {SmartStream}
+   * @throws {SmartStreamError} An `Unsupported` error for unknown MIME-types or encodings
+   */
+  static fromRequest (req, props, Ctor = SmartStream) {
+    props = Object.assign({
+      contentType: 'application/octet-stream'
+    }, Http.getProps(req.headers), props)
+
+    if (!CONTENT_TYPES.test(props.contentType) || !Util.isEncoding(props.contentEncoding)) {
+      throw SmartStreamError.Unsupported({
+        contentType: props.contentType,
+        contentEncoding: props.contentEncoding
+      })
+    }
+
+    // Errors are only propagated from the request, as destroying the request
+    // would also destroy the socket that the response is to be sent over
+    const stream = Ctor.create(props, Ctor)
+    return req
+      .once('aborted', () => stream.destroyed ||
+        stream.destroy(SmartStreamError.Unexpected('request was aborted!')))
+      .once('error', err => stream.destroyed || stream.destroy(err))
+      .pipe(stream)
+  }
+
+  /**
+   * Creates a SmartStream from a file
+   * @param {String} path Path to the file
+   * @param {Object} props Properties of the stream
+   * @param {String} props.contentType The MIME-type of the stream
+   * @param {String} props.contentEncoding The encoding of the stream
+   * @param {{start: Number, end: Number}} [props.range] The byte-range of the file to read, with an exclusive `end`; only for identity-encoded files
+   * @param {Number} [props.limit] The maximum number of bytes; the length of the `range`, if bounded
+   * @returns {SmartStream}
+   */
+  static fromFile (path, props, Ctor = SmartStream) {
+    props = Object.assign({
+      contentType: Util.getContentType(path),
+      contentEncoding: Util.getContentEncoding(path)
+    }, props)
+
+    if (props.range == null) {
+      return Ctor.fromStream(createReadStream(path), props, Ctor)
+    } else if (props.contentEncoding !== 'identity') {
+      throw new TypeError(`cannot read a range of a "${props.contentEncoding}"-encoded file!`)
+    }
+
+    const range = validateRange(props.range)
+    delete props.range
+
+    if (range.end === range.start) {
+      return Ctor.fromBuffer(Buffer.alloc(0), props, Ctor)
+    }
+
+    const stream = createReadStream(path, {
+      start: range.start,
+      end: range.end == null ? Infinity : range.end - 1
+    })
+
+    const length = range.end == null ? undefined : range.end - range.start
+    return Ctor.fromStream(stream, Object.assign({
+      contentLength: length,
+      limit: length
+    }, props), Ctor)
+  }
+
+  /**
+   * Creates a SmartStream from a file, in response to a HTTP `Range` header
+   *
+   * Without a (valid) range, the entire file is read as with {@link
+   * SmartStream.fromFileWithLength}. A single range is read as a stream with a
+   * `contentRange`, while multiple ranges are read as a `multipart/byteranges`
+   * stream. Either way, {@link SmartStream#pipeToResponse} responds with a 206.
+   *
+   * @param {String} path Path to the file
+   * @param {String} [range] The `Range` header of the request
+   * @param {Object} [props] Properties of the stream
+   * @param {String} [props.contentType] The MIME-type of the stream
+   * @param {String} [props.contentEncoding] The encoding of the stream; ranges are only supported for `identity`
+   * @param {Number} [props.maxRanges=100] The maximum number of ranges
+   * @returns {Promise<SmartStream>} Rejects with an `Unsatisfiable` error if no range overlaps the file
+   */
+  static fromFileWithRange (path, range, props, Ctor = SmartStream) {
+    props = Object.assign({
+      contentType: Util.getContentType(path),
+      contentEncoding: Util.getContentEncoding(path)
+    }, props)
+
+    const { maxRanges } = props
+    delete props.maxRanges
+
+    return new Promise((resolve, reject) => stat(path, (err, stats) => {
+      // istanbul ignore if
+      if (err != null) {
+        return reject(err)
+      } else if (range != null && props.contentEncoding !== 'identity') {
+        return reject(new TypeError(`cannot read a range of a "${props.contentEncoding}"-encoded file!`))
+      }
+
+      // Errors thrown in this callback would otherwise be uncaught
+      try {
+        const ranges = range == null ? null : Range.parseRange(range, stats.size, maxRanges)
+
+        if (ranges == null) {
+          // An empty file has no content-length, as for an empty buffer
+          resolve(Ctor.fromFile(path, Object.assign({}, props, {
+            contentLength: stats.size || undefined,
+            limit: stats.size || undefined
+          }), Ctor))
+        } else if (ranges.length === 1) {
+          const length = ranges[0].end - ranges[0].start
+          resolve(Ctor.fromFile(path, Object.assign({}, props, {
+            range: ranges[0],
+            contentRange: Range.formatContentRange(ranges[0], stats.size),
+            limit: length
+          }), Ctor))
+        } else {
+          const { stream, contentType, contentLength } = Range.createByteranges(ranges, {
+            contentType: props.contentType,
+            size: stats.size,
+            read: range => createReadStream(path, { start: range.start, end: range.end - 1 })
+          })
+
+          resolve(Ctor.fromStream(stream, Object.assign({}, props, {
+            contentType,
+            contentLength,
+            limit: contentLength
+          }), Ctor))
+        }
+      } catch (err) {
+        reject(err)
+      }
+    }))
+  }
+
+  /**
+   * Creates a SmartStream from a file, including its file-size
+   * @param {String} path Path to the file
+   * @param {Object} [props] Properties of the stream
+   * @param {String} [props.contentType] The MIME-type of the stream
+   * @param {String} [props.contentEncoding] The encoding of the stream
+   * @returns {Promise<SmartStream>}
+   */
+  static fromFileWithLength (path, props, Ctor = SmartStream) {
+    return new Promise((resolve, reject) => stat(path, (err, stats) => {
+      // istanbul ignore if
+      if (err != null) {
+        reject(err)
+      } else {
+        resolve(Ctor.fromFile(path, Object.assign({}, props, {
+          contentLength: stats.size || undefined,
+          limit: stats.size || undefined
+        }), Ctor))
+      }
+    }))
+  }
+
+  /**
+   * Creates a SmartStream from a buffer
+   * @param {Buffer} buf The buffer to convert into a stream
+   * @param {Object} [props] Properties of the stream
+   * @param {String} [props.contentType='application/octet-stream'] The MIME-type of the stream
+   * @param {String} [props.contentEncoding='identity'] The encoding of the stream
+   * @param {Number} [props.timeout] The timeout (ms) for receiving the incoming data
+   * @param {Number} [props.interval] The interval (ms) to check for timeouts
+   * @returns {SmartStream}
+   */
+  static fromBuffer (buf, props, Ctor = SmartStream) {
+    const stream = Ctor.create(Object.assign({
+      contentType: 'application/octet-stream',
+      contentEncoding: 'identity'
+    }, props, {
+      contentLength: Buffer.byteLength(buf) || undefined,
+      limit: Buffer.byteLength(buf) || undefined
+    }))
+    stream.end(buf)
+    return stream
+  }
+
+  /**
+   * Creates a SmartStream from an object
+   * @param {String} obj The object to convert into a stream
+   * @param {Object} [props] Properties of the stream
+   * @param {String} [props.contentType='application/json'] The MIME-type of the stream
+   * @param {String} [props.contentEncoding='identity'] The encoding of the stream
+   * @returns {SmartStream}
    */
   static fromObject (obj, props, Ctor = SmartStream) {
     props = Object.assign({
@@ -479,12 +1928,162 @@ class SmartStream extends Transform {
       contentEncoding: 'identity'
     }, props)
 
-    if (!DESERIALIZABLE_TYPES.test(props.contentType)) {
+    const contentType = (CONTENT_TYPES.exec(props.contentType) || [])[1]
+    if (!Util.isSerializable(contentType)) {
       throw new TypeError(`unknown MIME-type "${props.contentType}"!`)
     }
 
-    return Ctor.fromBuffer(Util.serialize(props.contentType, obj), props)
+    return Ctor.fromBuffer(Util.serialize(contentType, obj), props)
   }
+
+  /**
+   * Creates a SmartStream of serialized objects from an iterable
+   *
+   * Records are serialized one at a time, as the stream is consumed. For a
+   * server-sent event stream, each record may either be the event data or an
+   * object of the form `{ event, data, id, retry }`.
+   *
+   * As such a feed may be long-lived, its size and duration are not limited
+   * unless a `limit` or `timeout` is specified.
+   *
+   * @param {Iterable|AsyncIterable} iterable The objects to serialize
+   * @param {Object} [props] Properties of the stream
+   * @param {String} [props.contentType='application/ndjson'] The MIME-type of the stream
+   * @param {String} [props.contentEncoding='identity'] The encoding of the stream
+   * @param {Number} [props.limit=Infinity] The maximum number of bytes accepted before terminating the input
+   * @param {Number} [props.timeout=0] The timeout (ms) for receiving the incoming data; 0 to disable
+   * @returns {SmartStream}
+   */
+  static fromObjectStream (iterable, props, Ctor = SmartStream) {
+    props = Object.assign({
+      contentType: 'application/ndjson',
+      contentEncoding: 'identity',
+      limit: Infinity,
+      timeout: 0
+    }, props)
+
+    const contentType = (CONTENT_TYPES.exec(props.contentType) || [])[1]
+    if (!OBJECT_STREAM_TYPES.includes(contentType)) {
+      throw new TypeError(`unknown MIME-type "${props.contentType}"!`)
+    }
+
+    const stream = Readable.from(ObjectStream.serialize(contentType, iterable), {
+      objectMode: false
+    })
+
+    return Ctor
+      .fromStream(stream, Object.assign({}, props, {
+        contentEncoding: 'identity'
+      }), Ctor)
+      .toContentEncoding(props.contentEncoding)
+  }
+
+  /**
+   * Creates a CSV (RFC 4180) or TSV SmartStream from an iterable of rows
+   *
+   * Rows are serialized one at a time, as the stream is consumed, after a
+   * header row. Rows are either objects, whose values are picked by the
+   * `columns` (the keys of the first row by default), or arrays of values,
+   * which are serialized without a header row unless `columns` are specified.
+   * CSV fields are quoted as needed, while TSV fields must not contain tabs or
+   * newlines.
+   *
+   * Fields are written as-is, so a spreadsheet may evaluate those starting with
+   * `=`, `+`, `-` or `@` as formulas. For files meant to be opened in one, the
+   * `escapeFormulas` option prefixes such string fields with `'` instead.
+   *
+   * Like {@link SmartStream.fromObjectStream}, the size and duration of the
+   * stream are not limited unless a `limit` or `timeout` is specified.
+   *
+   * @param {Iterable|AsyncIterable} iterable The rows to serialize
+   * @param {Object} [props] Properties of the stream
+   * @param {String[]} [props.columns] The names of the columns
+   * @param {Boolean} [props.escapeFormulas=false] Whether or not to escape string fields that start like a formula
+   * @param {String} [props.contentType='text/csv'] The MIME-type of the stream
+   * @param {String} [props.contentEncoding='identity'] The encoding of the stream
+   * @param {Number} [props.limit=Infinity] The maximum number of bytes accepted before terminating the input
+   * @param {Number} [props.timeout=0] The timeout (ms) for receiving the incoming data; 0 to disable
+   * @returns {SmartStream}
+   */
+  static fromRows (iterable, props, Ctor = SmartStream) {
+    props = Object.assign({
+      contentType: 'text/csv',
+      contentEncoding: 'identity',
+      limit: Infinity,
+      timeout: 0
+    }, props)
+
+    const contentType = (CONTENT_TYPES.exec(props.contentType) || [])[1]
+    if (Csv.FORMATS[contentType] == null) {
+      throw new TypeError(`unknown MIME-type "${props.contentType}"!`)
+    } else if (props.columns != null && (!Array.isArray(props.columns) ||
+      props.columns.some(column => typeof column !== 'string'))) {
+      throw new TypeError('columns must be an array of strings!')
+    }
+
+    const stream = Readable.from(Csv.serialize(contentType, iterable, {
+      columns: props.columns,
+      escapeFormulas: props.escapeFormulas
+    }), {
+      objectMode: false
+    })
+    delete props.columns
+    delete props.escapeFormulas
+
+    return Ctor
+      .fromStream(stream, Object.assign({}, props, {
+        contentEncoding: 'identity'
+      }), Ctor)
+      .toContentEncoding(props.contentEncoding)
+  }
+}
+
+/**
+ * Reads the chunks of multiple sources, one after another
+ *
+ * The streams that have not been read are destroyed if the reading stops early,
+ * e.g. when a source errors or the reader is destroyed.
+ *
+ * @param {Array<Readable|Buffer|String>} sources The streams, buffers or paths
+ * @returns {AsyncIterator<Buffer>}
+ * @private
+ */
+async function * readSources (sources) {
+  let index = 0
+  try {
+    for (; index < sources.length; index++) {
+      const source = sources[index]
+      if (Buffer.isBuffer(source)) {
+        yield source
+      } else {
+        for await (const chunk of (typeof source === 'string') ? createReadStream(source) : source) {
+          yield chunk
+        }
+      }
+    }
+  } finally {
+    sources
+      .slice(index + 1)
+      .filter(source => typeof source.pipe === 'function')
+      .forEach(source => source.destroyed || source.destroy())
+  }
+}
+
+/**
+ * Validates a byte-range, as passed to {@link SmartStream#slice} and {@link
+ * SmartStream.fromFile}
+ * @param {{start: Number, end: Number}} range The range, with an exclusive `end`
+ * @returns {{start: Number, end: Number}} A copy of the range
+ * @throws {TypeError} If the range is invalid
+ * @private
+ */
+function validateRange (range) {
+  const { start, end } = Object.assign({}, range)
+  if (!Number.isInteger(start) || start < 0 || (end != null && (!Number.isInteger(end) || end < start))) {
+    throw new TypeError(`${start}-${end} is an invalid range!`)
+  }
+
+  return { start, end }
 }
 
 /**
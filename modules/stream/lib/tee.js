@@ -0,0 +1,162 @@
+/**
+ * @file Forks a stream into multiple branches
+ * @private
+ */
+'use strict'
+
+const SmartStreamError = require('./error')
+const { Writable } = require('stream')
+
+/**
+ * The policies for handling the errors of a branch
+ * @type {String[]}
+ * @private
+ */
+const ERROR_POLICIES = ['fail', 'detach']
+
+/**
+ * A writable stream that writes everything it receives into multiple branches
+ *
+ * Every chunk is written to all the (attached) branches, and the next chunk is
+ * only accepted once every branch has buffered no more than `bufferLimit` bytes
+ * (or its own high-water mark), so that the slowest branch backpressures the
+ * source. A branch that errors either fails all the others (`fail`), or is
+ * detached from the tee while the others carry on (`detach`). A branch that is
+ * closed without an error is always detached. Once no branch remains, the tee
+ * is destroyed along with its source.
+ * @private
+ */
+class Tee extends Writable {
+  /**
+   * Constructs a `Tee`
+   * @param {Writable[]} branches The streams to write into
+   * @param {Object} [props] Properties of the tee
+   * @param {Number} [props.bufferLimit=0] The number of bytes any branch may buffer before backpressuring the source
+   * @param {String} [props.onError='fail'] Either `fail` to destroy all branches when one of them errors, or `detach` to detach only the failing one
+   * @returns {Tee}
+   */
+  constructor (branches, props) {
+    props = Object.assign({ bufferLimit: 0, onError: 'fail' }, props)
+
+    if (isNaN(+props.bufferLimit) || +props.bufferLimit < 0) {
+      throw new TypeError(`${props.bufferLimit} is an invalid buffer limit!`)
+    } else if (!ERROR_POLICIES.includes(props.onError)) {
+      throw new TypeError(`"${props.onError}" is an invalid error policy!`)
+    }
+
+    super()
+
+    this._branches = new Set(branches)
+    this._bufferLimit = +props.bufferLimit
+    this._onError = props.onError
+    this._waiting = new Set()
+    this._cb = null
+    this._ended = false
+
+    for (const branch of branches) {
+      branch
+        .on('drain', () => this._resume(branch))
+        .on('error', err => this._onBranchError(branch, err))
+        .once('close', () => this._detach(branch))
+    }
+  }
+
+  /**
+   * Writes a chunk into every branch, waiting for those that buffered too much
+   * @param {Buffer} chunk The chunk
+   * @param {String} encoding The encoding of the chunk
+   * @param {Function} cb Invoked once the next chunk may be written
+   * @private
+   */
+  _write (chunk, encoding, cb) {
+    // Destroyed branches are detached (or fail the tee) once they emit `close`
+    // or `error`
+    for (const branch of this._branches) {
+      if (!branch.destroyed && !branch.write(chunk) && branch.writableLength > this._bufferLimit) {
+        this._waiting.add(branch)
+      }
+    }
+
+    if (this._waiting.size > 0) {
+      this._cb = cb
+    } else {
+      cb()
+    }
+  }
+
+  /**
+   * Ends every branch once the source has ended
+   * @param {Function} cb Invoked once done
+   * @private
+   */
+  _final (cb) {
+    this._ended = true
+    this._branches.forEach(branch => branch.destroyed || branch.end())
+    cb()
+  }
+
+  /**
+   * Destroys every branch along with the tee
+   * @param {Error} err The error, if any
+   * @param {Function} cb Invoked once done
+   * @private
+   */
+  _destroy (err, cb) {
+    const branches = Array.from(this._branches)
+    this._branches.clear()
+    branches.forEach(branch => branch.destroyed || branch.destroy(err))
+    cb(err)
+  }
+
+  /**
+   * Stops waiting for a branch that drained its buffer
+   * @param {Writable} branch The branch
+   * @private
+   */
+  _resume (branch) {
+    if (this._waiting.delete(branch) && this._waiting.size === 0 && this._cb != null) {
+      const cb = this._cb
+      this._cb = null
+      cb()
+    }
+  }
+
+  /**
+   * Handles the error of a branch, as per the error policy
+   * @param {Writable} branch The branch
+   * @param {Error} err The error
+   * @private
+   */
+  _onBranchError (branch, err) {
+    if (!this._branches.has(branch)) {
+      return
+    } else if (this._onError === 'fail') {
+      this._branches.delete(branch)
+      return this.destroy(err)
+    }
+
+    this._detach(branch, err)
+  }
+
+  /**
+   * Detaches a branch from the tee, destroying the tee if none remain
+   * @param {Writable} branch The branch
+   * @param {Error} [err] The error of the branch, if any
+   * @private
+   */
+  _detach (branch, err) {
+    if (!this._branches.delete(branch) || this._ended) {
+      return
+    } else if (this._branches.size === 0) {
+      return this.destroy(err || SmartStreamError.Unexpected('every branch was closed!'))
+    }
+
+    this._resume(branch)
+  }
+}
+
+/**
+ * Export the class
+ * @type {Tee}
+ */
+module.exports = Tee
@@ -0,0 +1,135 @@
+/**
+ * @file A token bucket for limiting the rate of byte streams
+ * @private
+ */
+'use strict'
+
+/**
+ * A token bucket that hands out tokens (bytes) at a fixed rate, in the order
+ * they are requested
+ *
+ * A single bucket may be shared by many streams to split a bandwidth budget
+ * between them. Requests larger than the burst wait for a full bucket and put
+ * it in debt, delaying subsequent requests until it is repaid.
+ */
+class TokenBucket {
+  /**
+   * Constructs a `TokenBucket`
+   * @param {Object} props Properties of the bucket
+   * @param {Number} props.rate The rate (bytes/s) at which tokens are added
+   * @param {Number} [props.burst=props.rate] The maximum number of tokens held
+   * @returns {TokenBucket}
+   */
+  constructor (props) {
+    if (props == null || isNaN(+props.rate) || +props.rate <= 0) {
+      throw new TypeError(`${props && props.rate} is an invalid rate!`)
+    } else if (props.burst != null && (isNaN(+props.burst) || +props.burst < 1)) {
+      throw new TypeError(`${props.burst} is an invalid burst!`)
+    }
+
+    this._rate = +props.rate
+    this._burst = Math.floor(+props.burst || Math.max(1, this._rate))
+    this._tokens = this._burst
+    this._lastRefill = Date.now()
+    this._queue = []
+    this._timer = null
+  }
+
+  /**
+   * Returns the rate (bytes/s) at which tokens are added
+   * @returns {Number}
+   */
+  get rate () {
+    return this._rate
+  }
+
+  /**
+   * Returns the maximum number of tokens held by the bucket
+   * @returns {Number}
+   */
+  get burst () {
+    return this._burst
+  }
+
+  /**
+   * Takes tokens from the bucket, waiting for them if necessary
+   * @param {Number} count The number of tokens to take
+   * @param {Function} cb Invoked once the tokens have been taken
+   */
+  take (count, cb) {
+    this._queue.push({ count, cb })
+    this._drain()
+  }
+
+  /**
+   * Cancels a request that is still waiting for tokens, e.g. for a destroyed
+   * stream, so that its tokens go to the next requests instead
+   * @param {Function} cb The callback of the request
+   */
+  cancel (cb) {
+    const index = this._queue.findIndex(request => request.cb === cb)
+    if (index === -1) return
+
+    this._queue.splice(index, 1)
+
+    // The next drain was scheduled for the cancelled request
+    if (index === 0 && this._timer != null) {
+      clearTimeout(this._timer)
+      this._timer = null
+      this._drain()
+    }
+  }
+
+  /**
+   * Adds the tokens accrued since the last refill
+   * @private
+   */
+  _refill () {
+    const now = Date.now()
+    this._tokens = Math.min(this._burst,
+      this._tokens + (now - this._lastRefill) * this._rate / 1000)
+    this._lastRefill = now
+  }
+
+  /**
+   * Returns the number of tokens needed to serve a request; requests larger
+   * than the burst wait for a full bucket
+   * @param {Object} request The request
+   * @returns {Number}
+   * @private
+   */
+  _needed (request) {
+    return Math.min(request.count, this._burst)
+  }
+
+  /**
+   * Hands out tokens to waiting requests, in order
+   * @private
+   */
+  _drain () {
+    if (this._timer != null) return
+
+    this._refill()
+    while (this._queue.length > 0 && this._tokens >= this._needed(this._queue[0])) {
+      const { count, cb } = this._queue.shift()
+      this._tokens -= count
+      cb()
+    }
+
+    // A request taken above may have already scheduled the next drain
+    if (this._queue.length > 0 && this._timer == null) {
+      const needed = this._needed(this._queue[0])
+      const wait = Math.ceil((needed - this._tokens) * 1000 / this._rate)
+      this._timer = setTimeout(() => {
+        this._timer = null
+        this._drain()
+      }, wait)
+    }
+  }
+}
+
+/**
+ * Export the class
+ * @type {TokenBucket}
+ */
+module.exports = TokenBucket
@@ -8,8 +8,72 @@ const { extname } = require('path')
 const qs = require('querystring')
 const zlib = require('zlib')
 const mime = require('mime')
-const msgpack = require('msgpack5')()
+const msgpack = require('msgpack5')({ protoAction: 'remove' })
 const SmartStreamError = require('./error')
+const { Transform } = require('stream')
+
+/**
+ * The registered serializers, indexed by MIME-type
+ * @type {Map<String, Object>}
+ * @private
+ */
+const SERIALIZERS = new Map()
+
+/**
+ * Registers a serializer for a MIME-type
+ *
+ * @param {String} type The MIME-type handled by the serializer
+ * @param {Object} serializer The implementation of the serializer
+ * @param {Function} serializer.serialize Returns the serialized representation (`Buffer|String`) of an object
+ * @param {Function} serializer.deserialize Returns the object represented by a buffer, given the limits of the object
+ * @param {Boolean} [serializer.text=false] Whether or not the serialized representation is text
+ * @private
+ */
+function registerSerializer (type, serializer) {
+  if (serializer == null || typeof serializer.serialize !== 'function' ||
+    typeof serializer.deserialize !== 'function') {
+    throw new TypeError(`serializer for "${type}" must implement serialize() and deserialize()!`)
+  }
+
+  SERIALIZERS.set(type, {
+    serialize: serializer.serialize,
+    deserialize: serializer.deserialize,
+    text: serializer.text === true
+  })
+}
+
+/**
+ * Returns whether or not the specified MIME-type can be (de)serialized
+ *
+ * @param {String} type The MIME-type
+ * @returns {Boolean}
+ * @private
+ */
+function isSerializable (type) {
+  return SERIALIZERS.has(type)
+}
+
+/**
+ * Returns whether or not the serialized representation of the specified
+ * MIME-type is text
+ *
+ * @param {String} type The MIME-type
+ * @returns {Boolean}
+ * @private
+ */
+function isText (type) {
+  return SERIALIZERS.has(type) && SERIALIZERS.get(type).text
+}
+
+/**
+ * Returns all the MIME-types that can be (de)serialized
+ *
+ * @returns {String[]}
+ * @private
+ */
+function getSerializableTypes () {
+  return Array.from(SERIALIZERS.keys())
+}
 
 /**
  * Serializes an object into a buffer
@@ -20,19 +84,13 @@ const SmartStreamError = require('./error')
  * @private
  */
 function serialize (type, data) {
-  switch (type) {
-    case 'application/json':
-      return Buffer.from(JSON.stringify(data))
-
-    case 'application/msgpack':
-      return msgpack.encode(data)
-
-    case 'application/x-www-form-urlencoded':
-      return Buffer.from(qs.stringify(data))
+  // istanbul ignore if
+  if (!SERIALIZERS.has(type)) {
+    throw SmartStreamError.Unexpected(`unknown MIME-type "${type}"!`)
   }
 
-  // istanbul ignore next
-  throw SmartStreamError.Unexpected(`unknown MIME-type "${type}"!`)
+  const buf = SERIALIZERS.get(type).serialize(data)
+  return Buffer.isBuffer(buf) ? buf : Buffer.from(buf)
 }
 
 /**
@@ -40,87 +98,197 @@ function serialize (type, data) {
  *
  * @param {String} type The MIME type of the serialization algorithm
  * @param {Buffer} data The serialized representation of the object
- * @returns {Object} The POJO representation of the serialized data
+ * @param {Object} [limits] The limits of the object, which a deserializer may enforce while parsing
+ * @returns {Object|Promise<Object>} The POJO representation of the serialized data
  * @private
  */
-function deserialize (type, data) {
-  switch (type) {
-    case 'application/json': {
-      const val = JSON.parse(data.toString('utf8'))
-      return (val !== 'null')
-        ? val
-        : /* istanbul ignore next */ null
-    }
+function deserialize (type, data, limits) {
+  // istanbul ignore if
+  if (!SERIALIZERS.has(type)) {
+    throw SmartStreamError.Unexpected(`unknown MIME-type "${type}"!`)
+  }
 
-    case 'application/msgpack':
-      return msgpack.decode(data)
+  return SERIALIZERS.get(type).deserialize(data, Object.assign({}, limits))
+}
 
-    case 'application/x-www-form-urlencoded':
-      return qs.parse(data.toString('utf8'))
+/**
+ * The registered content encodings, indexed by name
+ * @type {Map<String, Object>}
+ * @private
+ */
+const ENCODINGS = new Map()
+
+/**
+ * Registers a content encoding
+ *
+ * @param {String} name The name of the encoding, as used in `Content-Encoding`
+ * @param {Object} codec The implementation of the encoding
+ * @param {Function} codec.compress Returns a new transform stream that encodes its input
+ * @param {Function} codec.decompress Returns a new transform stream that decodes its input
+ * @param {String[]} [codec.extensions=[]] The file extensions for the encoding
+ * @private
+ */
+function registerEncoding (name, codec) {
+  if (typeof name !== 'string' || !/^[\w-]+$/.test(name) || name === 'identity') {
+    throw new TypeError(`"${name}" is an invalid encoding name!`)
+  } else if (codec == null || typeof codec.compress !== 'function' ||
+    typeof codec.decompress !== 'function') {
+    throw new TypeError(`encoding "${name}" must implement compress() and decompress()!`)
+  } else if (codec.extensions != null && !Array.isArray(codec.extensions)) {
+    throw new TypeError(`extensions for encoding "${name}" must be an array!`)
   }
 
-  // istanbul ignore next
-  throw SmartStreamError.Unexpected(`unknown MIME-type "${type}"!`)
+  ENCODINGS.set(name, {
+    compress: codec.compress,
+    decompress: codec.decompress,
+    extensions: (codec.extensions || []).map(ext => ext.startsWith('.')
+      ? ext
+      : `.${ext}`)
+  })
 }
 
 /**
- * Compresses a stream/buffer
+ * Returns whether or not the specified encoding is known
+ *
+ * @param {String} name The name of the encoding
+ * @returns {Boolean}
+ * @private
+ */
+function isEncoding (name) {
+  return name === 'identity' || ENCODINGS.has(name)
+}
+
+/**
+ * Returns the names of all the known encodings
+ *
+ * @returns {String[]}
+ * @private
+ */
+function getEncodings () {
+  return ['identity'].concat(Array.from(ENCODINGS.keys()))
+}
+
+/**
+ * Returns whether or not the specified encoding compresses its content
+ *
+ * @param {String} name The name of the encoding
+ * @returns {Boolean}
+ * @private
+ */
+function isCompressed (name) {
+  return ENCODINGS.has(name)
+}
+
+/**
+ * Pipes a stream/buffer through a transform created by the specified encoding
  *
  * @param {String} type The type of compression
- * @param {Buffer|Readable} data The data to be compressed
+ * @param {String} method Either `compress` or `decompress`
+ * @param {Buffer|Readable} data The data to be transformed
  * @returns {Readable}
  * @private
  */
-function compress (type, data) {
-  let stream
-
-  // istanbul ignore else
-  if (type === 'deflate') {
-    stream = zlib.createDeflate()
-  } else if (type === 'gzip') {
-    stream = zlib.createGzip()
-  } else {
+function transcode (type, method, data) {
+  if (!ENCODINGS.has(type)) {
     throw SmartStreamError.Unexpected(`unknown compression "${type}"!`)
   }
 
+  const stream = ENCODINGS.get(type)[method]()
+
   // istanbul ignore if
   if (Buffer.isBuffer(data)) {
     stream.end(data)
   } else /* istanbul ignore else */ if (data !== stream) {
-    data.pipe(stream)
+    pipe(data, stream)
   }
 
   return stream
 }
 
+/**
+ * Compresses a stream/buffer
+ *
+ * @param {String} type The type of compression
+ * @param {Buffer|Readable} data The data to be compressed
+ * @returns {Readable}
+ * @private
+ */
+function compress (type, data) {
+  return transcode(type, 'compress', data)
+}
+
 /**
  * Decompresses a stream/buffer
  *
+ * When limits are specified, the decompressed output is bounded both in size
+ * and relative to the size of the compressed input. Exceeding either limit
+ * errors the stream with a `CompressionBomb` error.
+ *
  * @param {String} type The type of compression
  * @param {Buffer|Readable} data The data to be decompressed
+ * @param {Object} [props] Limits for the decompressed data
+ * @param {Number} [props.limit=Infinity] The maximum number of decompressed bytes
+ * @param {Number} [props.ratio=Infinity] The maximum ratio of decompressed to compressed bytes
  * @returns {Readable}
  * @private
  */
-function decompress (type, data) {
-  let stream
-
-  // istanbul ignore else
-  if (type === 'deflate') {
-    stream = zlib.createInflate()
-  } else if (type === 'gzip') {
-    stream = zlib.createGunzip()
-  } else {
-    throw SmartStreamError.Unexpected(`unknown compression "${type}"!`)
+function decompress (type, data, props) {
+  const { limit, ratio } = Object.assign({ limit: Infinity, ratio: Infinity }, props)
+  if (limit === Infinity && ratio === Infinity) {
+    return transcode(type, 'decompress', data)
   }
 
+  let size = 0
+  let decompressedSize = 0
+
+  const counter = new Transform({
+    transform: (chunk, encoding, cb) => {
+      size += chunk.length
+      cb(null, chunk)
+    }
+  })
+
+  const limiter = new Transform({
+    transform: (chunk, encoding, cb) => {
+      decompressedSize += chunk.length
+
+      if (decompressedSize > limit || decompressedSize > size * ratio) {
+        return cb(SmartStreamError.CompressionBomb({
+          contentEncoding: type,
+          size,
+          decompressedSize,
+          decompressedLimit: limit,
+          maxExpansionRatio: ratio
+        }))
+      }
+
+      cb(null, chunk)
+    }
+  })
+
   // istanbul ignore if
   if (Buffer.isBuffer(data)) {
-    stream.end(data)
-  } else /* istanbul ignore else */ if (data !== stream) {
-    data.pipe(stream)
+    counter.end(data)
+  } else {
+    pipe(data, counter)
   }
 
-  return stream
+  return pipe(transcode(type, 'decompress', counter), limiter)
+}
+
+/**
+ * Pipes a source stream into a target stream, propagating errors both ways
+ *
+ * @param {Readable} source The stream to read from
+ * @param {Writable} target The stream to write to
+ * @returns {Writable} The target stream
+ * @private
+ */
+function pipe (source, target) {
+  return source
+    .once('error', err => target.destroyed || target.destroy(err))
+    .pipe(target)
+    .once('error', err => source.destroyed || source.destroy(err))
 }
 
 /**
@@ -142,6 +310,24 @@ function streamToBuffer (stream) {
   })
 }
 
+/**
+ * Returns the registered encoding for the extension of the specified file
+ *
+ * @param {String} path Path to the file
+ * @returns {?String} The name of the encoding, or `null` if none matched
+ * @private
+ */
+function getEncodingByExtension (path) {
+  const extension = extname(path)
+  for (const [name, codec] of ENCODINGS) {
+    if (extension !== '' && codec.extensions.includes(extension)) {
+      return name
+    }
+  }
+
+  return null
+}
+
 /**
  * Returns the MIME-type of the specified file
  *
@@ -150,15 +336,9 @@ function streamToBuffer (stream) {
  * @private
  */
 function getContentType (path) {
-  const extension = extname(path)
-  switch (extension) {
-    case '.gz':
-    case '.deflate':
-      return mime.getType(path.slice(0, -extension.length))
-
-    default:
-      return mime.getType(path)
-  }
+  return getEncodingByExtension(path) == null
+    ? mime.getType(path)
+    : mime.getType(path.slice(0, -extname(path).length))
 }
 
 /**
@@ -169,23 +349,117 @@ function getContentType (path) {
  * @private
  */
 function getContentEncoding (path) {
-  switch (extname(path)) {
-    case '.gz': return 'gzip'
-    case '.deflate': return 'deflate'
-    default: return 'identity'
+  return getEncodingByExtension(path) || 'identity'
+}
+
+/**
+ * Parses a header value with parameters, such as `Content-Type` or
+ * `Content-Disposition`, into its value and parameters
+ *
+ * @param {String} header The header value to parse
+ * @returns {{value: String, params: Object<String>}} The (lower-cased) value and the
+ * parameters, indexed by (lower-cased) name
+ * @private
+ */
+function parseHeader (header) {
+  const str = String(header == null ? '' : header)
+  const index = str.indexOf(';')
+  const value = (index === -1 ? str : str.slice(0, index)).trim().toLowerCase()
+  const params = {}
+  const regex = /;\s*([^\s=;]+)\s*=\s*("(?:[^"\\]|\\.)*"|[^;]*)/g
+
+  let match
+  while ((match = regex.exec(str)) !== null) {
+    const name = match[1].toLowerCase()
+    params[name] = match[2][0] === '"'
+      ? match[2].slice(1, -1).replace(/\\(.)/g, '$1')
+      : match[2].trim()
   }
+
+  return { value, params }
+}
+
+/**
+ * Formats a header value with parameters, quoting the values of parameters
+ * that are not tokens; the inverse of {@link parseHeader}
+ *
+ * @param {String} value The header value
+ * @param {Object<String>} params The parameters, indexed by name
+ * @returns {String}
+ * @private
+ */
+function formatHeader (value, params) {
+  return [value]
+    .concat(Object.keys(params).map(name => /^[!#$%&'*+.^_`|~\w-]+$/.test(params[name])
+      ? `${name}=${params[name]}`
+      : `${name}="${String(params[name]).replace(/(["\\])/g, '\\$1')}"`))
+    .join('; ')
 }
 
+// Register the built-in serializers
+registerSerializer('application/json', {
+  serialize: data => JSON.stringify(data),
+  deserialize: data => {
+    const val = JSON.parse(data.toString('utf8'))
+    return (val !== 'null')
+      ? val
+      : /* istanbul ignore next */ null
+  },
+  text: true
+})
+registerSerializer('application/msgpack', {
+  serialize: data => msgpack.encode(data),
+  deserialize: data => msgpack.decode(data)
+})
+registerSerializer('application/x-www-form-urlencoded', {
+  serialize: data => qs.stringify(data),
+  // Parses one key beyond `maxKeys`, so that SmartStream#toObject can reject
+  // the object rather than silently truncate it, and 1000 keys (the default
+  // of querystring) otherwise
+  deserialize: (data, { maxKeys }) => qs.parse(data.toString('utf8'), null, null, {
+    maxKeys: maxKeys == null || maxKeys === Infinity ? 1000 : maxKeys + 1
+  }),
+  text: true
+})
+
+// Register the built-in encodings
+registerEncoding('gzip', {
+  compress: () => zlib.createGzip(),
+  decompress: () => zlib.createGunzip(),
+  extensions: ['.gz']
+})
+registerEncoding('deflate', {
+  compress: () => zlib.createDeflate(),
+  decompress: () => zlib.createInflate(),
+  extensions: ['.deflate']
+})
+registerEncoding('br', {
+  compress: () => zlib.createBrotliCompress(),
+  decompress: () => zlib.createBrotliDecompress(),
+  extensions: ['.br']
+})
+
 /**
  * Export all utlity functions
  * @type {Object}
  */
 module.exports = {
+  registerSerializer,
+  isSerializable,
+  isText,
+  getSerializableTypes,
   serialize,
   deserialize,
+  registerEncoding,
+  isEncoding,
+  getEncodings,
+  isCompressed,
   compress,
   decompress,
+  pipe,
   streamToBuffer,
   getContentType,
-  getContentEncoding
+  getContentEncoding,
+  parseHeader,
+  formatHeader
 }
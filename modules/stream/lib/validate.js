@@ -0,0 +1,126 @@
+/**
+ * @file Validates deserialized objects against schemas
+ * @private
+ */
+'use strict'
+
+const SmartStreamError = require('./error')
+const { Transform } = require('stream')
+
+/**
+ * Returns whether or not a schema can validate objects, i.e. it is either a
+ * `validate(obj)` function or an object with a `validate(obj)` method
+ * @param {Function|Object} schema The schema
+ * @returns {Boolean}
+ * @private
+ */
+function isSchema (schema) {
+  return typeof schema === 'function' ||
+    (schema != null && typeof schema.validate === 'function')
+}
+
+/**
+ * Normalizes the result of a validator into a list of errors
+ *
+ * Validators may return (or resolve with) `true` or `undefined` when valid,
+ * `false` with the errors on their `errors` property (e.g. Ajv), a list of
+ * errors, an error message, an object with a `valid` (e.g. jsonschema) or
+ * `success` (e.g. Zod) flag, or an object with an `error` or `value` property
+ * (e.g. Joi). Any other result is an error, so that validation never fails
+ * open.
+ *
+ * @param {*} result The result of the validator
+ * @param {Function|Object} validator The validator
+ * @returns {?Array} The errors, or `null` if valid
+ * @private
+ */
+function getErrors (result, validator) {
+  if (result === true || result == null) {
+    return null
+  } else if (result === false) {
+    return [].concat(validator.errors || 'validation failed')
+  } else if (Array.isArray(result)) {
+    return result.length > 0 ? result : null
+  } else if (typeof result === 'string') {
+    return [result]
+  } else if (typeof result === 'object' && ('valid' in result || 'success' in result)) {
+    return (result.valid === true || result.success === true)
+      ? null
+      : [].concat(result.errors || getErrorDetails(result.error) || 'validation failed')
+  } else if (typeof result === 'object' && ('error' in result || 'value' in result)) {
+    return result.error == null ? null : [].concat(getErrorDetails(result.error))
+  }
+
+  return ['the validator returned an unrecognized result']
+}
+
+/**
+ * Returns the details of an error returned by a validator
+ * @param {*} error The error
+ * @returns {*} The details, issues or message of the error, or the error itself
+ * @private
+ */
+function getErrorDetails (error) {
+  return error == null
+    ? error
+    : error.details || error.issues || error.message || error
+}
+
+/**
+ * Validates an object against a schema
+ * @param {Function|Object} schema The schema
+ * @param {*} obj The object to validate
+ * @param {Object} [metadata] Additional metadata of the error
+ * @returns {Promise<*>} Resolves with the object, or rejects with a `ValidationFailed` error
+ * @private
+ */
+function validate (schema, obj, metadata) {
+  const validator = typeof schema === 'function'
+    ? schema
+    : schema.validate.bind(schema)
+
+  return new Promise(resolve => resolve(validator(obj)))
+    .then(result => {
+      const errors = getErrors(result, schema)
+      if (errors != null) {
+        throw SmartStreamError.ValidationFailed(Object.assign({}, metadata, { errors }))
+      }
+      return obj
+    }, err => {
+      throw err.isSmartStreamError
+        ? err
+        : SmartStreamError.ValidationFailed(Object.assign({}, metadata, {
+          errors: [err.message]
+        }))
+    })
+}
+
+/**
+ * Creates a transform stream (in object mode) that validates every record
+ * against a schema, emitting a `ValidationFailed` error for the first invalid
+ * one
+ * @param {Function|Object} schema The schema
+ * @returns {Transform}
+ * @private
+ */
+function createValidator (schema) {
+  let index = 0
+
+  return new Transform({
+    objectMode: true,
+    transform (record, encoding, cb) {
+      validate(schema, record, { record: index++ })
+        .then(record => cb(null, record), cb)
+    }
+  })
+}
+
+/**
+ * Export the helpers
+ * @type {Object}
+ */
+module.exports = {
+  isSchema,
+  validate,
+  createValidator
+}
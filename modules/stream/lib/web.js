@@ -0,0 +1,135 @@
+/**
+ * @file Bridges Node.js streams and WHATWG streams
+ * @private
+ */
+'use strict'
+
+const SmartStreamError = require('./error')
+const { Readable } = require('stream')
+
+/**
+ * A no-op function
+ * @type {Function}
+ * @private
+ */
+const NOOP = () => {}
+
+/**
+ * Returns the constructor of WHATWG readable streams, which is global as of
+ * Node.js v18, and available from `stream/web` as of v16.5
+ * @returns {Function}
+ * @throws {SmartStreamError} An `Unsupported` error for older runtimes
+ * @private
+ */
+function getReadableStream () {
+  if (typeof global.ReadableStream === 'function') {
+    return global.ReadableStream
+  }
+
+  try {
+    return require('stream/web').ReadableStream
+  } catch (err) {
+    throw SmartStreamError.Unsupported({ feature: 'ReadableStream' }, err)
+  }
+}
+
+/**
+ * Returns whether or not a value is a WHATWG readable stream
+ * @param {*} value The value
+ * @returns {Boolean}
+ * @private
+ */
+function isWebStream (value) {
+  return value != null &&
+    typeof value.getReader === 'function' &&
+    typeof value.cancel === 'function'
+}
+
+/**
+ * Converts a chunk of a WHATWG readable stream into a buffer
+ * @param {String|ArrayBuffer|ArrayBufferView} chunk The chunk
+ * @returns {Buffer}
+ * @throws {TypeError} If the chunk is neither a string nor binary data
+ * @private
+ */
+function toBuffer (chunk) {
+  if (typeof chunk === 'string' || chunk instanceof ArrayBuffer) {
+    return Buffer.from(chunk)
+  } else if (ArrayBuffer.isView(chunk)) {
+    return Buffer.from(chunk.buffer, chunk.byteOffset, chunk.byteLength)
+  }
+  throw new TypeError(`${chunk} is an invalid chunk!`)
+}
+
+/**
+ * Creates a Node.js readable stream that reads a WHATWG readable stream
+ *
+ * Chunks are only read as they are consumed, and destroying the stream cancels
+ * the WHATWG stream (with the error, if any). Chunks that are neither strings
+ * nor binary data error the stream.
+ *
+ * @param {ReadableStream} webStream The WHATWG readable stream
+ * @returns {Readable}
+ * @private
+ */
+function fromWebStream (webStream) {
+  const reader = webStream.getReader()
+  const stream = new Readable({
+    read: () => {
+      reader.read().then(({ done, value }) => {
+        if (done) {
+          return stream.push(null)
+        }
+
+        let chunk
+        try {
+          chunk = toBuffer(value)
+        } catch (err) {
+          return stream.destroy(SmartStreamError.Unexpected(err))
+        }
+        stream.push(chunk)
+      }, err => stream.destroy(err))
+    },
+    destroy: (err, cb) => {
+      reader.cancel(err || undefined).catch(NOOP)
+      cb(err)
+    }
+  })
+
+  return stream
+}
+
+/**
+ * Creates a WHATWG readable stream that reads a Node.js readable stream
+ *
+ * Chunks are only read as they are pulled, errors of the stream error the
+ * WHATWG stream, and cancelling the WHATWG stream destroys the stream.
+ *
+ * @param {Readable} stream The Node.js readable stream
+ * @returns {ReadableStream}
+ * @throws {SmartStreamError} An `Unsupported` error for runtimes without WHATWG streams
+ * @private
+ */
+function toWebStream (stream) {
+  const ReadableStream = getReadableStream()
+  const iterator = stream[Symbol.asyncIterator]()
+
+  return new ReadableStream({
+    pull: controller => iterator.next().then(({ done, value }) => {
+      done ? controller.close() : controller.enqueue(value)
+    }),
+    // Returning the iterator would wait for a pending read, if any, while an
+    // error also destroys the source of the stream
+    cancel: () => stream.destroy(SmartStreamError.Unexpected('the web stream was cancelled!'))
+  })
+}
+
+/**
+ * Export the helpers
+ * @type {Object}
+ */
+module.exports = {
+  isWebStream,
+  fromWebStream,
+  toWebStream
+}
@@ -4,8 +4,24 @@
 'use strict'
 
 const { expect } = require('chai')
+const { createHash, randomBytes } = require('crypto')
+const http = require('http')
 const { join } = require('path')
-const { createReadStream, readFileSync } = require('fs')
+const {
+  createReadStream,
+  existsSync,
+  mkdtempSync,
+  readdirSync,
+  readFileSync,
+  rmdirSync,
+  statSync,
+  truncateSync,
+  unlinkSync,
+  writeFileSync
+} = require('fs')
+const { tmpdir } = require('os')
+const { Readable, Transform } = require('stream')
+const { gunzipSync, gzipSync } = require('zlib')
 const SmartStream = require('../lib/stream')
 const SmartStreamError = require('../lib/error')
 
@@ -104,6 +120,57 @@ describe('SmartStream', function () {
       }
     })
 
+    describe('.registerEncoding()', function () {
+      const xor = () => new Transform({
+        transform: (chunk, encoding, cb) => cb(null, Buffer.from(chunk.map(b => b ^ 0xff)))
+      })
+      const filePath = join(tmpdir(), `image-${process.pid}.jpg.xor`)
+      const fileContents = readFileSync(join(__dirname, 'fixtures', 'image.jpg'))
+
+      before(function () {
+        SmartStream.registerEncoding('x-xor', {
+          compress: xor,
+          decompress: xor,
+          extensions: ['xor']
+        })
+        writeFileSync(filePath, Buffer.from(fileContents.map(b => b ^ 0xff)))
+      })
+
+      after(function () {
+        unlinkSync(filePath)
+      })
+
+      it('supports brotli as a built-in encoding', async function () {
+        const source = SmartStream.fromFile(join(__dirname, 'fixtures', 'image.jpg'))
+        const target = source.toContentEncoding('br')
+        expect(target.contentEncoding).to.equal('br')
+        expect(target.isCompressed).to.equal(true)
+        expect(await target.toBuffer(true)).to.deep.equal(fileContents)
+      })
+
+      it('supports registered encodings', async function () {
+        const source = SmartStream.fromFile(filePath)
+        expect(source.contentType).to.equal('image/jpeg')
+        expect(source.contentEncoding).to.equal('x-xor')
+        expect(source.isCompressed).to.equal(true)
+
+        const target = source.toContentEncoding('gzip')
+        expect(await target.toBuffer(true)).to.deep.equal(fileContents)
+      })
+
+      it('throws an error for invalid encodings', function () {
+        const codec = { compress: xor, decompress: xor }
+        expect(() => SmartStream.registerEncoding('identity', codec))
+          .to.throw('"identity" is an invalid encoding name!')
+        expect(() => SmartStream.registerEncoding('x-foo', {}))
+          .to.throw('encoding "x-foo" must implement compress() and decompress()!')
+        expect(() => SmartStream.registerEncoding('x-foo', { ...codec, extensions: '.foo' }))
+          .to.throw('extensions for encoding "x-foo" must be an array!')
+        expect(create({ ...props, contentEncoding: 'x-foo' }))
+          .to.throw('"x-foo" is not a valid encoding!')
+      })
+    })
+
     describe('.fromBuffer(), #toBuffer()', function () {
       context('without auto-decompression', function () {
         it('creates a stream/buffer from/to a buffer/stream', function (done) {
@@ -136,6 +203,96 @@ describe('SmartStream', function () {
       })
     })
 
+    describe('#toBuffer({ spillThreshold }), #toTempFile()', function () {
+      const data = Buffer.from('Hello, World!')
+
+      it('keeps small streams in memory', async function () {
+        const spool = await SmartStream.fromBuffer(data, { contentType: 'text/plain' })
+          .toBuffer({ spillThreshold: 1024 })
+
+        expect(spool.isFile).to.equal(false)
+        expect(spool.path).to.equal(null)
+        expect(spool.size).to.equal(13)
+        expect(await spool.toBuffer()).to.deep.equal(data)
+        expect(spool.toStream().toJSON()).to.deep.equal({
+          contentType: 'text/plain',
+          contentEncoding: 'identity',
+          contentLength: 13
+        })
+        expect(await spool.toStream().toBuffer()).to.deep.equal(data)
+        await spool.cleanup()
+      })
+
+      it('spills larger streams into a temporary file', async function () {
+        const gzipped = gzipSync(data)
+        const spool = await SmartStream.fromBuffer(gzipped, { contentEncoding: 'gzip' })
+          .toBuffer({ autoDecompress: true, spillThreshold: 5, dir: tmpdir() })
+
+        expect(spool.isFile).to.equal(true)
+        expect(spool.path.startsWith(tmpdir())).to.equal(true)
+        expect(readFileSync(spool.path)).to.deep.equal(data)
+
+        const stream = spool.toStream()
+        expect(stream.toJSON()).to.deep.equal({
+          contentType: 'application/octet-stream',
+          contentEncoding: 'identity',
+          contentLength: 13
+        })
+        expect(await stream.toBuffer()).to.deep.equal(data)
+        expect(await spool.toBuffer()).to.deep.equal(data)
+
+        await spool.cleanup()
+        expect(existsSync(spool.path)).to.equal(false)
+        expect(() => spool.toStream()).to.throw('the spool has been cleaned up!')
+      })
+
+      it('always spools into a temporary file', async function () {
+        const spool = await SmartStream.fromBuffer(data).toTempFile()
+
+        expect(spool.isFile).to.equal(true)
+        expect(await spool.toStream().toBuffer()).to.deep.equal(data)
+        await spool.cleanup()
+
+        const empty = await SmartStream.fromBuffer(Buffer.alloc(0)).toTempFile()
+        expect(empty.size).to.equal(0)
+        expect(await empty.toStream().toBuffer()).to.deep.equal(Buffer.alloc(0))
+        await empty.cleanup()
+      })
+
+      it('removes the temporary file when the stream errors', async function () {
+        const dir = mkdtempSync(join(tmpdir(), 'spool-'))
+        const stream = SmartStream.create({ contentEncoding: 'identity', limit: 10 })
+        const promise = stream.toTempFile({ dir }).catch(err => err)
+
+        stream.write(data.slice(0, 5))
+        await new Promise(resolve => setTimeout(resolve, 50))
+        expect(readdirSync(dir)).to.have.lengthOf(1)
+        stream.end(data)
+
+        const err = await promise
+        expect(err.isTooLarge).to.equal(true)
+        expect(readdirSync(dir)).to.have.lengthOf(0)
+        rmdirSync(dir)
+      })
+
+      it('creates the temporary file readable by its owner only', async function () {
+        const spool = await SmartStream.fromBuffer(data).toTempFile()
+
+        if (process.platform !== 'win32') {
+          expect(statSync(spool.path).mode & 0o777).to.equal(0o600)
+        }
+        await spool.cleanup()
+      })
+
+      it('rejects invalid spill thresholds', async function () {
+        const stream = SmartStream.fromBuffer(data)
+        const err = await stream.toBuffer({ spillThreshold: -1 }).catch(err => err)
+        expect(err).to.be.an.instanceOf(TypeError)
+        expect(err.message).to.equal('-1 is an invalid spill threshold!')
+        stream.destroy()
+      })
+    })
+
     describe('.fromObject(), #toObject()', function () {
       const SUPPORTED_TYPES = [
         'application/json',
@@ -148,60 +305,1450 @@ describe('SmartStream', function () {
       ]
       const obj = { foo: 'bar', bar: 'baz' }
 
-      SUPPORTED_TYPES.forEach(contentType => {
-        it(`(de)serializes an object using ${contentType}`, function (done) {
-          SmartStream
-            .fromObject(obj, { contentType })
-            .toObject()
-            .then(parsedObj => expect(parsedObj).to.deep.equal(obj))
-            .then(() => done())
-            .catch(err => done(err))
-        })
+      SUPPORTED_TYPES.forEach(contentType => {
+        it(`(de)serializes an object using ${contentType}`, function (done) {
+          SmartStream
+            .fromObject(obj, { contentType })
+            .toObject()
+            .then(parsedObj => expect(parsedObj).to.deep.equal(obj))
+            .then(() => done())
+            .catch(err => done(err))
+        })
+      })
+
+      it('throws an error for unsupported MIME-types', function () {
+        UNSUPPORTED_TYPES.forEach(contentType => {
+          const testFn = () => SmartStream.fromObject(obj, { contentType })
+          expect(testFn).to.throw(`unknown MIME-type "${contentType}"!`)
+        })
+      })
+
+      it('validates the object against a schema', async function () {
+        // Mimics a compiled JSON-Schema validator, reporting its errors
+        const schema = obj => {
+          schema.errors = typeof obj.foo === 'number'
+            ? null
+            : [{ instancePath: '/foo', message: 'must be number' }]
+          return schema.errors == null
+        }
+
+        const err = await SmartStream.fromObject(obj).toObject({ schema }).catch(err => err)
+        expect(err.isValidationFailed).to.equal(true)
+        expect(err.metadata).to.deep.equal({ errors: [{ instancePath: '/foo', message: 'must be number' }] })
+        expect(SmartStream.getStatusCode(err)).to.equal(422)
+
+        expect(await SmartStream.fromObject({ foo: 42 }).toObject({ schema })).to.deep.equal({ foo: 42 })
+      })
+
+      it('accepts any validate(obj) function or method', async function () {
+        const invalid = (contentType, schema) => SmartStream
+          .fromObject(obj, { contentType })
+          .toObject({ schema })
+          .then(() => null, err => err.metadata.errors)
+
+        expect(await invalid('application/msgpack', async () => ['foo is invalid'])).to.deep.equal(['foo is invalid'])
+        expect(await invalid('application/json', { validate: () => ({ error: new Error('bar is invalid') }) }))
+          .to.deep.equal(['bar is invalid'])
+        expect(await invalid('application/x-www-form-urlencoded', () => { throw new Error('baz is invalid') }))
+          .to.deep.equal(['baz is invalid'])
+        expect(await invalid('application/json', { validate: () => ({ value: obj }) })).to.equal(null)
+        expect(await invalid('application/json', () => [])).to.equal(null)
+      })
+
+      it('rejects objects for failed validation results of any shape', async function () {
+        const invalid = schema => SmartStream
+          .fromObject(obj)
+          .toObject({ schema })
+          .then(() => null, err => err.metadata.errors)
+
+        expect(await invalid(() => ({ valid: false, errors: ['bad'] }))).to.deep.equal(['bad'])
+        expect(await invalid(() => ({ success: false, error: { issues: ['worse'] } }))).to.deep.equal(['worse'])
+        expect(await invalid(() => 'foo is invalid')).to.deep.equal(['foo is invalid'])
+        expect(await invalid(() => 42)).to.deep.equal(['the validator returned an unrecognized result'])
+        expect(await invalid(() => ({ foo: 'bar' }))).to.deep.equal(['the validator returned an unrecognized result'])
+
+        expect(await invalid(() => ({ valid: true, errors: [] }))).to.equal(null)
+        expect(await invalid(() => ({ success: true, data: obj }))).to.equal(null)
+      })
+
+      it('throws an error for invalid schemas', function () {
+        const stream = SmartStream.fromObject(obj)
+        expect(() => stream.toObject({ schema: { type: 'object' } }))
+          .to.throw('schema must be a function or have a validate() method!')
+        stream.destroy()
+      })
+
+      it('rejects objects beyond the parser limits', async function () {
+        const parse = (json, props) => SmartStream
+          .fromBuffer(Buffer.from(json), { contentType: 'application/json' })
+          .toObject(props)
+          .catch(err => err)
+        const deep = '['.repeat(100) + ']'.repeat(100)
+
+        const tooDeep = await parse(deep, { maxDepth: 64 })
+        expect(tooDeep.isTooDeep).to.equal(true)
+        expect(tooDeep.metadata.maxDepth).to.equal(64)
+        expect(await parse(deep)).to.have.lengthOf(1)
+        expect((await parse('{"a":[{"b":{}}]}', { maxDepth: 3 })).metadata)
+          .to.deep.equal({ path: ['a', 0, 'b'], maxDepth: 3 })
+
+        const tooManyKeys = await parse('{"a":{"b":1,"c":2,"d":3}}', { maxKeys: 2 })
+        expect(tooManyKeys.isTooManyKeys).to.equal(true)
+        expect(tooManyKeys.metadata).to.deep.equal({ path: ['a'], keys: 3, maxKeys: 2 })
+
+        const arrayTooLong = await parse('[1,[1,2,3]]', { maxArrayLength: 2 })
+        expect(arrayTooLong.isArrayTooLong).to.equal(true)
+        expect(arrayTooLong.metadata).to.deep.equal({ path: [1], length: 3, maxArrayLength: 2 })
+
+        const stringTooLong = await parse('{"foo":"barbaz"}', { maxStringLength: 3 })
+        expect(stringTooLong.isStringTooLong).to.equal(true)
+        expect(stringTooLong.metadata).to.deep.equal({ path: ['foo'], length: 6, maxStringLength: 3 })
+        expect((await parse('{"foobar":1}', { maxStringLength: 3 })).isStringTooLong).to.equal(true)
+
+        ;[tooDeep, tooManyKeys, arrayTooLong, stringTooLong]
+          .forEach(err => expect(SmartStream.getStatusCode(err)).to.equal(413))
+      })
+
+      it('applies no limits but the depth by default', async function () {
+        const obj = Object.assign({}, ...Array.from({ length: 1500 }, (_, i) => ({ [`k${i}`]: i })))
+        expect(await SmartStream.fromObject(obj).toObject()).to.deep.equal(obj)
+
+        const depth = 1024 * 32
+        const err = await SmartStream
+          .fromBuffer(Buffer.from('['.repeat(depth) + ']'.repeat(depth)), { contentType: 'application/json' })
+          .toObject()
+          .catch(err => err)
+        expect(err.isTooDeep).to.equal(true)
+        expect(err.metadata.maxDepth).to.equal(1000)
+        expect(err.metadata.path).to.deep.equal(Array(1000).fill(0))
+
+        const deep = await SmartStream
+          .fromBuffer(Buffer.from('['.repeat(depth) + ']'.repeat(depth)), { contentType: 'application/json' })
+          .toObject({ maxDepth: Infinity })
+        expect(deep).to.have.lengthOf(1)
+      })
+
+      it('limits the keys of url-encoded objects', async function () {
+        const form = Array.from({ length: 1500 }, (_, i) => `k${i}=${i}`).join('&')
+        const parse = props => SmartStream
+          .fromBuffer(Buffer.from(form), { contentType: 'application/x-www-form-urlencoded' })
+          .toObject(props)
+          .catch(err => err)
+
+        expect(Object.keys(await parse())).to.have.lengthOf(1000)
+        expect(Object.keys(await parse({ maxKeys: 2000 }))).to.have.lengthOf(1500)
+
+        const err = await parse({ maxKeys: 1200 })
+        expect(err.isTooManyKeys).to.equal(true)
+        expect(err.metadata).to.deep.equal({ path: [], keys: 1201, maxKeys: 1200 })
+      })
+
+      it('strips prototype keys from objects', async function () {
+        const json = '{"__proto__":{"polluted":true},"a":[{"constructor":{"prototype":{"polluted":true}}}]}'
+        const parse = (buf, contentType, props) => SmartStream
+          .fromBuffer(buf, { contentType })
+          .toObject(props)
+
+        const obj = await parse(Buffer.from(json), 'application/json')
+        expect(obj).to.deep.equal({ a: [{}] })
+        expect(Object.keys(obj)).to.deep.equal(['a'])
+        expect({}.polluted).to.equal(undefined)
+
+        const unsafe = await parse(Buffer.from(json), 'application/json', { stripPrototypeKeys: false })
+        expect(Object.keys(unsafe)).to.deep.equal(['__proto__', 'a'])
+
+        const form = await parse(Buffer.from('__proto__=1&constructor=2&foo=bar'), 'application/x-www-form-urlencoded')
+        expect(Object.keys(form)).to.deep.equal(['foo'])
+
+        const msgpack = SmartStream.fromObject({ foo: 'bar' }, { contentType: 'application/msgpack' })
+        const buf = Buffer.from((await msgpack.toBuffer()).toString('hex').replace('a3666f6f', 'a95f5f70726f746f5f5f'), 'hex')
+        expect(await parse(buf, 'application/msgpack')).to.deep.equal({})
+      })
+
+      it('throws an error for invalid parser limits', function () {
+        const stream = SmartStream.fromObject(obj)
+        expect(() => stream.toObject({ maxDepth: -1 })).to.throw('-1 is an invalid maxDepth!')
+        expect(() => stream.toObject({ maxKeys: 'many' })).to.throw('many is an invalid maxKeys!')
+        stream.destroy()
+      })
+    })
+
+    describe('#charset, #toText(), #toCharset()', function () {
+      const text = (buf, contentType, props) => SmartStream
+        .fromBuffer(buf, { contentType, ...props })
+        .toText()
+
+      it('returns the charset of the content-type', function () {
+        const stream = SmartStream.fromBuffer(Buffer.from('foo'), { contentType: 'text/plain; charset="ISO-8859-1"' })
+        expect(stream.charset).to.equal('iso-8859-1')
+        expect(SmartStream.fromBuffer(Buffer.from('foo')).charset).to.equal(undefined)
+      })
+
+      it('decodes text in its charset', async function () {
+        const utf16 = Buffer.from('héllo €', 'utf16le')
+
+        expect(await text(Buffer.from('héllo €'), 'text/plain')).to.equal('héllo €')
+        expect(await text(Buffer.from('café', 'latin1'), 'text/plain; charset=iso-8859-1')).to.equal('café')
+        expect(await text(Buffer.from([0x80, 0x41]), 'text/plain; charset=windows-1252')).to.equal('€A')
+        expect(await text(Buffer.concat([Buffer.from([0xff, 0xfe]), utf16]), 'text/plain')).to.equal('héllo €')
+        expect(await text(Buffer.from(utf16).swap16(), 'text/plain; charset=utf-16')).to.equal('héllo €')
+        expect(await text(Buffer.concat([Buffer.from([0xef, 0xbb, 0xbf]), Buffer.from('hi')]), 'text/plain'))
+          .to.equal('hi')
+      })
+
+      it('enforces the limits of the stream', async function () {
+        const stream = SmartStream.create({ contentType: 'text/plain', contentEncoding: 'identity', limit: 4 })
+        const promise = stream.toText().catch(err => err)
+        stream.end(Buffer.from('Hello, World!'))
+
+        expect((await promise).isTooLarge).to.equal(true)
+      })
+
+      it('emits an error for unsupported charsets', async function () {
+        const err = await text(Buffer.from('foo'), 'text/plain; charset=x-unknown').catch(err => err)
+
+        expect(err.isUnsupported).to.equal(true)
+        expect(err.metadata).to.deep.equal({ charset: 'x-unknown' })
+      })
+
+      it('deserializes objects in their charset', async function () {
+        const json = SmartStream.fromBuffer(Buffer.from('{"name":"café"}', 'latin1'), {
+          contentType: 'application/json; charset=iso-8859-1'
+        })
+        const form = SmartStream.fromBuffer(Buffer.from('name=caf%C3%A9&city=K\u00f6ln', 'utf16le'), {
+          contentType: 'application/x-www-form-urlencoded; charset=utf-16le'
+        })
+
+        expect(await json.toObject()).to.deep.equal({ name: 'café' })
+        expect(await form.toObject()).to.deep.equal({ name: 'café', city: 'Köln' })
+      })
+
+      it('decodes neither binary objects nor unsupported charsets', async function () {
+        const msgpack = SmartStream.fromObject({ name: 'café' }, { contentType: 'application/msgpack' })
+        const buf = await msgpack.toBuffer()
+        const binary = SmartStream.fromBuffer(buf, { contentType: 'application/msgpack; charset=utf-16le' })
+        const unknown = SmartStream.fromBuffer(Buffer.from('{"name":"café"}'), {
+          contentType: 'application/json; charset=x-unknown'
+        })
+
+        expect(await binary.toObject()).to.deep.equal({ name: 'café' })
+        expect(await unknown.toObject()).to.deep.equal({ name: 'café' })
+      })
+
+      it('transcodes a stream into another charset', async function () {
+        const data = Buffer.from('café € 😀')
+        const source = SmartStream.fromStream(Readable.from([data.slice(0, 4), data.slice(4, 9), data.slice(9)]), {
+          contentType: 'text/plain; format=flowed'
+        })
+        const latin1 = source.toCharset('ISO-8859-1')
+
+        expect(latin1.toJSON()).to.deep.equal({
+          contentType: 'text/plain; format=flowed; charset=iso-8859-1',
+          contentEncoding: 'identity'
+        })
+        expect(await latin1.toBuffer()).to.deep.equal(Buffer.from('café ? ?', 'latin1'))
+
+        const utf16 = SmartStream.fromBuffer(gzipSync(data), { contentType: 'text/plain', contentEncoding: 'gzip' })
+          .toCharset('utf-16be')
+        expect(await utf16.toBuffer()).to.deep.equal(Buffer.from('café € 😀', 'utf16le').swap16())
+      })
+
+      it('throws an error for unsupported target charsets', function () {
+        const stream = SmartStream.fromBuffer(Buffer.from('foo'))
+        expect(() => stream.toCharset('windows-1252')).to.throw(SmartStreamError.ERRORS.Unsupported)
+        stream.destroy()
+      })
+    })
+
+    describe('.registerSerializer()', function () {
+      const contentType = 'application/vnd.test+lines'
+      const serializer = {
+        serialize: lines => lines.join('\n'),
+        deserialize: buf => Promise.resolve(buf.toString().split('\n'))
+      }
+
+      before(function () {
+        SmartStream.registerSerializer(contentType, serializer)
+      })
+
+      it('(de)serializes objects using registered MIME-types', async function () {
+        const lines = ['foo', 'bar', 'baz']
+        const stream = SmartStream.fromObject(lines, {
+          contentType: `${contentType}; charset=utf-8`
+        })
+
+        expect(stream.contentType).to.equal(contentType)
+        expect(stream.isDeserializable).to.equal(true)
+        expect(stream.limit).to.equal(11)
+        expect(await stream.toObject()).to.deep.equal(lines)
+
+        const empty = SmartStream.create({ contentType })
+        expect(empty.limit).to.equal(65536)
+        empty.destroy() // cleanup
+      })
+
+      it('throws an error for invalid serializers', function () {
+        expect(() => SmartStream.registerSerializer('foo/bar', serializer))
+          .to.throw('"foo/bar" is not a valid MIME type!')
+        expect(() => SmartStream.registerSerializer('text/csv; charset=utf-8', serializer))
+          .to.throw('"text/csv; charset=utf-8" is not a valid MIME type!')
+        expect(() => SmartStream.registerSerializer('text/csv', {}))
+          .to.throw('serializer for "text/csv" must implement serialize() and deserialize()!')
+      })
+    })
+
+    describe('.fromObjectStream(), #toObjectStream()', function () {
+      const collect = async stream => {
+        const records = []
+        for await (const record of stream) records.push(record)
+        return records
+      }
+
+      it('(de)serializes objects using application/ndjson', async function () {
+        const records = [{ foo: 'bar' }, [1, 2, 3], 'baz', 42]
+        const stream = SmartStream.fromObjectStream(records)
+        expect(stream.contentType).to.equal('application/ndjson')
+        expect(stream.isObjectStream).to.equal(true)
+        expect(await collect(stream.toObjectStream())).to.deep.equal(records)
+      })
+
+      it('(de)serializes events using text/event-stream', async function () {
+        const contentType = 'text/event-stream'
+        const events = [
+          { event: 'update', id: '1', data: 'line 1\nline 2' },
+          { data: { foo: 'bar' }, retry: 1000 },
+          'plain'
+        ]
+        const stream = SmartStream.fromObjectStream(events, { contentType })
+
+        expect(await collect(stream.toObjectStream())).to.deep.equal([
+          { event: 'update', id: '1', data: 'line 1\nline 2' },
+          { data: '{"foo":"bar"}', retry: 1000 },
+          { data: 'plain' }
+        ])
+      })
+
+      it('parses records split across chunks, CRLFs and comments', async function () {
+        const stream = SmartStream.create({ contentType: 'text/event-stream' })
+        stream.write(': a comment\r\nevent: pi')
+        stream.write('ng\r\ndata: 1\r\n\r\ndata')
+        stream.end(': 2')
+
+        expect(await collect(stream.toObjectStream())).to.deep.equal([
+          { event: 'ping', data: '1' },
+          { data: '2' }
+        ])
+      })
+
+      it('parses NDJSON records split across chunks, CRLFs and a final line', async function () {
+        const stream = SmartStream.create({ contentType: 'application/ndjson' })
+        stream.write('{"foo":')
+        stream.write('"bar"}\r')
+        stream.write('\n\r\n[1,')
+        stream.end('2]')
+
+        expect(await collect(stream.toObjectStream())).to.deep.equal([{ foo: 'bar' }, [1, 2]])
+      })
+
+      it('decompresses compressed object streams', async function () {
+        const records = [{ foo: 'bar' }, { bar: 'baz' }]
+        const stream = SmartStream.fromObjectStream(records, {
+          contentEncoding: 'gzip'
+        })
+
+        expect(stream.contentEncoding).to.equal('gzip')
+        expect(await collect(stream.toObjectStream())).to.deep.equal(records)
+      })
+
+      it('does not limit the size or the duration of the stream by default', async function () {
+        async function * records () {
+          yield { foo: 'bar' }
+          await new Promise(resolve => setTimeout(resolve, 300))
+          yield { bar: 'baz' }
+        }
+
+        const stream = SmartStream.fromObjectStream(records())
+        expect(stream.limit).to.equal(Infinity)
+        expect(stream.timeout).to.equal(0)
+        expect(await collect(stream.toObjectStream())).to.deep.equal([{ foo: 'bar' }, { bar: 'baz' }])
+
+        const err = await collect(SmartStream.fromObjectStream(records(), { timeout: 100, interval: 50 }).toObjectStream())
+          .catch(err => err)
+        expect(err.isTimedOut).to.equal(true)
+      })
+
+      it('validates every record against a schema', async function () {
+        const records = [{ id: 1 }, { id: 2 }, { id: 'three' }, { id: 4 }]
+        const schema = { validate: record => Number.isInteger(record.id) || ['id must be an integer'] }
+        const err = await collect(SmartStream.fromObjectStream(records).toObjectStream({ schema }))
+          .catch(err => err)
+
+        expect(err.isValidationFailed).to.equal(true)
+        expect(err.metadata).to.deep.equal({ record: 2, errors: ['id must be an integer'] })
+      })
+
+      it('emits an error when a record exceeds the record limit', function (done) {
+        const records = [{ foo: 'bar' }, { foo: 'x'.repeat(100) }]
+        SmartStream.fromObjectStream(records)
+          .toObjectStream({ recordLimit: 64 })
+          .once('error', err => {
+            expect(err.isTooLarge).to.equal(true)
+            expect(err.metadata).to.deep.equal({
+              record: 1,
+              recordLimit: 64,
+              size: 110
+            })
+            done()
+          })
+          .once('end', () => done(new Error('did not error as expected!')))
+          .resume()
+      })
+
+      it('emits an error for malformed records', function (done) {
+        SmartStream.fromBuffer(Buffer.from('{}\n{"foo":\n'), {
+          contentType: 'application/ndjson'
+        })
+          .toObjectStream()
+          .once('error', err => {
+            expect(err.isMalformed).to.equal(true)
+            expect(err.metadata).to.deep.equal({ record: 1 })
+            expect(err.cause).to.be.an.instanceof(SyntaxError)
+            expect(SmartStream.getStatusCode(err)).to.equal(400)
+            done()
+          })
+          .once('end', () => done(new Error('did not error as expected!')))
+          .resume()
+      })
+
+      it('propagates timeouts from the source stream', function (done) {
+        SmartStream.create({
+          contentType: 'application/ndjson',
+          timeout: 200,
+          interval: 50
+        })
+          .toObjectStream()
+          .once('error', err => {
+            expect(err.isTimedOut).to.equal(true)
+            done()
+          })
+          .once('end', () => done(new Error('did not error as expected!')))
+          .resume()
+      })
+
+      it('throws an error for unsupported MIME-types', function () {
+        const contentType = 'application/json'
+        expect(() => SmartStream.fromObjectStream([], { contentType }))
+          .to.throw(`unknown MIME-type "${contentType}"!`)
+        const stream = SmartStream.fromObject({})
+        expect(() => stream.toObjectStream())
+          .to.throw(`unknown MIME-type "${contentType}"!`)
+        stream.destroy() // cleanup
+      })
+    })
+
+    describe('#toLines(), #toRecords()', function () {
+      const collect = async stream => {
+        const values = []
+        for await (const value of stream) values.push(value)
+        return values
+      }
+      const fromChunks = (chunks, props) => SmartStream.fromStream(Readable.from(chunks.map(chunk => Buffer.from(chunk))), props)
+
+      it('splits lines, across chunks and with CRLF', async function () {
+        expect(await collect(fromChunks(['foo\r', '\nbar\n\nb', 'az\r\n', 'qux']).toLines()))
+          .to.deep.equal(['foo', 'bar', '', 'baz', 'qux'])
+        expect(await collect(fromChunks(['foo\n']).toLines())).to.deep.equal(['foo'])
+
+        expect(await collect(fromChunks(['foo<', '|>bar<|', '>baz<', '|', '>']).toLines({ delimiter: '<|>' })))
+          .to.deep.equal(['foo', 'bar', 'baz'])
+
+        const gzipped = SmartStream.fromBuffer(gzipSync(Buffer.from('h\u00e9\nwor\u00f1d', 'latin1')), {
+          contentType: 'text/plain; charset=iso-8859-1',
+          contentEncoding: 'gzip'
+        })
+        expect(await collect(gzipped.toLines())).to.deep.equal(['h\u00e9', 'wor\u00f1d'])
+      })
+
+      it('errors when a line is longer than the maximum', async function () {
+        expect(await collect(fromChunks(['1234\r\n', '12345']).toLines({ maxLineLength: 5 })))
+          .to.deep.equal(['1234', '12345'])
+
+        for (const chunks of [['123456\n'], ['123', '456', '789']]) {
+          const err = await collect(fromChunks(chunks).toLines({ maxLineLength: 5 })).catch(err => err)
+          expect(err.isLineTooLong).to.equal(true)
+          expect(err.metadata.line).to.equal(0)
+          expect(err.metadata.maxLineLength).to.equal(5)
+          expect(SmartStream.getStatusCode(err)).to.equal(413)
+        }
+
+        const err = await collect(fromChunks(['foo\n', 'bar\n'], { limit: 5 }).toLines()).catch(err => err)
+        expect(err.isTooLarge).to.equal(true)
+      })
+
+      it('splits fixed-size and length-prefixed records', async function () {
+        const records = await collect(fromChunks(['abc', 'defg', 'hi']).toRecords({ size: 3 }))
+        expect(records.map(record => record.toString())).to.deep.equal(['abc', 'def', 'ghi'])
+
+        const prefixed = Buffer.concat([
+          Buffer.from([0, 3]), Buffer.from('foo'),
+          Buffer.from([0, 0]),
+          Buffer.from([0, 6]), Buffer.from('barbaz')
+        ])
+        const chunks = Array.from(prefixed).map(byte => Buffer.from([byte]))
+        expect((await collect(SmartStream.fromStream(Readable.from(chunks)).toRecords({ lengthPrefix: 2 }))).map(String))
+          .to.deep.equal(['foo', '', 'barbaz'])
+
+        let err = await collect(fromChunks(['abcd']).toRecords({ size: 3 })).catch(err => err)
+        expect(err.isMalformed).to.equal(true)
+        expect(err.metadata).to.deep.equal({ record: 1, reason: 'truncated record' })
+
+        err = await collect(SmartStream.fromBuffer(prefixed).toRecords({ lengthPrefix: 2, recordLimit: 4 })).catch(err => err)
+        expect(err.isTooLarge).to.equal(true)
+        expect(err.metadata).to.deep.equal({ record: 2, recordLimit: 4, size: 6 })
+      })
+
+      it('throws an error for invalid properties', function () {
+        const stream = SmartStream.fromBuffer(Buffer.alloc(0))
+        try {
+          expect(() => stream.toLines({ delimiter: '' })).to.throw(' is an invalid delimiter!')
+          expect(() => stream.toLines({ maxLineLength: 0 })).to.throw('0 is an invalid max line length!')
+          expect(() => stream.toRecords({})).to.throw('either a size or a lengthPrefix must be specified!')
+          expect(() => stream.toRecords({ size: 1.5 })).to.throw('1.5 is an invalid record size!')
+          expect(() => stream.toRecords({ lengthPrefix: 3 })).to.throw('3 is an invalid length prefix!')
+        } finally {
+          stream.destroy()
+        }
+      })
+    })
+
+    describe('.fromRows(), #toRows()', function () {
+      const collect = async stream => {
+        const rows = []
+        for await (const row of stream) rows.push(row)
+        return rows
+      }
+      const fromChunks = (chunks, props) => SmartStream.fromStream(Readable.from(chunks.map(chunk => Buffer.from(chunk))),
+        Object.assign({ contentType: 'text/csv' }, props))
+
+      it('parses quoted fields, embedded newlines and a header row', async function () {
+        const csv = 'id,name,note\r\n1,"Doe, J",""\r\n\r\n2,"say ""hi""","multi\r\nline"\n3,x,'
+        const rows = [
+          { id: '1', name: 'Doe, J', note: '' },
+          { id: '2', name: 'say "hi"', note: 'multi\r\nline' },
+          { id: '3', name: 'x', note: '' }
+        ]
+
+        expect(await collect(fromChunks(csv.split('')).toRows())).to.deep.equal(rows)
+        expect(await SmartStream.fromBuffer(Buffer.from(`\ufeff${csv}`), { contentType: 'text/csv' }).toObject())
+          .to.deep.equal(rows)
+
+        const tsv = SmartStream.fromBuffer(gzipSync(Buffer.from('a\t"b\n1\t"2\n', 'latin1')), {
+          contentType: 'text/tab-separated-values; charset=iso-8859-1',
+          contentEncoding: 'gzip'
+        })
+        expect(await collect(tsv.toRows({ columns: ['x', 'y'] }))).to.deep.equal([
+          { x: 'a', y: '"b' },
+          { x: '1', y: '"2' }
+        ])
+
+        expect(await collect(fromChunks(['a\n""\n\nb\n""']).toRows()))
+          .to.deep.equal([{ a: '' }, { a: 'b' }, { a: '' }])
+
+        const [row] = await collect(fromChunks(['__proto__,b\n{},1']).toRows())
+        expect(Object.getPrototypeOf(row)).to.equal(Object.prototype)
+        expect(Object.keys(row)).to.deep.equal(['__proto__', 'b'])
+      })
+
+      it('errors for malformed rows, too many columns and too long fields', async function () {
+        for (const [csv, metadata] of [
+          ['a,b\n"1"x,2', { row: 1, reason: 'unexpected character after a quoted field' }],
+          ['a,b\n1",2', { row: 1, reason: 'unexpected quote in an unquoted field' }],
+          ['a,b\n"1,2', { row: 1, reason: 'unterminated quoted field' }],
+          ['a,b\n1,2,3', { row: 1, reason: 'unexpected number of fields', expected: 2, actual: 3 }],
+          ['a,a\n1,2', { row: 0, reason: 'duplicate column "a"' }]
+        ]) {
+          const err = await collect(fromChunks([csv]).toRows()).catch(err => err)
+          expect(err.isMalformed).to.equal(true)
+          expect(err.metadata).to.deep.equal(metadata)
+        }
+
+        let err = await collect(fromChunks(['a,b\n1,2\n1,2,3,4']).toRows({ maxColumns: 3 })).catch(err => err)
+        expect(err.isTooManyColumns).to.equal(true)
+        expect(err.metadata).to.deep.equal({ row: 2, maxColumns: 3 })
+        expect(SmartStream.getStatusCode(err)).to.equal(413)
+
+        err = await fromChunks(['a,b\n1,"12345', '6"']).toObject({ maxFieldSize: 5 }).catch(err => err)
+        expect(err.isFieldTooLong).to.equal(true)
+        expect(err.metadata).to.deep.equal({ row: 1, column: 1, maxFieldSize: 5 })
+        expect(SmartStream.getStatusCode(err)).to.equal(413)
+      })
+
+      it('generates CSV and TSV from rows', async function () {
+        async function * rows () {
+          yield { id: 1, name: 'Doe, J', note: 'say "hi"' }
+          yield { id: 2, name: null, note: 'multi\nline', extra: true }
+        }
+
+        const csv = SmartStream.fromRows(rows())
+        expect(csv.contentType).to.equal('text/csv')
+        expect(await csv.toBuffer().then(String))
+          .to.equal('id,name,note\r\n1,"Doe, J","say ""hi"""\r\n2,,"multi\nline"\r\n')
+
+        const gzipped = SmartStream.fromRows([['a', 1], ['b', 2]], { columns: ['x', 'y'], contentEncoding: 'gzip' })
+        expect(gzipped.contentEncoding).to.equal('gzip')
+        expect(await gzipped.toObject()).to.deep.equal([{ x: 'a', y: '1' }, { x: 'b', y: '2' }])
+
+        const tsv = SmartStream.fromRows([{ a: 'x y', b: new Date(0) }], { contentType: 'text/tab-separated-values' })
+        expect(await tsv.toBuffer().then(String)).to.equal('a\tb\nx y\t1970-01-01T00:00:00.000Z\n')
+
+        const formulas = [{ a: '=SUM(A1)', b: -1 }, { a: '@cmd', b: '+1' }, { a: '-1', b: 'a=b' }]
+        expect(await SmartStream.fromRows(formulas).toBuffer().then(String))
+          .to.equal('a,b\r\n=SUM(A1),-1\r\n@cmd,+1\r\n-1,a=b\r\n')
+        expect(await SmartStream.fromRows(formulas, { escapeFormulas: true }).toBuffer().then(String))
+          .to.equal('a,b\r\n\'=SUM(A1),-1\r\n\'@cmd,\'+1\r\n\'-1,a=b\r\n')
+
+        const err = await SmartStream.fromRows([{ a: 'x\ty' }], { contentType: 'text/tab-separated-values' })
+          .toBuffer()
+          .catch(err => err)
+        expect(err.isUnexpected).to.equal(true)
+        expect(err.cause.message).to.equal('field "x\ty" must not contain tabs or newlines!')
+      })
+
+      it('does not limit the size or the duration of the stream by default', async function () {
+        async function * rows () {
+          yield ['a', 1]
+          await new Promise(resolve => setTimeout(resolve, 300))
+          yield ['b', 2]
+        }
+
+        const csv = SmartStream.fromRows(rows())
+        expect(csv.limit).to.equal(Infinity)
+        expect(csv.timeout).to.equal(0)
+        expect(await csv.toBuffer().then(String)).to.equal('a,1\r\nb,2\r\n')
+
+        const err = await SmartStream.fromRows(rows(), { timeout: 100, interval: 50 })
+          .toBuffer()
+          .catch(err => err)
+        expect(err.isTimedOut).to.equal(true)
+      })
+
+      it('throws an error for invalid properties', function () {
+        const stream = SmartStream.fromBuffer(Buffer.alloc(0))
+        try {
+          expect(() => stream.toRows()).to.throw('unknown MIME-type "application/octet-stream"!')
+          expect(() => SmartStream.fromRows([], { contentType: 'application/json' })).to.throw('unknown MIME-type "application/json"!')
+          expect(() => SmartStream.fromRows([], { columns: 'a,b' })).to.throw('columns must be an array of strings!')
+        } finally {
+          stream.destroy()
+        }
+
+        const csv = SmartStream.fromBuffer(Buffer.alloc(0), { contentType: 'text/csv' })
+        try {
+          expect(() => csv.toRows({ columns: [1] })).to.throw('columns must be an array of strings!')
+          expect(() => csv.toRows({ maxColumns: 0 })).to.throw('0 is an invalid max columns!')
+          expect(() => csv.toRows({ maxFieldSize: -1 })).to.throw('-1 is an invalid max field size!')
+        } finally {
+          csv.destroy()
+        }
+      })
+    })
+
+    describe('#toParts()', function () {
+      const boundary = '----boundary'
+      const contentType = `multipart/form-data; boundary="${boundary}"`
+      const body = [
+        'a preamble to be ignored',
+        `--${boundary}`,
+        'Content-Disposition: form-data; name="field"',
+        '',
+        'value',
+        `--${boundary}  `,
+        'Content-Disposition: form-data; name="file"; filename="a.json"',
+        'Content-Type: application/json',
+        '',
+        '{"foo":"bar"}\r\n',
+        `--${boundary}--`,
+        'an epilogue to be ignored'
+      ].join('\r\n')
+      const collect = async (stream, props) => {
+        const parts = []
+        for await (const part of stream.toParts(props)) {
+          parts.push({
+            name: part.name,
+            filename: part.filename,
+            contentType: part.contentType,
+            headers: part.headers,
+            body: (await part.toBuffer()).toString()
+          })
+        }
+        return parts
+      }
+
+      it('splits a multipart stream into its parts', async function () {
+        // write one byte at a time to exercise boundaries split across chunks
+        const stream = SmartStream.create({ contentType })
+        for (const byte of Buffer.from(body)) stream.write(Buffer.from([byte]))
+        stream.end()
+
+        expect(await collect(stream)).to.deep.equal([{
+          name: 'field',
+          filename: undefined,
+          contentType: 'text/plain',
+          headers: { 'content-disposition': 'form-data; name="field"' },
+          body: 'value'
+        }, {
+          name: 'file',
+          filename: 'a.json',
+          contentType: 'application/json',
+          headers: {
+            'content-disposition': 'form-data; name="file"; filename="a.json"',
+            'content-type': 'application/json'
+          },
+          body: '{"foo":"bar"}\r\n'
+        }])
+      })
+
+      it('emits an error when a part exceeds the part limit', function (done) {
+        SmartStream.fromBuffer(Buffer.from(body), { contentType })
+          .toParts({ partLimit: 10 })
+          .on('data', part => part.resume())
+          .once('error', err => {
+            expect(err.isTooLarge).to.equal(true)
+            expect(err.metadata).to.deep.equal({
+              part: 1,
+              partLimit: 10,
+              size: 15
+            })
+            done()
+          })
+          .once('end', () => done(new Error('did not error as expected!')))
+      })
+
+      it('emits an error when the parts exceed the total limit', function (done) {
+        SmartStream.fromBuffer(Buffer.from(body), { contentType })
+          .toParts({ limit: 12, partLimit: 100 })
+          .on('data', part => part.resume())
+          .once('error', err => {
+            expect(err.isTooLarge).to.equal(true)
+            expect(err.metadata).to.deep.equal({ limit: 12, size: 20 })
+            done()
+          })
+          .once('end', () => done(new Error('did not error as expected!')))
+      })
+
+      it('emits an error when there are too many parts', function (done) {
+        SmartStream.fromBuffer(Buffer.from(body), { contentType })
+          .toParts({ maxParts: 1 })
+          .on('data', part => part.resume())
+          .once('error', err => {
+            expect(err.isTooManyParts).to.equal(true)
+            expect(err.metadata).to.deep.equal({ maxParts: 1 })
+            done()
+          })
+          .once('end', () => done(new Error('did not error as expected!')))
+      })
+
+      it('emits an error when the closing boundary is missing', function (done) {
+        const truncated = body.slice(0, body.indexOf(`--${boundary}--`))
+        SmartStream.fromBuffer(Buffer.from(truncated), { contentType })
+          .toParts()
+          .on('data', part => part.resume())
+          .once('error', err => {
+            expect(err.isMalformed).to.equal(true)
+            expect(err.metadata).to.deep.equal({
+              part: 2,
+              reason: 'missing closing boundary'
+            })
+            done()
+          })
+          .once('end', () => done(new Error('did not error as expected!')))
+      })
+
+      it('throws an error for non-multipart streams or missing boundaries', function () {
+        const json = SmartStream.fromObject({})
+        const mixed = SmartStream.create({ contentType: 'multipart/mixed' })
+
+        expect(() => json.toParts())
+          .to.throw('unknown MIME-type "application/json"!')
+        expect(() => mixed.toParts())
+          .to.throw('"undefined" is an invalid multipart boundary!')
+
+        json.destroy() // cleanup
+        mixed.destroy() // cleanup
+      })
+    })
+
+    describe('.fromArchive(), #toArchiveEntries()', function () {
+      const contentTypes = { tar: 'application/x-tar', zip: 'application/zip' }
+      const mtime = new Date('2020-01-02T03:04:06Z')
+      const longPath = `${'nested/'.repeat(20)}c.txt`
+      const entries = () => [
+        { path: 'a.txt', data: 'hello', mtime },
+        { path: 'dir/', mtime },
+        { path: 'dir/b.json', data: Buffer.from('{"foo":"bar"}'), mtime },
+        { path: longPath, data: Readable.from(['long ', 'path']), mtime }
+      ]
+      const pack = (format, list = entries()) => SmartStream
+        .fromArchive(list, { format })
+        .toBuffer()
+      const collect = async (stream, props) => {
+        const list = []
+        for await (const entry of stream.toArchiveEntries(props)) {
+          list.push({
+            path: entry.path,
+            type: entry.type,
+            mtime: entry.mtime.getTime(),
+            contentType: entry.contentType,
+            body: (await entry.toBuffer()).toString()
+          })
+        }
+        return list
+      }
+      const expected = [
+        { path: 'a.txt', type: 'file', mtime: mtime.getTime(), contentType: 'text/plain', body: 'hello' },
+        { path: 'dir', type: 'directory', mtime: mtime.getTime(), contentType: 'application/octet-stream', body: '' },
+        { path: 'dir/b.json', type: 'file', mtime: mtime.getTime(), contentType: 'application/json', body: '{"foo":"bar"}' },
+        { path: longPath, type: 'file', mtime: mtime.getTime(), contentType: 'text/plain', body: 'long path' }
+      ]
+
+      ;['tar', 'zip'].forEach(format => {
+        it(`writes and splits ${format} archives`, async function () {
+          const buf = await pack(format)
+
+          // write one byte at a time to exercise headers split across chunks
+          const stream = SmartStream.create({ contentType: contentTypes[format] })
+          for (const byte of buf) stream.write(Buffer.from([byte]))
+          stream.end()
+
+          try {
+            expect(await collect(stream)).to.deep.equal(expected)
+          } finally {
+            stream.destroy() // cleanup
+          }
+        })
+      })
+
+      it('splits compressed archives', async function () {
+        const buf = gzipSync(await pack('tar'))
+        const stream = SmartStream.fromBuffer(buf, { contentType: 'application/x-tar', contentEncoding: 'gzip' })
+
+        expect(await collect(stream)).to.deep.equal(expected)
+      })
+
+      it('splits gzip-compressed tar archives without a content-encoding', async function () {
+        const buf = gzipSync(await pack('tar'))
+
+        for (const contentType of ['application/gzip', 'application/x-gzip']) {
+          expect(await collect(SmartStream.fromBuffer(buf, { contentType }))).to.deep.equal(expected)
+        }
+        expect(await collect(SmartStream.fromBuffer(buf), { format: 'tar' })).to.deep.equal(expected)
+
+        const err = await collect(SmartStream.fromBuffer(Buffer.concat([buf.slice(0, 20), Buffer.alloc(100)]), {
+          contentType: 'application/gzip'
+        })).catch(err => err)
+        expect(err.isMalformed).to.equal(true)
+      })
+
+      it('writes the entries of another archive', async function () {
+        const tar = SmartStream.fromBuffer(await pack('tar'), { contentType: 'application/x-tar' })
+        const zip = SmartStream.fromArchive(tar.toArchiveEntries(), { format: 'zip' })
+
+        expect(zip.contentType).to.equal('application/zip')
+        expect(await collect(zip)).to.deep.equal(expected)
+      })
+
+      it('emits an error for entries outside of the root directory', async function () {
+        // Rewrite the path of the entry, in both the local header and the central directory
+        const buf = await pack('zip', [{ path: 'xx/evil.txt', data: 'evil' }])
+        for (let i = buf.indexOf('xx/evil.txt'); i !== -1; i = buf.indexOf('xx/evil.txt', i)) {
+          buf.write('..', i)
+        }
+
+        const err = await collect(SmartStream.fromBuffer(buf, { contentType: 'application/zip' }))
+          .catch(err => err)
+        expect(err.isUnsafePath).to.equal(true)
+        expect(err.metadata).to.deep.equal({ path: '../evil.txt' })
+        expect(SmartStream.getStatusCode(err)).to.equal(400)
+
+        for (const path of ['/etc/passwd', 'a/../../b', 'C:\\evil.txt']) {
+          const err = await pack('tar', [{ path, data: 'evil' }]).catch(err => err)
+          expect(err.isUnsafePath).to.equal(true)
+        }
+      })
+
+      it('emits an error when there are too many entries', async function () {
+        const stream = SmartStream.fromBuffer(await pack('tar'), { contentType: 'application/x-tar' })
+        const err = await collect(stream, { maxEntries: 2 }).catch(err => err)
+
+        expect(err.isTooManyParts).to.equal(true)
+        expect(err.metadata).to.deep.equal({ archive: 'tar', maxEntries: 2 })
+      })
+
+      it('emits an error when the entries exceed the maximum size', async function () {
+        const buf = await pack('zip', [{ path: 'zeros.bin', data: Buffer.alloc(1024 * 1024) }])
+        const err = await collect(SmartStream.fromBuffer(buf, { contentType: 'application/zip' }), { maxSize: 1000 })
+          .catch(err => err)
+
+        expect(buf.length).to.be.below(2048)
+        expect(err.isCompressionBomb).to.equal(true)
+        expect(err.metadata).to.include({ archive: 'zip', path: 'zeros.bin', maxSize: 1000 })
+      })
+
+      it('bounds gzip-compressed tar archives by the limits of the stream', async function () {
+        const buf = gzipSync(Buffer.alloc(1024 * 1024 * 20))
+
+        for (const props of [{ decompressedLimit: 1024 * 1024 }, { maxExpansionRatio: 10 }]) {
+          const stream = SmartStream.fromBuffer(buf, { contentType: 'application/gzip', ...props })
+          const err = await collect(stream).catch(err => err)
+          expect(err.isCompressionBomb).to.equal(true)
+          expect(err.metadata.contentEncoding).to.equal('gzip')
+        }
+      })
+
+      it('counts skipped entries and data after the end of the archive towards the maximum size', async function () {
+        // Turn the file into a FIFO, whose data is skipped
+        const fifo = await pack('tar', [{ path: 'zeros.bin', data: Buffer.alloc(4096) }])
+        fifo[156] = '6'.charCodeAt(0)
+        fifo.fill(0x20, 148, 156)
+        fifo.write(fifo.slice(0, 512).reduce((sum, byte) => sum + byte, 0).toString(8).padStart(6, '0') + '\0', 148)
+
+        expect(await collect(SmartStream.fromBuffer(fifo, { contentType: 'application/x-tar' }))).to.deep.equal([])
+        let err = await collect(SmartStream.fromBuffer(fifo, { contentType: 'application/x-tar' }), { maxSize: 1000 })
+          .catch(err => err)
+        expect(err.isCompressionBomb).to.equal(true)
+        expect(err.metadata).to.include({ archive: 'tar', maxSize: 1000 })
+
+        const tar = await pack('tar')
+        expect(await collect(SmartStream.fromBuffer(Buffer.concat([tar, Buffer.alloc(9216)]), {
+          contentType: 'application/x-tar'
+        }), { maxSize: 1000 })).to.deep.equal(expected)
+
+        err = await collect(SmartStream.fromBuffer(Buffer.concat([tar, Buffer.alloc(1024 * 1024)]), {
+          contentType: 'application/x-tar'
+        }), { maxSize: 1000 }).catch(err => err)
+        expect(err.isCompressionBomb).to.equal(true)
+        expect(err.metadata).to.include({ archive: 'tar', maxSize: 1000 })
+      })
+
+      it('emits an error for truncated archives', async function () {
+        const buf = await pack('zip')
+        const err = await collect(SmartStream.fromBuffer(buf.slice(0, 100), { contentType: 'application/zip' }))
+          .catch(err => err)
+
+        expect(err.isMalformed).to.equal(true)
+        expect(err.metadata.reason).to.equal('unexpected end of archive')
+      })
+
+      it('throws an error for non-archive streams or invalid formats', function () {
+        const json = SmartStream.fromObject({})
+
+        expect(() => json.toArchiveEntries())
+          .to.throw('unknown MIME-type "application/json"!')
+        expect(() => json.toArchiveEntries({ format: 'rar' }))
+          .to.throw('"rar" is an invalid archive format!')
+        expect(() => SmartStream.fromArchive([], { format: 'rar' }))
+          .to.throw('"rar" is an invalid archive format!')
+
+        json.destroy() // cleanup
+      })
+    })
+
+    describe('.fromRequest(), #pipeToResponse()', function () {
+      let server = null
+      const listen = handler => new Promise(resolve => {
+        server = http.createServer(handler).listen(0, '127.0.0.1', resolve)
+      })
+      const request = (options, body) => new Promise((resolve, reject) => {
+        const { port } = server.address()
+        http.request({ host: '127.0.0.1', port, method: 'POST', ...options }, res => {
+          const chunks = []
+          res
+            .on('data', chunk => chunks.push(chunk))
+            .once('end', () => resolve({
+              statusCode: res.statusCode,
+              headers: res.headers,
+              body: Buffer.concat(chunks)
+            }))
+        })
+          .once('error', reject)
+          .end(body)
+      })
+
+      afterEach(function (done) {
+        server == null ? done() : server.close(done)
+        server = null
+      })
+
+      it('creates a stream from the headers of a request', async function () {
+        const obj = { foo: 'bar' }
+        await listen(async (req, res) => {
+          const stream = SmartStream.fromRequest(req, { limit: 1024 })
+          expect(stream.toJSON()).to.deep.equal({
+            contentType: 'application/json; charset=utf-8',
+            contentEncoding: 'gzip',
+            contentLength: Number(req.headers['content-length'])
+          })
+          expect(stream.limit).to.equal(1024)
+          res.end(JSON.stringify(await stream.toObject()))
+        })
+
+        const { body } = await request({
+          headers: {
+            'Content-Type': 'application/json; charset=utf-8',
+            'Content-Encoding': 'GZIP'
+          }
+        }, gzipSync(JSON.stringify(obj)))
+        expect(JSON.parse(body)).to.deep.equal(obj)
+      })
+
+      it('throws an error for unsupported MIME-types and encodings', async function () {
+        await listen((req, res) => {
+          try {
+            SmartStream.fromRequest(req)
+          } catch (err) {
+            expect(err.isUnsupported).to.equal(true)
+            res.statusCode = SmartStream.getStatusCode(err)
+            res.end(JSON.stringify(err.metadata))
+          }
+        })
+
+        const responses = await Promise.all([
+          request({ headers: { 'Content-Type': 'foo/bar' } }),
+          request({ headers: { 'Content-Encoding': 'gzip, br' } })
+        ])
+        expect(responses.map(res => res.statusCode)).to.deep.equal([415, 415])
+        expect(responses.map(res => JSON.parse(res.body))).to.deep.equal([
+          { contentType: 'foo/bar', contentEncoding: 'identity' },
+          { contentType: 'application/octet-stream', contentEncoding: 'gzip, br' }
+        ])
+      })
+
+      it('sets the headers and negotiates the encoding of a response', async function () {
+        const obj = { foo: 'bar' }
+        await listen((req, res) => {
+          res.setHeader('Vary', 'Origin')
+          SmartStream.fromObject(obj).pipeToResponse(res, {
+            acceptEncoding: req.headers['accept-encoding']
+          })
+        })
+
+        const gzipped = await request({
+          headers: { 'Accept-Encoding': 'br;q=0.5, gzip, identity;q=0' }
+        })
+        expect(gzipped.statusCode).to.equal(200)
+        expect(gzipped.headers).to.include({
+          'content-type': 'application/json',
+          'content-encoding': 'gzip',
+          vary: 'Origin, Accept-Encoding'
+        })
+        expect(gzipped.headers).to.not.have.property('content-length')
+        expect(JSON.parse(gunzipSync(gzipped.body))).to.deep.equal(obj)
+
+        const plain = await request({ headers: { 'Accept-Encoding': 'gzip;q=0' } })
+        expect(plain.headers).to.include({ 'content-length': '13' })
+        expect(plain.headers).to.not.have.property('content-encoding')
+        expect(JSON.parse(plain.body)).to.deep.equal(obj)
+      })
+
+      it('maps errors to status codes', async function () {
+        let result = null
+        await listen((req, res) => {
+          result = SmartStream
+            .fromRequest(req, { limit: 10 })
+            .pipeToResponse(res)
+            .catch(err => err)
+        })
+
+        const res = await request({}, Buffer.alloc(100))
+        expect(res.statusCode).to.equal(413)
+        expect(JSON.parse(res.body)).to.deep.equal({
+          code: 'TooLarge',
+          message: SmartStreamError.ERRORS.TooLarge
+        })
+        expect((await result).isTooLarge).to.equal(true)
+      })
+
+      it('responds to byte-ranges with partial content', async function () {
+        const filePath = join(__dirname, 'fixtures', 'image.jpg')
+        await listen(async (req, res) => {
+          const stream = await SmartStream.fromFileWithRange(filePath, req.headers.range)
+          stream.pipeToResponse(res, { acceptEncoding: 'gzip' })
+        })
+
+        const res = await request({ method: 'GET', headers: { Range: 'bytes=10-19' } })
+        expect(res.statusCode).to.equal(206)
+        expect(res.headers).to.include({
+          'content-type': 'image/jpeg',
+          'content-length': '10',
+          'content-range': 'bytes 10-19/1723373'
+        })
+        expect(res.body).to.deep.equal(readFileSync(filePath).slice(10, 20))
+      })
+
+      it('returns the status codes for errors', function () {
+        expect(SmartStream.getStatusCode(SmartStreamError.TooLarge())).to.equal(413)
+        expect(SmartStream.getStatusCode(SmartStreamError.TimedOut())).to.equal(408)
+        expect(SmartStream.getStatusCode(SmartStreamError.Unsatisfiable())).to.equal(416)
+        expect(SmartStream.getStatusCode(SmartStreamError.Unexpected())).to.equal(500)
+        expect(SmartStream.getStatusCode(new Error('foo'))).to.equal(500)
+      })
+    })
+
+    describe('#negotiate()', function () {
+      const obj = { foo: 'bar' }
+      const filePath = join(__dirname, 'fixtures', 'image.jpg')
+
+      it('re-serializes deserializable streams into the best MIME-type', async function () {
+        const stream = await SmartStream.fromObject(obj).negotiate({
+          accept: 'text/html, application/msgpack;q=0.9, application/json;q=0.5',
+          acceptEncoding: 'gzip'
+        })
+
+        expect(stream.contentType).to.equal('application/msgpack')
+        expect(stream.contentEncoding).to.equal('gzip')
+        expect(await stream.toObject()).to.deep.equal(obj)
+      })
+
+      it('prefers the current representation among equals', async function () {
+        const source = SmartStream.fromObject(obj)
+        const target = await source.negotiate({
+          accept: 'application/msgpack, */*',
+          acceptEncoding: 'gzip, identity'
+        })
+
+        expect(target).to.equal(source)
+        expect(await target.toObject()).to.deep.equal(obj)
+      })
+
+      it('re-encodes byte streams of an acceptable MIME-type', async function () {
+        const stream = await SmartStream.fromFile(filePath).negotiate({
+          accept: 'image/*',
+          acceptEncoding: 'identity;q=0.5, br'
+        })
+
+        expect(stream.contentType).to.equal('image/jpeg')
+        expect(stream.contentEncoding).to.equal('br')
+        expect(await stream.toBuffer(true)).to.deep.equal(readFileSync(filePath))
+      })
+
+      it('returns null when nothing is acceptable', async function () {
+        const image = SmartStream.fromFile(filePath)
+        const json = SmartStream.fromObject(obj)
+
+        expect(await image.negotiate({ accept: 'image/png, application/*' })).to.equal(null)
+        expect(await json.negotiate({ acceptEncoding: 'identity;q=0' })).to.equal(null)
+        expect(await json.negotiate({ accept: 'application/json;q=0, application/*' }))
+          .to.not.equal(null)
+
+        image.destroy() // cleanup
+        json.destroy() // cleanup
+      })
+    })
+
+    describe('.fromFile()', function () {
+      it('creates a stream a file', function (done) {
+        const filePath = join(__dirname, 'fixtures', 'image.jpg')
+        const fileContents = readFileSync(filePath)
+        const stream = SmartStream.fromFile(filePath)
+
+        expect(stream.contentType).to.equal('image/jpeg')
+        expect(stream.contentEncoding).to.equal('identity')
+
+        stream
+          .toBuffer(true)
+          .then(buf => expect(buf).to.deep.equal(fileContents))
+          .then(() => done())
+          .catch(err => done(err))
+      })
+    })
+
+    describe('.fromFileWithLength()', function () {
+      it('creates a stream from a file, including its length', function (done) {
+        const filePath = join(__dirname, 'fixtures', 'image.jpg')
+        const fileContents = readFileSync(filePath)
+
+        SmartStream.fromFileWithLength(filePath)
+          .then(stream => {
+            expect(stream.contentType).to.equal('image/jpeg')
+            expect(stream.contentEncoding).to.equal('identity')
+            expect(stream.contentLength).to.equal(1723373)
+
+            stream
+              .toBuffer(true)
+              .then(buf => expect(buf).to.deep.equal(fileContents))
+              .then(() => done())
+              .catch(err => done(err))
+          })
+          .catch(done)
+      })
+    })
+
+    describe('.parseRange(), #slice(), .fromFileWithRange()', function () {
+      const filePath = join(__dirname, 'fixtures', 'image.jpg')
+      const fileContents = readFileSync(filePath)
+
+      it('parses a Range header', function () {
+        expect(SmartStream.parseRange('bytes=0-499', 1000)).to.deep.equal([{ start: 0, end: 500 }])
+        expect(SmartStream.parseRange('bytes=500-', 1000)).to.deep.equal([{ start: 500, end: 1000 }])
+        expect(SmartStream.parseRange('bytes=-100', 1000)).to.deep.equal([{ start: 900, end: 1000 }])
+        expect(SmartStream.parseRange('bytes=900-2000, 0-9', 1000)).to.deep.equal([
+          { start: 0, end: 10 },
+          { start: 900, end: 1000 }
+        ])
+        expect(SmartStream.parseRange('bytes=0-9, 5-19, 20-29, 2000-', 1000)).to.deep.equal([
+          { start: 0, end: 30 }
+        ])
+      })
+
+      it('ignores invalid Range headers', function () {
+        expect(SmartStream.parseRange('items=0-9', 1000)).to.equal(null)
+        expect(SmartStream.parseRange('bytes=9-0', 1000)).to.equal(null)
+        expect(SmartStream.parseRange('bytes=-', 1000)).to.equal(null)
+        expect(SmartStream.parseRange('bytes=0-0,2-2,4-4', 1000, 2)).to.equal(null)
+      })
+
+      it('throws an error for unsatisfiable ranges', function () {
+        expect(() => SmartStream.parseRange('bytes=1000-, -0', 1000))
+          .to.throw(SmartStreamError.ERRORS.Unsatisfiable)
+          .with.property('metadata')
+          .that.deep.equals({ range: 'bytes=1000-, -0', size: 1000 })
+      })
+
+      it('slices a stream', async function () {
+        const data = Buffer.from('Hello, World!')
+        const slice = SmartStream.fromBuffer(data).slice(7, 100)
+
+        expect(slice.toJSON()).to.deep.equal({
+          contentType: 'application/octet-stream',
+          contentEncoding: 'identity',
+          contentLength: 6,
+          contentRange: 'bytes 7-12/13'
+        })
+        expect(await slice.toBuffer()).to.deep.equal(Buffer.from('World!'))
+
+        const stream = SmartStream.create({ contentEncoding: 'identity' })
+        const tail = stream.slice(7)
+        stream.end(data)
+        expect(tail.contentLength).to.equal(undefined)
+        expect(await tail.toBuffer()).to.deep.equal(Buffer.from('World!'))
+      })
+
+      it('creates a stream from a range of a file', async function () {
+        const stream = SmartStream.fromFile(filePath, { range: { start: 100, end: 200 } })
+
+        expect(stream.contentLength).to.equal(100)
+        expect(await stream.toBuffer()).to.deep.equal(fileContents.slice(100, 200))
+
+        for (const range of [{ start: 0, end: 0 }, { start: 100, end: 100 }]) {
+          const empty = SmartStream.fromFile(filePath, { range })
+          expect(await empty.toBuffer()).to.deep.equal(Buffer.alloc(0))
+        }
+      })
+
+      it('limits a stream of a range of a file to the length of the range', async function () {
+        const path = join(tmpdir(), `smart-stream-range-${process.pid}.bin`)
+        writeFileSync(path, '')
+        truncateSync(path, 1024 * 1024 * 11)
+
+        try {
+          const stream = SmartStream.fromFile(path, { range: { start: 1, end: 1024 * 1024 * 11 } })
+          expect((await stream.toBuffer()).length).to.equal(1024 * 1024 * 11 - 1)
+        } finally {
+          unlinkSync(path)
+        }
+      })
+
+      it('creates a stream from a file, in response to a Range header', async function () {
+        const whole = await SmartStream.fromFileWithRange(filePath, 'bytes=0-')
+        expect(whole.contentRange).to.equal('bytes 0-1723372/1723373')
+        expect(await whole.toBuffer()).to.deep.equal(fileContents)
+
+        const ignored = await SmartStream.fromFileWithRange(filePath, 'lines=1-2')
+        expect(ignored.contentRange).to.equal(undefined)
+        expect(ignored.contentLength).to.equal(1723373)
+        ignored.destroy()
+
+        const stream = await SmartStream.fromFileWithRange(filePath, 'bytes=0-9, -10')
+        expect(stream.contentType).to.equal('multipart/byteranges')
+
+        const parts = []
+        for await (const part of stream.toParts()) {
+          parts.push([part.headers['content-range'], await part.toBuffer()])
+        }
+
+        expect(stream.size).to.equal(stream.contentLength)
+        expect(parts).to.deep.equal([
+          ['bytes 0-9/1723373', fileContents.slice(0, 10)],
+          ['bytes 1723363-1723372/1723373', fileContents.slice(-10)]
+        ])
+      })
+
+      it('creates a stream from an empty file, with or without a range', async function () {
+        const path = join(tmpdir(), `smart-stream-empty-${process.pid}.bin`)
+        writeFileSync(path, '')
+
+        try {
+          for (const stream of [
+            await SmartStream.fromFileWithRange(path),
+            await SmartStream.fromFileWithRange(path, 'lines=1-2'),
+            await SmartStream.fromFileWithLength(path),
+            SmartStream.fromFile(path, { range: { start: 0, end: 0 } })
+          ]) {
+            expect(await stream.toBuffer()).to.deep.equal(Buffer.alloc(0))
+          }
+
+          const err = await SmartStream.fromFileWithRange(path, 'bytes=0-').catch(err => err)
+          expect(err.isUnsatisfiable).to.equal(true)
+        } finally {
+          unlinkSync(path)
+        }
+      })
+
+      it('rejects unsatisfiable ranges', async function () {
+        const err = await SmartStream.fromFileWithRange(filePath, 'bytes=2000000-').catch(err => err)
+        expect(err.isUnsatisfiable).to.equal(true)
+      })
+
+      it('throws an error for ranges of compressed or invalid streams', async function () {
+        expect(() => SmartStream.fromFile(`${filePath}.gz`, { range: { start: 0, end: 10 } }))
+          .to.throw('cannot read a range of a "gzip"-encoded file!')
+        expect(await SmartStream.fromFileWithRange(`${filePath}.gz`, 'bytes=0-9').catch(err => err))
+          .to.be.an.instanceof(TypeError)
+
+        const stream = SmartStream.create({ contentEncoding: 'gzip' })
+        expect(() => stream.slice(0, 10)).to.throw('cannot slice a "gzip"-encoded stream!')
+        stream.destroy()
+
+        const plain = SmartStream.create({ contentEncoding: 'identity' })
+        expect(() => plain.slice(10, 5)).to.throw('10-5 is an invalid range!')
+        expect(() => plain.slice(-1)).to.throw('-1-undefined is an invalid range!')
+        plain.destroy()
+      })
+    })
+
+    describe('#tee()', function () {
+      const chunk = Buffer.alloc(64 * 1024, 1)
+      const source = () => SmartStream.fromStream(Readable.from(function * () {
+        for (let i = 0; i < 16; i++) yield chunk
+      }()), { contentType: 'image/png', contentLength: 16 * chunk.length, limit: Infinity })
+
+      it('forks a stream into branches with the same headers', async function () {
+        const stream = SmartStream.fromBuffer(Buffer.from('Hello, World!'), { contentType: 'text/plain' })
+        const branches = stream.tee(3)
+
+        expect(branches).to.have.lengthOf(3)
+        branches.forEach(branch => expect(branch.toJSON()).to.deep.equal(stream.toJSON()))
+        expect((await Promise.all(branches.map(branch => branch.toBuffer()))).map(String))
+          .to.deep.equal(['Hello, World!', 'Hello, World!', 'Hello, World!'])
+      })
+
+      it('backpressures the source on the slowest branch', async function () {
+        const stream = source()
+        const [fast, slow] = stream.tee(2, { bufferLimit: 128 * 1024 })
+
+        const buffers = [fast.toBuffer()]
+        await new Promise(resolve => setTimeout(resolve, 100))
+        expect(stream.size).to.be.below(8 * chunk.length)
+
+        buffers.push(slow.toBuffer())
+        for (const buf of await Promise.all(buffers)) {
+          expect(buf.length).to.equal(16 * chunk.length)
+        }
+      })
+
+      it('fails all branches when one of them errors', async function () {
+        const stream = source()
+        const [a, b] = stream.tee(2)
+
+        a.destroy(SmartStreamError.Malformed())
+        const err = await b.toBuffer().catch(err => err)
+        expect(err.isMalformed).to.equal(true)
+        expect(stream.destroyed).to.equal(true)
+      })
+
+      it('detaches a failing branch', async function () {
+        const stream = source()
+        const [a, b] = stream.tee(2, { onError: 'detach' })
+
+        a.once('error', () => {}).destroy(SmartStreamError.Malformed())
+        expect((await b.toBuffer()).length).to.equal(16 * chunk.length)
+      })
+
+      it('destroys the source once every branch is closed', async function () {
+        const stream = source()
+        stream.tee(2).forEach(branch => branch.destroy())
+
+        const err = await new Promise(resolve => stream.once('error', resolve))
+        expect(err.isUnexpected).to.equal(true)
       })
 
-      it('throws an error for unsupported MIME-types', function () {
-        UNSUPPORTED_TYPES.forEach(contentType => {
-          const testFn = () => SmartStream.fromObject(obj, { contentType })
-          expect(testFn).to.throw(`unknown MIME-type "${contentType}"!`)
-        })
+      it('throws an error for invalid arguments', function () {
+        const stream = SmartStream.create({ contentEncoding: 'identity' })
+        expect(() => stream.tee(0)).to.throw('0 is an invalid number of branches!')
+        expect(() => stream.tee(2, { bufferLimit: -1 })).to.throw('-1 is an invalid buffer limit!')
+        expect(() => stream.tee(2, { onError: 'ignore' })).to.throw('"ignore" is an invalid error policy!')
+        stream.destroy()
       })
     })
 
-    describe('.fromFile()', function () {
-      it('creates a stream a file', function (done) {
-        const filePath = join(__dirname, 'fixtures', 'image.jpg')
-        const fileContents = readFileSync(filePath)
-        const stream = SmartStream.fromFile(filePath)
+    describe('.concat()', function () {
+      const filePath = join(__dirname, 'fixtures', 'image.jpg')
 
-        expect(stream.contentType).to.equal('image/jpeg')
-        expect(stream.contentEncoding).to.equal('identity')
+      it('reads multiple sources, one after another', async function () {
+        const stream = SmartStream.concat([
+          Buffer.from('foo'),
+          SmartStream.fromBuffer(Buffer.from('bar')),
+          Readable.from([Buffer.from('baz')])
+        ], { contentType: 'text/plain' })
 
-        stream
-          .toBuffer(true)
-          .then(buf => expect(buf).to.deep.equal(fileContents))
-          .then(() => done())
-          .catch(err => done(err))
+        expect(stream.toJSON()).to.deep.equal({
+          contentType: 'text/plain',
+          contentEncoding: 'identity'
+        })
+        expect(String(await stream.toBuffer())).to.equal('foobarbaz')
       })
-    })
 
-    describe('.fromFileWithLength()', function () {
-      it('creates a stream from a file, including its length', function (done) {
-        const filePath = join(__dirname, 'fixtures', 'image.jpg')
-        const fileContents = readFileSync(filePath)
+      it('sums the lengths of the sources when all are known', async function () {
+        const stream = SmartStream.concat([
+          Buffer.from('foo'),
+          await SmartStream.fromFileWithLength(filePath)
+        ])
 
-        SmartStream.fromFileWithLength(filePath)
-          .then(stream => {
-            expect(stream.contentType).to.equal('image/jpeg')
-            expect(stream.contentEncoding).to.equal('identity')
-            expect(stream.contentLength).to.equal(1723373)
+        expect(stream.contentLength).to.equal(1723376)
+        expect(await stream.toBuffer()).to.deep.equal(Buffer.concat([
+          Buffer.from('foo'),
+          readFileSync(filePath)
+        ]))
 
-            stream
-              .toBuffer(true)
-              .then(buf => expect(buf).to.deep.equal(fileContents))
-              .then(() => done())
-              .catch(err => done(err))
-          })
-          .catch(done)
+        const withPath = SmartStream.concat([Buffer.from('foo'), filePath], { limit: Infinity })
+        expect(withPath.contentLength).to.equal(undefined)
+        expect((await withPath.toBuffer()).length).to.equal(1723376)
+      })
+
+      it('enforces the limit across all sources', async function () {
+        const stream = SmartStream.concat([filePath, filePath], { limit: 2000000 })
+        const err = await stream.toBuffer().catch(err => err)
+
+        expect(err.isTooLarge).to.equal(true)
+      })
+
+      it('emits an error if any source errors', async function () {
+        const pending = SmartStream.fromBuffer(Buffer.from('bar'))
+        const stream = SmartStream.concat([
+          Buffer.from('foo'),
+          join(__dirname, 'fixtures', 'missing.jpg'),
+          pending
+        ])
+
+        const err = await stream.toBuffer().catch(err => err)
+        expect(err.isUnexpected).to.equal(true)
+        expect(err.cause.code).to.equal('ENOENT')
+        expect(pending.destroyed).to.equal(true)
+      })
+
+      it('throws an error for invalid sources', function () {
+        expect(() => SmartStream.concat('foo')).to.throw('sources must be an array!')
+        expect(() => SmartStream.concat([42])).to.throw('42 is an invalid source!')
       })
     })
 
@@ -251,6 +1798,248 @@ describe('SmartStream', function () {
         source.on('data', () => source.destroy(new Error(msg)))
       })
     })
+
+    describe('async iteration, #toWebStream(), .fromWebStream()', function () {
+      const { ReadableStream } = global
+      const readWebStream = async webStream => {
+        const chunks = []
+        const reader = webStream.getReader()
+        for (let result = await reader.read(); !result.done; result = await reader.read()) {
+          chunks.push(Buffer.from(result.value))
+        }
+        return Buffer.concat(chunks)
+      }
+
+      beforeEach(function () {
+        // WHATWG streams are only available as of Node.js v16.5
+        if (ReadableStream == null) this.skip()
+      })
+
+      it('iterates over the chunks with `for await`', async function () {
+        const chunks = []
+        for await (const chunk of SmartStream.fromStream(Readable.from([Buffer.from('foo'), Buffer.from('bar')]))) {
+          chunks.push(chunk)
+        }
+        expect(Buffer.concat(chunks).toString()).to.equal('foobar')
+
+        const err = await (async () => {
+          for await (const chunk of SmartStream.fromStream(Readable.from([Buffer.alloc(10)]), { limit: 5 })) {
+            expect(chunk).to.equal(null)
+          }
+        })().catch(err => err)
+        expect(err.isTooLarge).to.equal(true)
+
+        const source = new Readable({ read () { this.push('foo') } })
+        const stream = SmartStream.fromStream(source)
+        // `break`ing out of the loop returns the iterator
+        const iterator = stream[Symbol.asyncIterator]()
+        expect((await iterator.next()).value.toString()).to.match(/^foo/)
+        await iterator.return()
+        await new Promise(resolve => setImmediate(resolve))
+        expect(stream.destroyed).to.equal(true)
+        expect(source.destroyed).to.equal(true)
+      })
+
+      it('bridges a SmartStream into a web stream', async function () {
+        const buf = gzipSync('hello world')
+        const stream = SmartStream.fromBuffer(buf, { contentEncoding: 'gzip' })
+        const decompressed = SmartStream.fromBuffer(buf, { contentEncoding: 'gzip' })
+
+        expect(await readWebStream(stream.toWebStream())).to.deep.equal(buf)
+        expect((await readWebStream(decompressed.toWebStream({ autoDecompress: true }))).toString())
+          .to.equal('hello world')
+      })
+
+      it('errors the web stream with the errors of the SmartStream', async function () {
+        const stream = SmartStream.fromStream(Readable.from([Buffer.alloc(10)]), { limit: 5 })
+        const err = await readWebStream(stream.toWebStream()).catch(err => err)
+
+        expect(err.isTooLarge).to.equal(true)
+      })
+
+      it('destroys the SmartStream when the web stream is cancelled', async function () {
+        const source = new Readable({ read () { this.push('foo') } })
+        const stream = SmartStream.fromStream(source)
+        await stream.toWebStream().cancel()
+        await new Promise(resolve => setImmediate(resolve))
+
+        expect(stream.destroyed).to.equal(true)
+        expect(source.destroyed).to.equal(true)
+      })
+
+      it('creates a SmartStream from a web stream', async function () {
+        const webStream = new ReadableStream({
+          start (controller) {
+            controller.enqueue(new TextEncoder().encode('{"foo":'))
+            controller.enqueue(new TextEncoder().encode('"bar"}'))
+            controller.close()
+          }
+        })
+        const stream = SmartStream.fromWebStream(webStream, { contentType: 'application/json', contentLength: 13 })
+
+        expect(stream.contentType).to.equal('application/json')
+        expect(stream.contentLength).to.equal(13)
+        expect(await stream.toObject()).to.deep.equal({ foo: 'bar' })
+      })
+
+      it('cancels the web stream when the SmartStream is destroyed', async function () {
+        let reason = null
+        const webStream = new ReadableStream({
+          pull (controller) {
+            controller.enqueue(new Uint8Array(4))
+          },
+          cancel (err) {
+            reason = err
+          }
+        })
+
+        const err = await SmartStream.fromWebStream(webStream, { limit: 10 }).toBuffer().catch(err => err)
+        await new Promise(resolve => setImmediate(resolve))
+
+        expect(err.isTooLarge).to.equal(true)
+        expect(reason.isTooLarge).to.equal(true)
+      })
+
+      it('accepts array buffers and errors on other chunks', async function () {
+        const webStream = chunks => new ReadableStream({
+          start (controller) {
+            chunks.forEach(chunk => controller.enqueue(chunk))
+            controller.close()
+          }
+        })
+
+        const buf = await SmartStream.fromWebStream(webStream([new TextEncoder().encode('foo').buffer, 'bar'])).toBuffer()
+        expect(buf.toString()).to.equal('foobar')
+
+        const err = await SmartStream.fromWebStream(webStream(['foo', 42])).toBuffer().catch(err => err)
+        expect(err.isUnexpected).to.equal(true)
+        expect(err.cause.message).to.equal('42 is an invalid chunk!')
+      })
+
+      it('throws an error for anything other than web streams', function () {
+        expect(() => SmartStream.fromWebStream(Readable.from([])))
+          .to.throw('webStream must be a WHATWG ReadableStream!')
+      })
+    })
+
+    describe('#toEncrypted(), #toDecrypted()', function () {
+      const key = randomBytes(32)
+      const encrypt = (buf, props, streamProps) => SmartStream
+        .fromBuffer(buf, Object.assign({ contentType: 'application/json' }, streamProps))
+        .toEncrypted(Object.assign({ key }, props))
+        .toBuffer()
+      const decrypt = (buf, props) => SmartStream
+        .fromBuffer(buf)
+        .toDecrypted(Object.assign({ key }, props))
+        .then(stream => stream.toBuffer())
+
+      it('encrypts and decrypts a stream, keeping its metadata', async function () {
+        const json = Buffer.from(JSON.stringify({ foo: 'bar'.repeat(20) }))
+        const encrypted = await SmartStream
+          .fromBuffer(gzipSync(json), { contentType: 'application/json; charset=utf-8', contentEncoding: 'gzip' })
+          .toEncrypted({ key, chunkSize: 16 })
+          .toBuffer()
+        expect(encrypted.includes(gzipSync(json).slice(0, 10))).to.equal(false)
+
+        const stream = await SmartStream.fromBuffer(encrypted).toDecrypted({ key })
+        expect(stream.contentType).to.equal('application/json')
+        expect(stream.charset).to.equal('utf-8')
+        expect(stream.contentEncoding).to.equal('gzip')
+        expect(stream.contentLength).to.equal(gzipSync(json).length)
+        expect(await stream.toObject()).to.deep.equal({ foo: 'bar'.repeat(20) })
+
+        expect((await decrypt(await encrypt(Buffer.alloc(0)))).length).to.equal(0)
+      })
+
+      it('errors when the envelope is tampered with, truncated or decrypted with the wrong key', async function () {
+        const encrypted = await encrypt(Buffer.from('{"foo":"bar","baz":"qux"}'), { chunkSize: 8 })
+
+        const tampered = Buffer.from(encrypted)
+        tampered[tampered.length - 20] ^= 1
+        const header = Buffer.from(encrypted)
+        header[header.indexOf('application/json') + 15] ^= 1
+
+        for (const [buf, props] of [
+          [tampered],
+          [header],
+          [encrypted.slice(0, encrypted.length - 9)],
+          [encrypted.slice(0, encrypted.length - 17)],
+          [encrypted, { key: randomBytes(32) }]
+        ]) {
+          const err = await decrypt(buf, props).catch(err => err)
+          expect(err.isAuthTagMismatch).to.equal(true)
+          expect(SmartStream.getStatusCode(err)).to.equal(400)
+        }
+
+        for (const buf of [Buffer.from('not an envelope at all!'), encrypted.slice(0, 30)]) {
+          const err = await decrypt(buf).catch(err => err)
+          expect(err.isMalformed).to.equal(true)
+        }
+      })
+
+      it('resolves once the first chunk is authenticated', async function () {
+        const encrypted = await encrypt(Buffer.from('{"foo":"bar","baz":"qux"}'), { chunkSize: 8 })
+        const tampered = Buffer.from(encrypted)
+        tampered[tampered.indexOf('"chunkSize":8}') + 14] ^= 1
+        const header = Buffer.from(encrypted)
+        header[header.indexOf('application/json') + 15] ^= 1
+
+        for (const buf of [tampered, header]) {
+          const err = await SmartStream.fromBuffer(buf).toDecrypted({ key }).catch(err => err)
+          expect(err.isAuthTagMismatch).to.equal(true)
+          expect(err.metadata).to.deep.equal({ chunk: 0 })
+        }
+      })
+
+      it('keeps the limit of the stream, unless another is specified', async function () {
+        const encrypted = await encrypt(Buffer.from('{"foo":"bar","baz":"qux"}'), { chunkSize: 8 })
+        const source = SmartStream.fromBuffer(encrypted, { timeout: 5000, interval: 500 })
+        const stream = await source.toDecrypted({ key })
+        expect(stream.limit).to.equal(encrypted.length)
+        expect(stream.timeout).to.equal(5000)
+        expect(stream.interval).to.equal(500)
+        expect((await stream.toBuffer()).toString()).to.equal('{"foo":"bar","baz":"qux"}')
+
+        let err = await decrypt(encrypted, { limit: 10 }).catch(err => err)
+        expect(err.isTooLarge).to.equal(true)
+
+        err = await decrypt(encrypted, { timeout: 0 }).catch(err => err)
+        expect(err).to.be.an.instanceOf(TypeError)
+      })
+
+      it('rotates keys with a key provider', async function () {
+        const keys = { old: randomBytes(32), new: randomBytes(32) }
+        const keyIds = []
+        const keyProvider = async keyId => {
+          keyIds.push(keyId)
+          return keyId == null ? { keyId: 'new', key: keys.new } : keys[keyId]
+        }
+
+        const older = await encrypt(Buffer.from('{"foo":"old"}'), { key: keys.old, keyId: 'old' })
+        const newer = await encrypt(Buffer.from('{"foo":"new"}'), { key: undefined, keyProvider })
+
+        expect((await decrypt(older, { key: undefined, keyProvider })).toString()).to.equal('{"foo":"old"}')
+        expect((await decrypt(newer, { key: undefined, keyProvider })).toString()).to.equal('{"foo":"new"}')
+        expect(keyIds).to.deep.equal([undefined, 'old', 'new'])
+
+        const err = await decrypt(newer, { key: undefined, keyProvider: () => null }).catch(err => err)
+        expect(err).to.be.an.instanceOf(TypeError)
+      })
+
+      it('throws an error for invalid keys and chunk sizes', function () {
+        const stream = SmartStream.fromBuffer(Buffer.alloc(0))
+        try {
+          expect(() => stream.toEncrypted({})).to.throw('either a key or a keyProvider must be specified!')
+          expect(() => stream.toEncrypted({ key, keyProvider: () => key })).to.throw('either a key or a keyProvider must be specified!')
+          expect(() => stream.toEncrypted({ key: Buffer.alloc(16) })).to.throw('the key must be a 32-byte buffer!')
+          expect(() => stream.toEncrypted({ keyProvider: 'key' })).to.throw('keyProvider must be a function!')
+          expect(() => stream.toEncrypted({ key, chunkSize: 0 })).to.throw('0 is an invalid chunk size!')
+          expect(() => stream.toDecrypted({ key: 'key' })).to.throw('the key must be a 32-byte buffer!')
+        } finally {
+          stream.destroy()
+        }
+      })
+    })
   })
 
   describe('behavior', function () {
@@ -295,6 +2084,460 @@ describe('SmartStream', function () {
         .resume()
     })
 
+    context('when decompressing', function () {
+      const zeros = Buffer.alloc(1024 * 1024)
+      const props = { contentType: 'application/octet-stream', contentEncoding: 'gzip' }
+
+      it('decompresses streams within the limits', async function () {
+        const stream = SmartStream.fromBuffer(gzipSync(zeros), {
+          ...props,
+          decompressedLimit: zeros.length,
+          maxExpansionRatio: 2000
+        })
+
+        expect(stream.decompressedLimit).to.equal(zeros.length)
+        expect(stream.maxExpansionRatio).to.equal(2000)
+        expect(await stream.toBuffer(true)).to.deep.equal(zeros)
+      })
+
+      it('emits an error after decompressing `decompressedLimit` bytes', function (done) {
+        SmartStream.fromBuffer(gzipSync(zeros), { ...props, decompressedLimit: 65536 })
+          .toBuffer(true)
+          .then(() => done(new Error('did not error as expected!')))
+          .catch(err => {
+            expect(err.isCompressionBomb).to.equal(true)
+            expect(err.metadata).to.include({
+              contentEncoding: 'gzip',
+              decompressedLimit: 65536,
+              maxExpansionRatio: Infinity
+            })
+            expect(err.metadata.size).to.be.a('number').above(0)
+            expect(err.metadata.decompressedSize).to.be.a('number').above(65536)
+            done()
+          })
+          .catch(done)
+      })
+
+      it('bounds the decompressed data by the limit of the stream by default', async function () {
+        const json = SmartStream.fromBuffer(gzipSync(zeros), { contentType: 'application/json', contentEncoding: 'gzip' })
+        const large = SmartStream.create({ ...props, limit: 1024 * 1024 * 20 })
+        expect(json.decompressedLimit).to.equal(1024 * 64)
+        expect(large.decompressedLimit).to.equal(1024 * 1024 * 20)
+        json.destroy()
+        large.destroy()
+
+        const err = await SmartStream.fromBuffer(gzipSync(Buffer.alloc(1024 * 1024 * 11)), props)
+          .toBuffer(true)
+          .catch(err => err)
+        expect(err.isCompressionBomb).to.equal(true)
+        expect(err.metadata.decompressedLimit).to.equal(1024 * 1024 * 10)
+      })
+
+      it('emits an error when exceeding the `maxExpansionRatio`', function (done) {
+        SmartStream.fromBuffer(gzipSync(zeros), { ...props, maxExpansionRatio: 10 })
+          .toContentEncoding('identity')
+          .once('error', err => {
+            const { size, decompressedSize } = err.metadata
+            expect(err.isCompressionBomb).to.equal(true)
+            expect(err.metadata.maxExpansionRatio).to.equal(10)
+            expect(decompressedSize).to.be.above(size * 10)
+            done()
+          })
+          .once('end', () => done(new Error('did not error as expected!')))
+          .resume()
+      })
+
+      it('throws an error for invalid limits', function () {
+        expect(create({ ...props, decompressedLimit: -1 }))
+          .to.throw('-1 is an invalid decompressed limit!')
+        expect(create({ ...props, maxExpansionRatio: 0.5 }))
+          .to.throw('0.5 is an invalid expansion ratio!')
+      })
+    })
+
+    context('with a strict content-length', function () {
+      const props = {
+        contentType: 'text/plain',
+        contentLength: 10,
+        strictContentLength: true
+      }
+
+      it('accepts exactly content-length bytes', async function () {
+        const stream = SmartStream.create(props)
+        expect(stream.strictContentLength).to.equal(true)
+        stream.end('0123456789')
+        expect((await stream.toBuffer()).toString()).to.equal('0123456789')
+      })
+
+      it('emits an error when the stream ends short of content-length', function (done) {
+        SmartStream.create(props)
+          .once('error', err => {
+            expect(err.isTruncated).to.equal(true)
+            expect(err.metadata).to.deep.equal({ contentLength: 10, size: 5 })
+            done()
+          })
+          .once('end', () => done(new Error('did not error as expected!')))
+          .resume()
+          .end('01234')
+      })
+
+      it('emits an error when the stream runs past content-length', function (done) {
+        SmartStream.create(props)
+          .once('error', err => {
+            expect(err.isOverflow).to.equal(true)
+            expect(err.metadata).to.deep.equal({ contentLength: 10, size: 15 })
+            done()
+          })
+          .once('end', () => done(new Error('did not error as expected!')))
+          .resume()
+          .end('012345678901234')
+      })
+
+      it('ignores mismatches when not strict', async function () {
+        const stream = SmartStream.create({ ...props, strictContentLength: false })
+        stream.end('01234')
+        expect((await stream.toBuffer()).toString()).to.equal('01234')
+      })
+    })
+
+    context('with digests', function () {
+      const filePath = join(__dirname, 'fixtures', 'image.jpg')
+      const fileContents = readFileSync(filePath)
+      const hash = (algorithm, encoding) => createHash(algorithm)
+        .update(fileContents)
+        .digest(encoding)
+
+      it('computes the digests of the stream as it flows', async function () {
+        const stream = SmartStream.fromFile(filePath, {
+          digests: ['sha256', 'md5', 'crc32c']
+        })
+        expect(stream.digest).to.equal(undefined)
+
+        await stream.toBuffer()
+        expect(stream.digest).to.deep.equal({
+          sha256: hash('sha256', 'hex'),
+          md5: hash('md5', 'hex'),
+          crc32c: '25abee42'
+        })
+      })
+
+      it('verifies the expected digest in any of the supported forms', async function () {
+        const expectedDigests = [
+          hash('md5', 'base64'),
+          `sha-256=${hash('sha256', 'base64')}, unixsum=30637`,
+          `sha-512=:${hash('sha512', 'base64')}:`,
+          { sha1: hash('sha1', 'hex') }
+        ]
+
+        for (const expectedDigest of expectedDigests) {
+          const stream = SmartStream.fromFile(filePath, { expectedDigest })
+          expect(await stream.toBuffer()).to.deep.equal(fileContents)
+        }
+      })
+
+      it('skips expected digests of unsupported algorithms', async function () {
+        for (const expectedDigest of ['unixsum=30637', `sha-384=${createHash('sha384').update(fileContents).digest('base64')}`]) {
+          const stream = SmartStream.fromFile(filePath, { expectedDigest })
+          expect(await stream.toBuffer()).to.deep.equal(fileContents)
+          expect(stream.digest).to.equal(undefined)
+        }
+      })
+
+      it('emits an error when the digest does not match', function (done) {
+        const expectedDigest = `md5=${Buffer.alloc(16).toString('base64')}`
+        SmartStream.fromFile(filePath, { expectedDigest })
+          .once('error', err => {
+            expect(err.isDigestMismatch).to.equal(true)
+            expect(err.metadata).to.deep.equal({
+              algorithm: 'md5',
+              expected: '0'.repeat(32),
+              actual: hash('md5', 'hex')
+            })
+            done()
+          })
+          .once('end', () => done(new Error('did not error as expected!')))
+          .resume()
+      })
+
+      it('throws an error for invalid digests', function () {
+        expect(create({ ...props, digests: ['sha256', 'foo'] }))
+          .to.throw('"sha256,foo" contains an unsupported digest algorithm!')
+        expect(create({ ...props, expectedDigest: { foo: 'bar' } }))
+          .to.throw('{"foo":"bar"} is an invalid digest!')
+
+        for (const expectedDigest of ['not-a-digest', 'sha-256=!!!', `md5=${Buffer.alloc(8).toString('base64')}`, 'sha-512=:abc']) {
+          expect(create({ ...props, expectedDigest }))
+            .to.throw(`${JSON.stringify(expectedDigest)} is an invalid digest!`)
+        }
+      })
+    })
+
+    context('with a minimum rate or maximum duration', function () {
+      const trickle = (stream, bytes, duration) => {
+        const interval = setInterval(() => stream.write(Buffer.alloc(bytes)), 50)
+        stream.once('close', () => clearInterval(interval))
+        setTimeout(() => { clearInterval(interval); stream.end() }, duration)
+        return stream
+      }
+      const props = {
+        contentType: 'text/plain',
+        contentEncoding: 'identity',
+        timeout: 1000,
+        interval: 50
+      }
+
+      it('accepts sources faster than the minimum rate', async function () {
+        const stream = SmartStream.create({ ...props, minRate: 1000, rateWindow: 300 })
+        expect(stream.minRate).to.equal(1000)
+        expect(stream.rateWindow).to.equal(300)
+
+        const buf = await trickle(stream, 100, 600).toBuffer()
+        expect(buf.length).to.be.at.least(1000)
+      })
+
+      it('emits an error when the source is slower than `minRate`', function (done) {
+        trickle(SmartStream.create({ ...props, minRate: 1000, rateWindow: 300 }), 1, 2000)
+          .once('error', err => {
+            expect(err.isTooSlow).to.equal(true)
+            expect(err.metadata).to.include({ minRate: 1000, rateWindow: 300 })
+            expect(err.metadata.rate).to.be.a('number').below(1000)
+            expect(err.metadata.size).to.be.a('number').above(0)
+            done()
+          })
+          .once('end', () => done(new Error('did not error as expected!')))
+          .resume()
+      })
+
+      it('does not count the time spent waiting for a slow consumer', async function () {
+        const stream = SmartStream.create({ ...props, minRate: 1000, rateWindow: 300 })
+        stream.write(Buffer.alloc(1024 * 64))
+
+        await new Promise(resolve => setTimeout(resolve, 600))
+        expect(stream.destroyed).to.equal(false)
+
+        stream.end()
+        expect((await stream.toBuffer()).length).to.equal(1024 * 64)
+      })
+
+      it('emits an error after `maxDuration` ms', function (done) {
+        const stream = SmartStream.create({ ...props, maxDuration: 300 })
+        expect(stream.maxDuration).to.equal(300)
+
+        trickle(stream, 100, 2000)
+          .once('error', err => {
+            expect(err.isDeadlineExceeded).to.equal(true)
+            expect(err.metadata.maxDuration).to.equal(300)
+            expect(err.metadata.duration).to.be.a('number').above(300)
+            expect(err.metadata.rate).to.be.a('number').above(0)
+            done()
+          })
+          .once('end', () => done(new Error('did not error as expected!')))
+          .resume()
+      })
+
+      it('throws an error for invalid rates or durations', function () {
+        expect(create({ ...props, minRate: -1 })).to.throw('-1 is an invalid minRate!')
+        expect(create({ ...props, maxDuration: 'foo' })).to.throw('foo is an invalid maxDuration!')
+        expect(create({ ...props, timeout: 0, interval: 0, minRate: 1 }))
+          .to.throw('minRate cannot be enforced without a timeout!')
+      })
+    })
+
+    context('with a rate limit', function () {
+      const props = { contentType: 'application/octet-stream', contentEncoding: 'identity' }
+      const data = Buffer.from(Array.from({ length: 25000 }, (_, i) => i % 256))
+
+      it('limits the rate of the data flowing through the stream', async function () {
+        const started = Date.now()
+        const stream = SmartStream.fromBuffer(data, { rateLimit: 10000 })
+
+        expect(stream.rateLimit.rate).to.equal(10000)
+        expect(await stream.toBuffer()).to.deep.equal(data)
+        expect(Date.now() - started).to.be.at.least(1400)
+      })
+
+      it('splits a shared token bucket between streams', async function () {
+        const started = Date.now()
+        const rateLimit = SmartStream.createTokenBucket({ rate: 10000, burst: 5000 })
+        const buffers = await Promise.all([
+          SmartStream.fromBuffer(data.slice(0, 10000), { rateLimit }).toBuffer(),
+          SmartStream.fromBuffer(data.slice(10000), { rateLimit }).toBuffer()
+        ])
+
+        expect(Buffer.concat(buffers)).to.deep.equal(data)
+        expect(Date.now() - started).to.be.at.least(1400)
+      })
+
+      it('gives up the tokens requested by a destroyed stream', async function () {
+        const rateLimit = SmartStream.createTokenBucket({ rate: 10000, burst: 1000 })
+        const stream = SmartStream.fromBuffer(data, { rateLimit })
+
+        await new Promise(resolve => stream.once('data', resolve))
+        expect(rateLimit._queue).to.have.lengthOf(1)
+        stream.destroy()
+        expect(rateLimit._queue).to.have.lengthOf(0)
+
+        const buf = await SmartStream.fromBuffer(data.slice(0, 2000), { rateLimit }).toBuffer()
+        expect(buf).to.deep.equal(data.slice(0, 2000))
+      })
+
+      it('emits an error when the content-length > limit', async function () {
+        const stream = SmartStream.create({ ...props, contentLength: 100, limit: 10, rateLimit: 1000 })
+        const promise = new Promise(resolve => stream.once('error', resolve))
+        stream.write('abc')
+
+        expect((await promise).isTooLarge).to.equal(true)
+      })
+
+      it('throws an error for invalid rate limits', function () {
+        expect(create({ ...props, rateLimit: -1 })).to.throw('-1 is an invalid rate limit!')
+        expect(() => SmartStream.createTokenBucket({ rate: 0 }))
+          .to.throw('0 is an invalid rate!')
+        expect(() => SmartStream.createTokenBucket({ rate: 1, burst: 0.5 }))
+          .to.throw('0.5 is an invalid burst!')
+      })
+    })
+
+    context('with progress events', function () {
+      const props = { contentType: 'application/octet-stream', contentEncoding: 'identity' }
+      const data = Buffer.alloc(20000)
+
+      it('emits throttled progress events', async function () {
+        const events = []
+        const stream = SmartStream
+          .fromStream(Readable.from(async function * () {
+            for (let i = 0; i < 10; i++) {
+              await new Promise(resolve => setTimeout(resolve, 50))
+              yield data.slice(i * 2000, (i + 1) * 2000)
+            }
+          }()), { ...props, contentLength: 20000, progressInterval: 200 })
+          .on('progress', stats => events.push(stats))
+
+        expect(stream.progressInterval).to.equal(200)
+        await stream.toBuffer()
+
+        const last = events[events.length - 1]
+        expect(events.length).to.be.at.least(2)
+        expect(events.map(stats => stats.size)).to.deep.equal(events.map(stats => stats.size).sort((a, b) => a - b))
+        expect(events[0].percent).to.be.within(1, 99)
+        expect(events[0].eta).to.be.above(0)
+        expect(events[0].rate).to.be.above(0)
+        expect(last).to.include({ size: 20000, contentLength: 20000, percent: 100, eta: 0 })
+      })
+
+      it('returns a snapshot of the stats', async function () {
+        const stream = SmartStream.create({ ...props, progressInterval: 0 })
+        const events = []
+        stream.on('progress', stats => events.push(stats))
+
+        expect(stream.stats()).to.include({ size: 0, contentLength: null, percent: null, eta: null, timeToFirstByte: null })
+
+        await new Promise(resolve => setTimeout(resolve, 100))
+        stream.write(Buffer.alloc(100))
+        await new Promise(resolve => setTimeout(resolve, 100))
+        stream.end(Buffer.alloc(100))
+        await stream.toBuffer()
+
+        const stats = stream.stats()
+        expect(events.length).to.equal(3)
+        expect(stats).to.include({ size: 200, contentLength: 200, percent: 100, eta: 0 })
+        expect(stats.timeToFirstByte).to.be.at.least(90)
+        expect(stats.duration).to.be.at.least(stats.timeToFirstByte + 90)
+        expect(stats.averageRate).to.be.above(0).and.at.most(200 * 1000 / stats.duration + 1)
+        expect(stream.stats().duration).to.equal(stats.duration)
+      })
+
+      it('throws an error for invalid progress intervals', function () {
+        expect(create({ ...props, progressInterval: -1 })).to.throw('-1 is an invalid progress interval!')
+      })
+    })
+
+    context('when sniffing the content-type', function () {
+      const filePath = join(__dirname, 'fixtures', 'image.jpg')
+      const sniff = (data, contentType) => SmartStream
+        .fromBuffer(Buffer.from(data), { contentType, sniff: 'enforce' })
+        .toBuffer()
+        .then(() => true, err => err.isTypeMismatch ? false : Promise.reject(err))
+
+      it('detects the MIME-type from the first bytes', async function () {
+        const stream = SmartStream.fromFile(filePath, { contentType: 'application/octet-stream', sniff: 'detect' })
+
+        expect(await stream.toBuffer()).to.deep.equal(readFileSync(filePath))
+        expect(stream.detectedType).to.equal('image/jpeg')
+
+        const json = SmartStream.fromObject({ foo: 'bar' }, { sniff: 'detect' })
+        expect(await json.toObject()).to.deep.equal({ foo: 'bar' })
+        expect(json.detectedType).to.equal('application/json')
+
+        const empty = SmartStream.create({ contentEncoding: 'identity', sniff: 'detect' })
+        empty.end()
+        expect(await empty.toBuffer()).to.deep.equal(Buffer.alloc(0))
+        expect(empty.detectedType).to.equal(null)
+      })
+
+      it('emits an error when the contents do not match the content-type', async function () {
+        const err = await SmartStream
+          .fromFile(filePath, { contentType: 'application/pdf', sniff: 'enforce' })
+          .toBuffer()
+          .catch(err => err)
+
+        expect(err.isTypeMismatch).to.equal(true)
+        expect(err.metadata).to.deep.equal({ contentType: 'application/pdf', detectedType: 'image/jpeg' })
+        expect(SmartStream.getStatusCode(err)).to.equal(415)
+      })
+
+      it('matches the declared MIME-type with compatible formats', async function () {
+        const zip = Buffer.from([0x50, 0x4b, 0x03, 0x04, 0x14, 0x00])
+        const gif = Buffer.concat([Buffer.from('GIF89a'), Buffer.alloc(16)])
+
+        expect(await sniff(gif, 'image/gif')).to.equal(true)
+        expect(await sniff(gif, 'image/png')).to.equal(false)
+        expect(await sniff(gif, 'text/plain')).to.equal(false)
+        expect(await sniff(zip, 'application/epub+zip')).to.equal(true)
+        expect(await sniff(zip, 'application/vnd.openxmlformats-officedocument.wordprocessingml.document')).to.equal(true)
+        expect(await sniff(gif, 'application/vnd.oasis.opendocument.text')).to.equal(false)
+        expect(await sniff('BMW', 'text/plain')).to.equal(true)
+        expect(await sniff('[1, 2]', 'application/ld+json')).to.equal(true)
+        expect(await sniff(Buffer.from([0x00, 0x01, 0x02]), 'application/json')).to.equal(false)
+        expect(await sniff(Buffer.from([0x00, 0x01, 0x02]), 'application/x-custom')).to.equal(true)
+        expect(await sniff(gif, 'application/octet-stream')).to.equal(true)
+      })
+
+      it('throws an error for invalid sniffing modes', function () {
+        expect(create({ ...props, sniff: 'always' })).to.throw('"always" is an invalid sniffing mode!')
+        expect(create({ ...props, contentEncoding: 'gzip', sniff: 'detect' }))
+          .to.throw('cannot sniff a "gzip"-encoded stream!')
+      })
+    })
+
+    it('destroys another source piped simultaneously', async function () {
+      const stream = SmartStream.create({ ...props })
+      const first = new Readable({ read () {} })
+      const second = new Readable({ read () {} })
+
+      first.pipe(stream)
+      second.pipe(stream)
+
+      const err = await new Promise(resolve => second.once('error', resolve))
+      expect(err.isMultipleSources).to.equal(true)
+      expect(stream.destroyed).to.equal(false)
+
+      first.push('foo')
+      first.push(null)
+      expect(String(await stream.toBuffer())).to.equal('foo')
+    })
+
+    it('accepts another source once the previous one is unpiped', async function () {
+      const stream = SmartStream.create({ ...props })
+      const first = new Readable({ read () {} })
+
+      first.pipe(stream)
+      first.unpipe(stream)
+      Readable.from([Buffer.from('foo')]).pipe(stream)
+
+      expect(String(await stream.toBuffer())).to.equal('foo')
+    })
+
     it('emits an error after `timeout` ms of no data', function (done) {
       SmartStream.create({ ...props, timeout: 500, interval: 100 })
         .once('error', err => {
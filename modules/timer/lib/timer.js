@@ -18,6 +18,9 @@ const DEFAULT_PROPS = {
 /**
  * Implements a smart-timer that checks for timeout at the specified inverval,
  * calling the optional timeout handler when the timeout occurs.
+ *
+ * An `interval` event is emitted at every interval, allowing other periodic
+ * checks to piggy-back on the timer.
  * @extends {EventEmitter}
  */
 class SmartTimer extends EventEmitter {
@@ -68,6 +71,15 @@ class SmartTimer extends EventEmitter {
    * @private
    */
   _onInterval () {
+    this._recordActivity()
+    this.emit('interval')
+  }
+
+  /**
+   * Records any activity since the last check
+   * @private
+   */
+  _recordActivity () {
     if (this._hadActivity) {
       this._lastActivity = Date.now()
       this._hadActivity = false
@@ -79,9 +91,9 @@ class SmartTimer extends EventEmitter {
    * @private
    */
   _onTimeout () {
-    // Call this._onInterval() to account for any activity that might have
+    // Call this._recordActivity() to account for any activity that might have
     // occurred since the last interval check and the timeout.
-    this._onInterval()
+    this._recordActivity()
 
     const timeSinceLastActivity = Date.now() - this._lastActivity
     if (timeSinceLastActivity < this.timeout) {
@@ -66,6 +66,19 @@ describe('SmartTimer', function () {
       SmartTimer.create(props, onTimeout) // eslint-disable-line no-new
     })
 
+    it('must emit an `interval` event at every interval', done => {
+      const props = { timeout: 500, interval: 100 }
+      const timer = SmartTimer.create(props)
+      let intervals = 0
+
+      timer.on('interval', () => {
+        if (++intervals === 3) {
+          timer.destroy()
+          done()
+        }
+      })
+    })
+
     it('must record activity correctly', done => {
       const props = { timeout: 500, interval: 100 }
       const onTimeout = () => done(new Error('should not have timed out!'))